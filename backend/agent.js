@@ -1,15 +1,29 @@
-import Anthropic from '@anthropic-ai/sdk';
-import { searchPart, checkCompatibility, getTroubleshootingInfo } from './scraper.js';
+import { searchPart, checkCompatibility, getTroubleshootingInfo, getModelInfo, getInstallationGuide, searchPartReviews, searchKnowledgeBase } from './scraper.js';
+import { getProvider } from './providers/index.js';
+import { describePageContext } from './pageContext.js';
+import { describeProfile, activeAppliance, addAppliance } from './profiles.js';
+import { agentConfig, budgetConfig } from './config.js';
+import { blocksForToolResult } from './blocks.js';
+import { getPolicy } from './policy.js';
+import { createLogger } from './logger.js';
+import { startSpan } from './tracing.js';
+import { metrics } from './metrics.js';
+import { runWithRequestContext, currentRequestContext, createDeadlineController, isAbortError } from './requestContext.js';
+import { EMPTY_USAGE, addUsage, estimateCost, totalTokens, compactHistory, compactToolResults, withEarlierConversation } from './budget.js';
 
-const client = new Anthropic();
+const log = createLogger('agent');
 
 const SYSTEM_PROMPT = `You are a helpful customer service agent for PartSelect, specializing in refrigerator and dishwasher parts.
 
 Your capabilities:
 - Help customers find parts by part number
-- Provide installation instructions and guidance
+- Provide installation instructions and guidance, including difficulty, time, tools and steps from customers who did the repair
+- Look up appliance models by model number, including their diagram sections, parts and manuals
 - Check if parts are compatible with specific appliance models
+- Answer questions about a part from its customer reviews and Q&A
+- Answer general repair questions from PartSelect content that has already been looked up
 - Troubleshoot common refrigerator and dishwasher problems
+- Remember the customer's appliances in their saved appliance profile
 - Provide other product information for refrigerator and dishwasher parts
 - Focus on user experience and clarity
 
@@ -18,26 +32,107 @@ Guidelines:
 - Be concise, helpful, and professional
 - When you have part information, summarize the key details
 - If you can't find specific information, provide general guidance based on your knowledge
+- Compatibility checks return a verdict (compatible, not_compatible or unknown) with a confidence level and the evidence behind it; report the verdict as given and never upgrade an unknown verdict to compatible
+- If a tool result has "withheld": true, the part or model is for an appliance outside your scope; don't describe it, and say you can only help with refrigerator and dishwasher parts
+- If a tool result has "degraded": true, the lookup service could not reach its sources. Tell the customer the lookup service is having trouble right now and to try again shortly; never say the part doesn't exist based on a degraded result
+- If a part lookup returns a closestMatch, the number wasn't found; you may mention the closest match, but say it is a different part that doesn't list the customer's number
+- When troubleshooting, ask one diagnostic question per reply, exactly as the troubleshoot tool gives it, and pass every answer back on the next call. Once it returns candidates, present them in order with their likelihood percentages, and say whether they were narrowed to the customer's model
+- When answering from reviews or Q&A, say what customers reported rather than stating it as fact, and cite each one by the citation the search_part_reviews tool gives (e.g. "Review #2 by Tom R.")
+- For general questions that don't name a part or model (e.g. "why does my ice maker freeze up?"), call search_knowledge_base first and answer from its passages, citing them by their number (e.g. [1]). If it finds nothing relevant, fall back to the live tools such as troubleshoot
+- When the customer mentions a model number that isn't one of their saved appliances, offer to save it (e.g. as "Kitchen fridge") so they don't have to repeat it. Only call save_appliance once they agree
+- If the first message starts with a summary of earlier messages, use its part and model numbers with your tools when the customer refers back to them, and look details up again rather than guessing
 - Always recommend customers verify compatibility on PartSelect.com before purchasing`;
 
 const tools = [
   {
     name: "get_part_info",
-    description: "Search for a part by its part number and get details including price, availability, description, and installation information. Use this when a customer asks about a specific part number.",
+    description: "Search for a part by its part number and get details including price, availability, description, and installation information. Accepts PartSelect (PS) numbers, manufacturer part numbers and older superseded numbers; matchedAliases in the result says which manufacturer or superseded number matched. Use this when a customer asks about a specific part number.",
     input_schema: {
       type: "object",
       properties: {
         part_number: {
           type: "string",
-          description: "The part number to search for (e.g., PS11752778)"
+          description: "The part number as the customer gave it (e.g., PS11752778, WPW10321304 or 2171046)"
         }
       },
       required: ["part_number"]
     }
   },
+  {
+    name: "get_model_info",
+    description: "Look up an appliance model by its model number and get its brand, appliance type, diagram sections (e.g. Door, Ice Maker) with the parts in each section, and links to its manuals. Use this when a customer gives a model number and wants to find parts for it.",
+    input_schema: {
+      type: "object",
+      properties: {
+        model_number: {
+          type: "string",
+          description: "The appliance model number (e.g., WDT780SAEM1)"
+        }
+      },
+      required: ["model_number"]
+    }
+  },
+  {
+    name: "get_installation_guide",
+    description: "Get an installation guide for a part: typical difficulty and repair time as rated by customers, the tools they needed, a step-by-step checklist, customer repair stories and install videos. Use this when a customer asks how to install or replace a part.",
+    input_schema: {
+      type: "object",
+      properties: {
+        part_number: {
+          type: "string",
+          description: "The part number to install (e.g., PS11752778)"
+        }
+      },
+      required: ["part_number"]
+    }
+  },
+  {
+    name: "search_part_reviews",
+    description: "Search a part's customer reviews and Questions & Answers for ones that address a customer's question (e.g. \"does this come with the gasket?\", \"is it hard to install?\"). Returns the best matches with a citation for each, preferring ones that mention the customer's model. Use this for questions about a part that its description doesn't answer.",
+    input_schema: {
+      type: "object",
+      properties: {
+        part_number: {
+          type: "string",
+          description: "The part number (PS, manufacturer or superseded number)"
+        },
+        question: {
+          type: "string",
+          description: "The customer's question about the part"
+        },
+        model_number: {
+          type: "string",
+          description: "The customer's appliance model number, if known"
+        }
+      },
+      required: ["part_number", "question"]
+    }
+  },
+  {
+    name: "search_knowledge_base",
+    description: "Search PartSelect content that has already been scraped: part descriptions, customer repair stories, reviews, Q&A and troubleshooting pages. Returns the best-matching passages with numbered citations and links. Use this first for general questions that don't name a specific part or model; it is fast and doesn't hit the live site.",
+    input_schema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "The question or keywords to search for (e.g., 'ice maker freezing up')"
+        },
+        kinds: {
+          type: "array",
+          description: "Only search these kinds of content; all kinds when omitted",
+          items: {
+            type: "string",
+            enum: ["part", "review", "qa", "repair-story", "troubleshooting"]
+          }
+        }
+      },
+      required: ["query"]
+    }
+  },
   {
     name: "check_compatibility",
-    description: "Check if a specific part is compatible with an appliance model. Use this when a customer wants to know if a part fits their specific model.",
+    description: "Check if a specific part is compatible with an appliance model. Returns a verdict (compatible, not_compatible or unknown), a confidence level, and the evidence matched from the model's parts list and the part's compatible-models list. Use this when a customer wants to know if a part fits their specific model. Leave model_number out to check against the customer's active saved appliance.",
     input_schema: {
       type: "object",
       properties: {
@@ -47,15 +142,15 @@ const tools = [
         },
         model_number: {
           type: "string",
-          description: "The appliance model number (e.g., WDT780SAEM1)"
+          description: "The appliance model number (e.g., WDT780SAEM1); defaults to the active saved appliance"
         }
       },
-      required: ["part_number", "model_number"]
+      required: ["part_number"]
     }
   },
   {
     name: "troubleshoot",
-    description: "Get troubleshooting information for a refrigerator or dishwasher problem. Use this when a customer describes an issue with their appliance.",
+    description: "Diagnose a refrigerator or dishwasher problem step by step. Matches the symptom to a PartSelect repair topic and returns repair tips plus either the next diagnostic question (diagnosis.status \"question\") or ranked candidate parts with likelihood percentages (diagnosis.status \"done\"). Call it first with just the symptom, ask the customer the returned question, then call it again with the same symptom and every answer so far until it returns candidates. Pass model_number when the customer has given one so candidates are narrowed to parts their model uses; without it the active saved appliance's model is used.",
     input_schema: {
       type: "object",
       properties: {
@@ -67,92 +162,429 @@ const tools = [
         symptom: {
           type: "string",
           description: "The problem or symptom (e.g., 'not making ice', 'not draining', 'leaking water')"
+        },
+        answers: {
+          type: "array",
+          description: "Answers to the diagnostic questions asked so far, in order",
+          items: {
+            type: "object",
+            properties: {
+              question: {
+                type: "string",
+                description: "The question's id from diagnosis.question.id, or its text"
+              },
+              answer: {
+                type: "string",
+                enum: ["yes", "no", "unsure"]
+              }
+            },
+            required: ["question", "answer"]
+          }
+        },
+        model_number: {
+          type: "string",
+          description: "The customer's appliance model number, if known"
         }
       },
       required: ["appliance", "symptom"]
     }
+  },
+  {
+    name: "save_appliance",
+    description: "Save an appliance to the customer's profile and make it their active appliance, so later questions and compatibility checks use it without them retyping the model number. Saving a model number that's already saved updates it. Only call this after the customer has agreed to save it.",
+    input_schema: {
+      type: "object",
+      properties: {
+        model_number: {
+          type: "string",
+          description: "The appliance model number (e.g., WDT780SAEM1)"
+        },
+        appliance_type: {
+          type: "string",
+          enum: ["refrigerator", "dishwasher"],
+          description: "The type of appliance, if known"
+        },
+        brand: {
+          type: "string",
+          description: "The brand (e.g., Whirlpool), if known"
+        },
+        nickname: {
+          type: "string",
+          description: "What the customer calls it (e.g., Kitchen fridge), if they said"
+        }
+      },
+      required: ["model_number"]
+    }
   }
 ];
 
-async function executeTool(toolName, toolInput) {
+// Short progress labels shown to the user while a tool is running
+function describeToolStep(toolName, toolInput) {
+  switch (toolName) {
+    case "get_part_info":
+      return `Looking up ${toolInput.part_number}…`;
+    case "get_model_info":
+      return `Loading model ${toolInput.model_number}…`;
+    case "get_installation_guide":
+      return `Finding install steps for ${toolInput.part_number}…`;
+    case "check_compatibility":
+      return `Checking model ${toolInput.model_number}…`;
+    case "search_knowledge_base":
+      return "Searching saved PartSelect articles…";
+    case "search_part_reviews":
+      return `Checking reviews and Q&A for ${toolInput.part_number}…`;
+    case "save_appliance":
+      return `Saving ${toolInput.model_number} to your appliances…`;
+    case "troubleshoot":
+      return toolInput.answers?.length > 0
+        ? "Narrowing down the cause…"
+        : `Finding ${toolInput.appliance} troubleshooting tips…`;
+    default:
+      return `Running ${toolName}…`;
+  }
+}
+
+// Fill in the active saved appliance's model number for tools that take one when the
+// model left it out
+function withProfileDefaults(toolName, toolInput, profile) {
+  const active = activeAppliance(profile);
+  if (active && !toolInput.model_number && (toolName === "check_compatibility" || toolName === "troubleshoot")) {
+    return { ...toolInput, model_number: active.modelNumber };
+  }
+  return toolInput;
+}
+
+async function saveAppliance(toolInput, turn) {
+  if (!turn.userId) {
+    return { error: "Saved appliances aren't available in this conversation" };
+  }
+
+  const { appliance, profile } = await addAppliance(turn.userId, {
+    modelNumber: toolInput.model_number,
+    applianceType: toolInput.appliance_type,
+    brand: toolInput.brand,
+    nickname: toolInput.nickname
+  });
+  // Later tool calls this turn use the updated profile
+  turn.profile = profile;
+  return { saved: true, appliance };
+}
+
+// `turn` holds the customer's { userId, profile } for tools that use them
+async function executeTool(toolName, toolInput, turn) {
   switch (toolName) {
     case "get_part_info":
       return await searchPart(toolInput.part_number);
+    case "get_model_info":
+      return await getModelInfo(toolInput.model_number);
+    case "get_installation_guide":
+      return await getInstallationGuide(toolInput.part_number);
     case "check_compatibility":
+      if (!toolInput.model_number) {
+        return { error: "No model number was given and the customer has no active saved appliance. Ask for their model number." };
+      }
       return await checkCompatibility(toolInput.part_number, toolInput.model_number);
+    case "search_knowledge_base":
+      return await searchKnowledgeBase(toolInput.query, { kinds: toolInput.kinds });
+    case "search_part_reviews":
+      return await searchPartReviews(toolInput.part_number, toolInput.question, { modelNumber: toolInput.model_number });
     case "troubleshoot":
-      return await getTroubleshootingInfo(toolInput.appliance, toolInput.symptom);
+      return await getTroubleshootingInfo(toolInput.appliance, toolInput.symptom, {
+        answers: toolInput.answers,
+        modelNumber: toolInput.model_number
+      });
+    case "save_appliance":
+      return await saveAppliance(toolInput, turn);
     default:
       return { error: `Unknown tool: ${toolName}` };
   }
 }
 
-export async function chat(messages) {
-  // Convert messages to Anthropic format
-  const anthropicMessages = messages.map(msg => ({
-    role: msg.role,
-    content: msg.content
-  }));
-
-  // Track part data retrieved during this conversation turn
-  const partsData = [];
+// Run fn over items with at most `limit` calls in flight; results keep the input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
 
-  let response = await client.messages.create({
-    model: "claude-sonnet-4-20250514",
-    max_tokens: 1024,
-    system: SYSTEM_PROMPT,
-    tools: tools,
-    messages: anthropicMessages
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
   });
 
-  // Handle tool use loop
-  while (response.stop_reason === "tool_use") {
-    const toolUseBlocks = response.content.filter(block => block.type === "tool_use");
-    const toolResults = [];
+  await Promise.all(workers);
+  return results;
+}
 
-    for (const toolUse of toolUseBlocks) {
-      console.log(`Executing tool: ${toolUse.name}`, toolUse.input);
-      const result = await executeTool(toolUse.name, toolUse.input);
-      console.log(`Tool result:`, result);
+// Resolve to a timeout error instead of waiting on a tool once the turn's signal aborts at
+// its deadline. The tool stops on the same signal, usually by rejecting with an AbortError,
+// which counts as the same timeout; only an abort because the request went away rejects.
+// The listener goes on before the tool starts, so it hears the deadline before the tool does.
+function withDeadline(run, { signal, requestSignal, toolName }) {
+  const timedOut = () => signal.aborted && !requestSignal?.aborted;
+  const timeoutResult = () => ({ error: `${toolName} did not finish before the time limit for this answer`, timedOut: true });
+  if (timedOut()) {
+    return Promise.resolve(timeoutResult());
+  }
 
-      // Capture part data for rich rendering
-      if (toolUse.name === "get_part_info" && result && !result.error) {
-        partsData.push(result);
-      }
+  let onAbort;
+  const timeout = new Promise(resolve => {
+    onAbort = () => {
+      if (timedOut()) resolve(timeoutResult());
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  const result = run().catch(error => {
+    if (isAbortError(error) && timedOut()) {
+      return timeoutResult();
+    }
+    throw error;
+  });
+  return Promise.race([result, timeout]).finally(() => signal.removeEventListener('abort', onAbort));
+}
 
-      toolResults.push({
-        type: "tool_result",
-        tool_use_id: toolUse.id,
-        content: JSON.stringify(result)
-      });
+function toolOutcome(result) {
+  if (result?.timedOut) return 'timeout';
+  if (result?.withheld) return 'withheld';
+  if (result?.error) return 'error';
+  return 'ok';
+}
+
+function recordToolCall(span, toolName, result) {
+  const { durationMs } = span.end(result);
+  metrics.toolCalls.inc({ tool: toolName, outcome: result.outcome });
+  metrics.toolDuration.observe({ tool: toolName }, durationMs / 1000);
+}
+
+// Run one round of tool calls concurrently. Calls with the same tool and input run once
+// and share the result. onResult(name, result, index) is called as each unique call
+// finishes, with its position among the unique calls. Returns one result per tool_use block, in order.
+// Results go through the policy first, so out-of-scope parts and models are withheld.
+// Tools run with `signal`, the turn's signal, as the request context's signal, so scraping
+// stops when it aborts; it's a timeout unless `requestSignal` has aborted too.
+async function runToolCalls(toolUseBlocks, { concurrency, signal, requestSignal, onEvent, onResult, turn, policy }) {
+  const unique = new Map();
+  for (const toolUse of toolUseBlocks) {
+    const key = `${toolUse.name}:${JSON.stringify(toolUse.input)}`;
+    if (!unique.has(key)) {
+      unique.set(key, toolUse);
     }
+  }
 
-    // Continue conversation with tool results
-    anthropicMessages.push({
-      role: "assistant",
-      content: response.content
-    });
-    anthropicMessages.push({
-      role: "user",
-      content: toolResults
+  const calls = [...unique.values()];
+  if (calls.length < toolUseBlocks.length) {
+    log.info('Skipping duplicate tool calls', { count: toolUseBlocks.length - calls.length });
+  }
+
+  const results = await mapWithConcurrency(calls, concurrency, async (toolUse, index) => {
+    const input = withProfileDefaults(toolUse.name, toolUse.input, turn.profile);
+    onEvent?.('step', {
+      tool: toolUse.name,
+      status: 'start',
+      label: describeToolStep(toolUse.name, input)
     });
+    const span = startSpan('tool', { tool: toolUse.name, input });
+    let result;
+    try {
+      result = policy.checkToolResult(
+        toolUse.name,
+        await withDeadline(
+          () => runWithRequestContext({ ...currentRequestContext(), signal }, () => executeTool(toolUse.name, input, turn)),
+          { signal, requestSignal, toolName: toolUse.name }
+        )
+      );
+    } catch (error) {
+      recordToolCall(span, toolUse.name, { outcome: 'error', error });
+      throw error;
+    }
+    recordToolCall(span, toolUse.name, { outcome: toolOutcome(result), ...(result?.error && { error: result.error }) });
+    onEvent?.('step', { tool: toolUse.name, status: 'end' });
+    onResult(toolUse.name, result, index);
+    return result;
+  });
+
+  const resultsByKey = new Map([...unique.keys()].map((key, index) => [key, results[index]]));
+  return toolUseBlocks.map(toolUse => resultsByKey.get(`${toolUse.name}:${JSON.stringify(toolUse.input)}`));
+}
 
-    response = await client.messages.create({
-      model: "claude-sonnet-4-20250514",
-      max_tokens: 1024,
-      system: SYSTEM_PROMPT,
+// Sent alongside the last tool results when a limit stops the loop
+function partialResultsNotice(reason) {
+  return `Tool use has stopped because ${reason}. Do not request any more tools. ` +
+    'Answer now using the results gathered so far, and tell the customer which lookups could not be completed.';
+}
+
+const SESSION_BUDGET_MESSAGE = "This conversation has gotten too long for me to keep going. Please start a new conversation - your saved appliances will carry over.";
+
+const PARTIAL_FALLBACK = "Sorry, I couldn't finish looking everything up in time. Here is what I found so far - please try again or ask about fewer items at once.";
+
+// Call the model, streaming text deltas to onEvent when the caller wants them. Each call
+// is an 'llm' span, with the tokens it used; the response's usage gains its estimated cost.
+async function createMessage(provider, system, messages, onEvent, budget) {
+  const labels = { provider: provider.name, model: provider.model };
+  const span = startSpan('llm', labels);
+  let response;
+  try {
+    response = await provider.createMessage({
+      system,
       tools: tools,
-      messages: anthropicMessages
+      messages,
+      onText: onEvent ? (delta) => onEvent('text', { delta }) : undefined
     });
+  } catch (error) {
+    const { durationMs } = span.end({ outcome: 'error', error });
+    metrics.llmCalls.inc({ ...labels, outcome: 'error' });
+    metrics.llmDuration.observe(labels, durationMs / 1000);
+    throw error;
+  }
+
+  const inputTokens = response.usage?.inputTokens ?? 0;
+  const outputTokens = response.usage?.outputTokens ?? 0;
+  const { durationMs } = span.end({ outcome: 'ok', stopReason: response.stopReason, inputTokens, outputTokens });
+  metrics.llmCalls.inc({ ...labels, outcome: 'ok' });
+  metrics.llmDuration.observe(labels, durationMs / 1000);
+  metrics.llmTokens.inc({ ...labels, type: 'input' }, inputTokens);
+  metrics.llmTokens.inc({ ...labels, type: 'output' }, outputTokens);
+  const costUsd = estimateCost(provider.model, { inputTokens, outputTokens }, budget);
+  if (costUsd) {
+    metrics.llmCost.inc(labels, costUsd);
   }
+  return { ...response, usage: { inputTokens, outputTokens, costUsd } };
+}
 
-  // Extract text response
-  const textBlock = response.content.find(block => block.type === "text");
-  const text = textBlock ? textBlock.text : "I apologize, but I couldn't generate a response.";
+// onEvent(type, data) receives 'text', 'step' and 'block' events as the turn progresses.
+// Resolves to { text, blocks, usage }, where blocks are the typed UI blocks built from tool
+// results and usage is the turn's { inputTokens, outputTokens, costUsd } (cost is null for
+// models without a known price). Requests the policy refuses (see policy.js) resolve to
+// { text, blocks: [], usage, refusal } without calling the model, where refusal is
+// { verdict, reason, category, message }.
+// `provider` defaults to the one configured for this deployment (see providers/index.js).
+// `pageContext` is the sanitized partselect.com page the customer has open, if any.
+// `profile` is the customer's sanitized appliance profile (see profiles.js) and `userId`
+// the user it's stored under, so save_appliance can add to it.
+// `policy` defaults to the one configured for this deployment.
+// `limits` caps tool rounds, the turn's wall-clock time and tool concurrency (see agentConfig()).
+// `budget` caps the tokens of the turn and the session and sets when history is compacted
+// (see budgetConfig() and budget.js). `sessionUsage` is what the stored session has used so
+// far; once it's past the session budget the turn resolves to { text, blocks: [], usage,
+// budgetExceeded: 'session' } without calling the model.
+// `signal` aborts the turn between model calls, e.g. when the client has disconnected, and
+// aborts its running tools; they are also aborted when the turn runs past its deadline, and
+// then answer the model with a timeout error instead.
+export async function chat(messages, { onEvent, provider = getProvider(), policy = getPolicy(), pageContext = null, profile = null, userId = null, limits = agentConfig(), budget = budgetConfig(), sessionUsage = null, signal } = {}) {
+  const decision = policy.checkRequest(messages);
+  if (decision.verdict !== 'in_scope') {
+    log.info('Refused request', { verdict: decision.verdict, reason: decision.reason, category: decision.category });
+    onEvent?.('text', { delta: decision.message });
+    return { text: decision.message, blocks: [], usage: EMPTY_USAGE, refusal: decision };
+  }
+
+  if (sessionUsage && totalTokens(sessionUsage) >= budget.sessionTokens) {
+    log.warn('Session token budget exhausted', { tokens: totalTokens(sessionUsage), budget: budget.sessionTokens });
+    onEvent?.('text', { delta: SESSION_BUDGET_MESSAGE });
+    return { text: SESSION_BUDGET_MESSAGE, blocks: [], usage: EMPTY_USAGE, budgetExceeded: 'session' };
+  }
+
+  // Long conversations are cut down before they're sent (see budget.js)
+  const history = compactHistory(messages, budget);
+  if (history.summary || history.compactedResults) {
+    log.info('Compacted conversation history', {
+      summarizedMessages: history.summarizedMessages,
+      compactedResults: history.compactedResults
+    });
+  }
+
+  const system = SYSTEM_PROMPT + describePageContext(pageContext) + describeProfile(profile);
+  const turn = { userId, profile };
+  const deadline = Date.now() + limits.turnTimeoutMs;
+  // Aborted at the deadline, or with the request: a tool that runs past the deadline stops
+  // scraping and gives back its page-pool slots instead of holding them for nothing
+  const requestSignal = signal ?? currentRequestContext().signal;
+  const turnController = createDeadlineController(requestSignal, deadline);
+
+  // Convert messages to Anthropic format
+  const anthropicMessages = withEarlierConversation(history.messages, history.summary).map(msg => ({
+    role: msg.role,
+    content: msg.content
+  }));
 
-  // Return both text and any part data
-  return {
-    text,
-    parts: partsData
+  // Typed blocks for the UI (see blocks.js). They stream out as each tool finishes, and the
+  // final list is in the order the model asked for the tools.
+  const blocks = [];
+  let roundBlocks = [];
+  const onResult = (toolName, result, index) => {
+    roundBlocks[index] = blocksForToolResult(toolName, result);
+    roundBlocks[index].forEach(block => onEvent?.('block', { block }));
   };
+
+  try {
+    let response = await createMessage(provider, system, anthropicMessages, onEvent, budget);
+    let usage = addUsage(EMPTY_USAGE, response.usage);
+    let rounds = 0;
+    let stopReason = null;
+
+    // Handle tool use loop
+    while (response.stopReason === "tool_use") {
+      if (stopReason) {
+        // The model asked for more tools after being told to stop; don't run them
+        break;
+      }
+
+      const toolUseBlocks = response.content.filter(block => block.type === "tool_use");
+      const results = await runToolCalls(toolUseBlocks, {
+        concurrency: limits.toolConcurrency,
+        signal: turnController.signal,
+        requestSignal,
+        onEvent,
+        onResult,
+        turn,
+        policy
+      });
+      blocks.push(...roundBlocks.flat());
+      roundBlocks = [];
+
+      const toolResults = toolUseBlocks.map((toolUse, index) => ({
+        type: "tool_result",
+        tool_use_id: toolUse.id,
+        content: JSON.stringify(results[index])
+      }));
+
+      rounds++;
+      if (rounds >= limits.maxToolRounds) {
+        stopReason = `the limit of ${limits.maxToolRounds} tool rounds was reached`;
+      } else if (Date.now() >= deadline) {
+        stopReason = 'the time limit for this answer was reached';
+      } else if (totalTokens(usage) >= budget.turnTokens) {
+        stopReason = 'the token budget for this answer was reached';
+      }
+      if (stopReason) {
+        log.warn('Stopping tool use', { reason: stopReason, rounds });
+        toolResults.push({ type: "text", text: partialResultsNotice(stopReason) });
+      }
+
+      // Continue conversation with tool results
+      anthropicMessages.push({
+        role: "assistant",
+        content: response.content
+      });
+      anthropicMessages.push({
+        role: "user",
+        content: toolResults
+      });
+
+      signal?.throwIfAborted();
+      // Earlier rounds' results are cut down once the turn has grown past the history threshold
+      response = await createMessage(provider, system, compactToolResults(anthropicMessages, budget).messages, onEvent, budget);
+      usage = addUsage(usage, response.usage);
+    }
+
+    // Extract text response
+    const textBlock = response.content.find(block => block.type === "text");
+    const text = textBlock
+      ? textBlock.text
+      : stopReason ? PARTIAL_FALLBACK : "I apologize, but I couldn't generate a response.";
+
+    return { text, blocks, usage };
+  } finally {
+    turnController.dispose();
+  }
 }
@@ -0,0 +1,384 @@
+import express from 'express';
+import cors from 'cors';
+import { chat as defaultChat } from './agent.js';
+import { browserEvents, scraperStatus } from './scraper.js';
+import { invalidate, CACHE_POLICIES } from './cache.js';
+import { sanitizePageContext } from './pageContext.js';
+import { isUserId, getProfile, saveProfile, sanitizeProfile } from './profiles.js';
+import { createSession, getSession, listSessions, deleteSession, appendMessages, sessionHistory } from './sessions.js';
+import { runWithRequestContext, currentRequestContext, isAbortError } from './requestContext.js';
+import { createLogger } from './logger.js';
+import { traceIdFrom, summarizeSpans } from './tracing.js';
+import { metrics, renderMetrics } from './metrics.js';
+import { authConfig, requestLimitsConfig } from './config.js';
+import { createAuth } from './auth.js';
+import { createRateLimiter } from './rateLimit.js';
+import { checkMessage, checkMessages, cleanMessages } from './validation.js';
+
+const log = createLogger('chat');
+
+// JSON body for a completed turn, shared by the plain and streamed responses
+function responseBody(response) {
+  return {
+    role: 'assistant',
+    content: response.text,
+    blocks: response.blocks || [],
+    ...(response.usage && { usage: response.usage }),
+    ...(response.refusal && { refusal: response.refusal }),
+    ...(response.budgetExceeded && { budgetExceeded: response.budgetExceeded })
+  };
+}
+
+// Record how a turn ended, with where its time went
+function finishTurn(started, outcome, error) {
+  const durationMs = Date.now() - started;
+  const spans = currentRequestContext().spans || [];
+  metrics.chatTurns.inc({ outcome });
+  metrics.chatTurnDuration.observe({}, durationMs / 1000);
+  log[outcome === 'error' ? 'error' : 'info']('Turn finished', { outcome, durationMs, spans: summarizeSpans(spans), error });
+}
+
+function turnOutcome(response) {
+  if (response.refusal) return 'refused';
+  if (response.budgetExceeded) return 'budget_exceeded';
+  return 'ok';
+}
+
+// Write a single named SSE event to a streaming response
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Streamed variant of /api/chat: text deltas, tool steps and typed blocks arrive as SSE events.
+// `finish` turns the completed turn into the final response body (saving it to a session if needed).
+async function streamChat(chat, messages, options, finish, res) {
+  const started = Date.now();
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  try {
+    const response = await chat(messages, {
+      ...options,
+      onEvent: (event, data) => writeEvent(res, event, data)
+    });
+
+    writeEvent(res, 'done', await finish(response));
+    finishTurn(started, turnOutcome(response));
+  } catch (error) {
+    if (isAbortError(error)) {
+      log.info('Client disconnected, turn cancelled');
+      finishTurn(started, 'cancelled');
+      return;
+    }
+    finishTurn(started, 'error', error);
+    writeEvent(res, 'error', {
+      error: 'Failed to get response',
+      details: error.message
+    });
+  } finally {
+    res.end();
+  }
+}
+
+// 400 or 413 for chat requests that don't pass validation (see validation.js)
+function checkChatRequest(limits) {
+  return (req, res, next) => {
+    const { messages, sessionId, message } = req.body || {};
+    const problem = sessionId !== undefined ? checkMessage(message, limits) : checkMessages(messages, limits);
+    if (problem) {
+      return res.status(problem.status).json({ error: problem.error, code: problem.code });
+    }
+    next();
+  };
+}
+
+// Per-client limits on chat turns: 429 with Retry-After once a client is over the
+// per-minute rate or the daily quota. A client is one side panel install (see auth.js).
+function chatRateLimit(limits) {
+  const perMinute = createRateLimiter({ limit: limits.perMinute, windowMs: 60 * 1000 });
+  const perDay = createRateLimiter({ limit: limits.perDay, windowMs: 24 * 60 * 60 * 1000 });
+
+  return (req, res, next) => {
+    const { clientId } = req.client;
+    const burst = perMinute.take(clientId);
+    const quota = burst.allowed ? perDay.take(clientId) : null;
+
+    res.setHeader('X-RateLimit-Limit', limits.perMinute);
+    res.setHeader('X-RateLimit-Remaining', burst.remaining);
+    if (burst.allowed && quota.allowed) {
+      return next();
+    }
+
+    const rejected = burst.allowed ? quota : burst;
+    const retryAfterSeconds = Math.ceil(rejected.retryAfterMs / 1000);
+    log.warn('Rate limited chat request', { clientId, limit: burst.allowed ? 'quota' : 'rate' });
+    res.setHeader('Retry-After', retryAfterSeconds);
+    res.status(429).json(burst.allowed
+      ? { error: `The daily quota of ${limits.perDay} chat requests is used up`, code: 'quota_exceeded', retryAfterSeconds }
+      : { error: `Chat requests are limited to ${limits.perMinute} a minute`, code: 'rate_limited', retryAfterSeconds });
+  };
+}
+
+// Chat limits are kept per install, so registering installs is limited too, per IP
+// address: otherwise a fresh install token would be a fresh rate limit and quota
+function installRateLimit(limits) {
+  const perDay = createRateLimiter({ limit: limits.installsPerDay, windowMs: 24 * 60 * 60 * 1000 });
+
+  return (req, res, next) => {
+    const registration = perDay.take(req.ip);
+    if (registration.allowed) {
+      return next();
+    }
+
+    const retryAfterSeconds = Math.ceil(registration.retryAfterMs / 1000);
+    log.warn('Rate limited install registration', { ip: req.ip });
+    res.setHeader('Retry-After', retryAfterSeconds);
+    res.status(429).json({
+      error: `Installs are limited to ${limits.installsPerDay} a day from one address`,
+      code: 'rate_limited',
+      retryAfterSeconds
+    });
+  };
+}
+
+// Build the Express app. `chat` can be swapped out so routes can be exercised without a model;
+// `auth` and `limits` default to the deployment's (see authConfig() and requestLimitsConfig()).
+export function createApp({ chat = defaultChat, auth = createAuth(), limits = requestLimitsConfig() } = {}) {
+  const app = express();
+  const { corsOrigins } = authConfig();
+
+  app.use(cors({
+    origin: corsOrigins.length > 0 ? corsOrigins : true,
+    exposedHeaders: ['X-Trace-Id', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining']
+  }));
+  app.use(express.json({ limit: limits.maxBodyBytes }));
+
+  // Count every request by its route pattern (not the raw path, which would include IDs)
+  app.use((req, res, next) => {
+    res.on('finish', () => {
+      metrics.httpRequests.inc({
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+        status: res.statusCode
+      });
+    });
+    next();
+  });
+
+  // SSE endpoint for browser status updates
+  const sseClients = new Set();
+
+  app.get('/api/events', (req, res) => {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    sseClients.add(res);
+
+    req.on('close', () => {
+      sseClients.delete(res);
+    });
+  });
+
+  // Forward browser events to SSE clients
+  browserEvents.on('closed', (data) => {
+    const message = JSON.stringify(data);
+    sseClients.forEach(client => {
+      client.write(`data: ${message}\n\n`);
+    });
+  });
+
+  // Page pool and queue state go out as named events so plain onmessage listeners ignore them
+  for (const event of ['pool', 'queue']) {
+    browserEvents.on(event, (data) => {
+      sseClients.forEach(client => writeEvent(client, event, data));
+    });
+  }
+
+  // Either { messages } with the full history, or { sessionId, message } to continue a stored session
+  app.post('/api/chat', auth.requireAuth, checkChatRequest(limits), chatRateLimit(limits), async (req, res) => {
+    const started = Date.now();
+    // Carried into every log line and span of the turn, including the scraper's
+    const traceId = traceIdFrom(req.get('X-Trace-Id'));
+    res.setHeader('X-Trace-Id', traceId);
+
+    try {
+      const { messages, sessionId, message } = req.body;
+      let history;
+      // Stored sessions have a token budget of their own; client-held histories are only
+      // bounded per turn
+      let sessionUsage = null;
+      let finish = async (response) => responseBody(response);
+
+      if (sessionId !== undefined) {
+        const session = await getSession(sessionId, { owner: req.client.clientId });
+        if (!session) {
+          return res.status(404).json({ error: 'Session not found' });
+        }
+
+        history = [...sessionHistory(session), { role: 'user', content: message }];
+        sessionUsage = session.usage || null;
+        finish = async (response) => {
+          const body = responseBody(response);
+          const updated = await appendMessages(session.id, [{ role: 'user', content: message }, body], { usage: response.usage });
+          return { ...body, sessionId: session.id, sessionUsage: updated.usage };
+        };
+      } else {
+        history = cleanMessages(messages);
+      }
+
+      // Stop the turn's scraping when the client disconnects before the response is sent
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableFinished) {
+          controller.abort();
+        }
+      });
+
+      // The side panel sends its saved appliances with each turn; fall back to the stored copy.
+      // The profile is the calling install's own, whatever the body says.
+      const userId = req.client.installId;
+      const profile = req.body.profile !== undefined
+        ? sanitizeProfile(req.body.profile)
+        : userId ? await getProfile(userId) : null;
+
+      const options = {
+        pageContext: sanitizePageContext(req.body.pageContext),
+        profile,
+        userId,
+        sessionUsage,
+        signal: controller.signal
+      };
+      // Browser pages are shared fairly between conversations (see pagePool.js)
+      const context = { sessionKey: sessionId || `client:${req.ip}`, signal: controller.signal, traceId, spans: [] };
+
+      return await runWithRequestContext(context, async () => {
+        // Clients that can read a stream ask for it; everyone else gets the JSON response
+        if (req.accepts(['application/json', 'text/event-stream']) === 'text/event-stream') {
+          return await streamChat(chat, history, options, finish, res);
+        }
+
+        try {
+          const response = await chat(history, options);
+
+          res.json(await finish(response));
+          finishTurn(started, turnOutcome(response));
+        } catch (error) {
+          finishTurn(started, isAbortError(error) ? 'cancelled' : 'error', error);
+          throw error;
+        }
+      });
+    } catch (error) {
+      if (isAbortError(error)) {
+        log.info('Client disconnected, turn cancelled', { traceId });
+        return;
+      }
+      log.error('Chat request failed', { traceId, error });
+      res.status(500).json({
+        error: 'Failed to get response',
+        details: error.message
+      });
+    }
+  });
+
+  // Each side panel install registers once, trading the build's shared token for one of its
+  // own (see auth.js), so its conversations and limits aren't shared with other installs
+  app.post('/api/installs', auth.requireAuth, installRateLimit(limits), (req, res) => {
+    res.status(201).json(auth.registerInstall(req.client));
+  });
+
+  // Sessions belong to the client that created them, one install of the side panel;
+  // other clients get a 404
+  app.post('/api/sessions', auth.requireAuth, async (req, res) => {
+    const session = await createSession({ owner: req.client.clientId });
+    res.status(201).json(session);
+  });
+
+  app.get('/api/sessions', auth.requireAuth, async (req, res) => {
+    res.json({ sessions: await listSessions({ owner: req.client.clientId }) });
+  });
+
+  app.get('/api/sessions/:id', auth.requireAuth, async (req, res) => {
+    const session = await getSession(req.params.id, { owner: req.client.clientId });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(session);
+  });
+
+  app.delete('/api/sessions/:id', auth.requireAuth, async (req, res) => {
+    const removed = await deleteSession(req.params.id, { owner: req.client.clientId });
+    if (!removed) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.status(204).end();
+  });
+
+  // Saved appliance profiles, keyed by the side panel install's ID; an install may only
+  // read and save its own
+  const checkProfileOwner = (req, res, next) => {
+    if (!isUserId(req.params.userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    if (req.params.userId !== req.client.installId) {
+      return res.status(403).json({ error: 'Profiles can only be used by the install they belong to', code: 'forbidden' });
+    }
+    next();
+  };
+
+  app.get('/api/profiles/:userId', auth.requireAuth, checkProfileOwner, async (req, res) => {
+    res.json(await getProfile(req.params.userId));
+  });
+
+  app.put('/api/profiles/:userId', auth.requireAuth, checkProfileOwner, async (req, res) => {
+    if (!Array.isArray(req.body?.appliances)) {
+      return res.status(400).json({ error: 'Appliances array is required' });
+    }
+    res.json(await saveProfile(req.params.userId, req.body));
+  });
+
+  // Drop a cached scrape result, e.g. DELETE /api/cache/part/PS11752778
+  app.delete('/api/cache/:kind/:key', auth.requireAuth, async (req, res) => {
+    const { kind, key } = req.params;
+
+    if (!CACHE_POLICIES[kind]) {
+      return res.status(400).json({ error: `Unknown cache kind: ${kind}` });
+    }
+
+    const removed = await invalidate(kind, key);
+    res.json({ kind, key, removed });
+  });
+
+  // Recent success rate and latency per lookup source, plus the browser page pool
+  app.get('/api/status', (req, res) => {
+    const { sources, pages } = scraperStatus();
+    const degraded = sources.some(source => source.circuit !== 'closed');
+    res.json({ status: degraded ? 'degraded' : 'ok', sources, pages });
+  });
+
+  // Prometheus-style metrics: requests, turns, model calls and tokens, tool latency,
+  // scrape failures and cache hits (see metrics.js)
+  app.get('/api/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+  });
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  // Bodies express.json() refused: over the size limit, or not JSON
+  app.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Request bodies are limited to ${limits.maxBodyBytes} bytes`, code: 'too_large' });
+    }
+    if (error.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: 'Request body is not valid JSON', code: 'invalid_request' });
+    }
+    next(error);
+  });
+
+  return app;
+}
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import { authConfig } from './config.js';
+import { createLogger } from './logger.js';
+
+// Who is calling the API. Two kinds of credential, both sent as "Authorization: Bearer ...":
+//   - API keys (API_KEYS), for servers and scripts; X-API-Key works too;
+//   - signed extension tokens, issued per side panel install with `npm run token` and
+//     built into the extension. A token is v1.<client id>.<expiry>.<signature>, where the
+//     signature is an HMAC of the rest with EXTENSION_TOKEN_SECRET, so tokens can be
+//     checked without storing them and expire on their own.
+// Each authenticated caller gets a stable client ID that rate limits, quotas and stored
+// conversations are kept under. A build's token is shared by everyone who installs it, so
+// each side panel install trades it for a token of its own on first run (registerInstall),
+// named "<build>/<install ID>". With no keys or secret configured the API is open and clients
+// are told apart by the install ID they send in X-Install-Id, or failing that by IP.
+
+const log = createLogger('auth');
+
+const TOKEN_VERSION = 'v1';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// Compare secrets in constant time, whatever their lengths
+function safeEqual(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+// A token for `clientId` (e.g. "extension-beta") that expires after `expiresInDays`
+export function issueToken(clientId, { secret, expiresInDays = 90, now = Date.now() }) {
+  if (!secret) {
+    throw new Error('EXTENSION_TOKEN_SECRET is required to issue tokens');
+  }
+  const payload = `${TOKEN_VERSION}.${base64url(clientId)}.${now + expiresInDays * DAY_MS}`;
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// The client ID of a valid, unexpired token, or null
+export function verifyToken(token, { secret, now = Date.now() }) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (!secret || parts.length !== 4 || parts[0] !== TOKEN_VERSION) {
+    return null;
+  }
+
+  const [version, encodedId, expiresAt, signature] = parts;
+  if (!safeEqual(signature, sign(`${version}.${encodedId}.${expiresAt}`, secret))) {
+    return null;
+  }
+  if (!(Number(expiresAt) > now)) {
+    return null;
+  }
+  return Buffer.from(encodedId, 'base64url').toString('utf8') || null;
+}
+
+function credentialFrom(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : req.get('X-API-Key') || null;
+}
+
+const INSTALL_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// { build, installId } for a token's client ID; installId is null for a build's own token
+function tokenClient(id) {
+  const [build, installId = null] = id.split('/');
+  return { build, installId: installId && INSTALL_ID_PATTERN.test(installId) ? installId : null };
+}
+
+export function createAuth({ apiKeys, tokenSecret } = authConfig()) {
+  const enabled = apiKeys.length > 0 || Boolean(tokenSecret);
+
+  // { clientId, method, installId } for the request's credential, or null when it has none or
+  // it's invalid. installId is set for a side panel install's token, or its X-Install-Id when
+  // auth is off, and null for API keys and build tokens.
+  function authenticate(req) {
+    if (!enabled) {
+      const installId = INSTALL_ID_PATTERN.test(req.get('X-Install-Id') || '') ? req.get('X-Install-Id') : null;
+      return installId
+        ? { clientId: `install:${installId}`, method: 'none', installId }
+        : { clientId: `ip:${req.ip}`, method: 'none', installId: null };
+    }
+
+    const credential = credentialFrom(req);
+    if (!credential) {
+      return null;
+    }
+
+    const key = apiKeys.find(candidate => safeEqual(candidate, credential));
+    if (key) {
+      return { clientId: `key:${crypto.createHash('sha256').update(key).digest('hex').slice(0, 12)}`, method: 'api_key', installId: null };
+    }
+
+    const clientId = verifyToken(credential, { secret: tokenSecret });
+    return clientId ? { clientId: `token:${clientId}`, method: 'token', installId: tokenClient(clientId).installId } : null;
+  }
+
+  // A new side panel install for `client`, the build's token (or anyone when auth is off):
+  // { installId, token }, where the token is null unless EXTENSION_TOKEN_SECRET is set
+  function registerInstall(client, { expiresInDays = 365 } = {}) {
+    const installId = crypto.randomUUID();
+    if (!tokenSecret) {
+      return { installId, token: null };
+    }
+    const build = client.method === 'token' ? tokenClient(client.clientId.slice('token:'.length)).build : client.clientId;
+    return { installId, token: issueToken(`${build}/${installId}`, { secret: tokenSecret, expiresInDays }) };
+  }
+
+  // Express middleware: 401 without a valid credential, otherwise req.client is set
+  function requireAuth(req, res, next) {
+    const client = authenticate(req);
+    if (!client) {
+      log.warn('Rejected unauthenticated request', { method: req.method, path: req.path, ip: req.ip });
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'A valid API key or extension token is required', code: 'unauthorized' });
+    }
+    req.client = client;
+    next();
+  }
+
+  return { enabled, authenticate, requireAuth, registerInstall };
+}
@@ -0,0 +1,120 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('blocks');
+
+// Typed blocks the chat UI renders under a reply, in the order the tools produced them.
+// Every block is { type, version, data }. A type's version goes up whenever its data
+// changes shape, so a client can fall back for versions it doesn't know yet rather than
+// misrender them.
+export const BLOCK_SCHEMAS = {
+  part: { version: 1, required: ['partNumber', 'title'] },
+  model: { version: 1, required: ['modelNumber', 'title'] },
+  compatibility: { version: 1, required: ['partNumber', 'modelNumber', 'verdict'] },
+  guide: { version: 1, required: ['partNumber', 'steps'] },
+  troubleshooting: { version: 1, required: ['appliance', 'symptom', 'checklist'] },
+  suggested_parts: { version: 1, required: ['parts'] },
+  appliance: { version: 1, required: ['id', 'modelNumber'] }
+};
+
+// Build a block, or return null (and log) when data is missing a required field
+export function createBlock(type, data) {
+  const schema = BLOCK_SCHEMAS[type];
+  if (!schema) {
+    throw new Error(`Unknown block type: ${type}`);
+  }
+
+  const missing = schema.required.filter(field => data?.[field] === undefined || data[field] === null);
+  if (missing.length > 0) {
+    log.warn('Dropping block with missing fields', { type, missing });
+    return null;
+  }
+
+  return { type, version: schema.version, data };
+}
+
+function partBlock(part) {
+  const { partNumber, title, price, inStock, imageUrl, description, url, matchedAliases, rating, reviewCount } = part;
+  return createBlock('part', { partNumber, title, price, inStock, imageUrl, description, url, matchedAliases, rating, reviewCount });
+}
+
+function modelBlock(model) {
+  const { modelNumber, title, brand, applianceType, url, sections, featuredParts, manuals } = model;
+  return createBlock('model', { modelNumber, title, brand, applianceType, url, sections, featuredParts, manuals });
+}
+
+function compatibilityBlock(result) {
+  const { partNumber, modelNumber, modelName, verdict, confidence, evidence, message } = result;
+  return createBlock('compatibility', { partNumber, modelNumber, modelName, verdict, confidence, evidence, message });
+}
+
+function guideBlock(guide) {
+  const { partNumber, title, url, difficulty, time, tools, ratingsCount, steps, stories, videos } = guide;
+  return createBlock('guide', { partNumber, title, url, difficulty, time, tools, ratingsCount, steps, stories, videos });
+}
+
+// The repair page's tips as a checklist, plus where the diagnosis has got to
+function troubleshootingBlock(result) {
+  const { diagnosis } = result;
+  if (!result.topic) {
+    return null;
+  }
+  return createBlock('troubleshooting', {
+    appliance: result.appliance,
+    symptom: result.symptom,
+    topic: result.topic,
+    checklist: result.tips || [],
+    answered: diagnosis?.answered || [],
+    nextQuestion: diagnosis?.status === 'question' ? diagnosis.question.text : null,
+    advice: diagnosis?.advice || null
+  });
+}
+
+// Ranked candidate parts once the diagnosis has finished
+function suggestedPartsBlock(result) {
+  const { diagnosis } = result;
+
+  if (diagnosis?.status === 'done' && diagnosis.candidates.length > 0) {
+    return createBlock('suggested_parts', {
+      title: `Likely causes: ${result.topic.title}`,
+      modelNumber: diagnosis.filteredToModel ? diagnosis.modelNumber : null,
+      parts: diagnosis.candidates.map(candidate => {
+        const [modelPart] = candidate.modelParts || [];
+        return {
+          name: candidate.name,
+          likelihood: candidate.likelihood,
+          partNumber: modelPart?.partNumber || null,
+          price: modelPart?.price || null,
+          url: modelPart?.url || null
+        };
+      })
+    });
+  }
+
+  return null;
+}
+
+// Blocks for one tool result; tools that failed, were withheld by the policy or have nothing
+// to show give none
+export function blocksForToolResult(toolName, result) {
+  if (!result || result.error || result.withheld) {
+    return [];
+  }
+
+  switch (toolName) {
+    case 'get_part_info':
+      return [partBlock(result)].filter(Boolean);
+    case 'get_model_info':
+      return [modelBlock(result)].filter(Boolean);
+    case 'check_compatibility':
+      return [compatibilityBlock(result)].filter(Boolean);
+    case 'get_installation_guide':
+      return [guideBlock(result)].filter(Boolean);
+    case 'troubleshoot':
+      return [troubleshootingBlock(result), suggestedPartsBlock(result)].filter(Boolean);
+    case 'save_appliance':
+      // Tells the side panel to add the appliance to its copy of the profile
+      return [createBlock('appliance', result.appliance)].filter(Boolean);
+    default:
+      return [];
+  }
+}
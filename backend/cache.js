@@ -0,0 +1,168 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { currentRequestContext, runOutsideRequestContext, isAbortError } from './requestContext.js';
+import { createLogger } from './logger.js';
+import { metrics } from './metrics.js';
+
+const log = createLogger('cache');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function cacheDir() {
+  return process.env.SCRAPER_CACHE_DIR ||
+    path.join(path.dirname(fileURLToPath(import.meta.url)), '.cache');
+}
+
+// How long each kind of scraped result stays fresh (`ttl`) and how much longer it may
+// be served while a refresh runs in the background (`staleTtl`). A part's price and stock
+// go stale long before its description or install steps do. They're read from the same
+// part page as its description, so a part entry is re-scraped on their hourly clock (in
+// the background while it's under a day old); install steps are cached separately, as
+// 'guide' entries, and keep much longer.
+export const CACHE_POLICIES = {
+  part: { ttl: HOUR_MS, staleTtl: DAY_MS },
+  model: { ttl: 7 * DAY_MS, staleTtl: 30 * DAY_MS },
+  guide: { ttl: 30 * DAY_MS, staleTtl: 90 * DAY_MS },
+  repair: { ttl: 30 * DAY_MS, staleTtl: 90 * DAY_MS }
+};
+
+// Entries already read from disk, and loads currently in flight (so concurrent
+// lookups of the same key share one scrape)
+const memory = new Map();
+const inFlight = new Map();
+
+function normalizeKey(key) {
+  return String(key).trim().toUpperCase();
+}
+
+function entryPath(kind, key) {
+  const safe = key.replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 80);
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 8);
+  return path.join(cacheDir(), kind, `${safe}-${hash}.json`);
+}
+
+function policyFor(kind) {
+  const policy = CACHE_POLICIES[kind];
+  if (!policy) {
+    throw new Error(`Unknown cache kind: ${kind}`);
+  }
+  return policy;
+}
+
+// 'fresh', 'stale' (servable while revalidating) or 'expired'
+function entryState(kind, entry) {
+  const { ttl, staleTtl } = policyFor(kind);
+  const age = Date.now() - entry.storedAt;
+
+  if (age < ttl) return 'fresh';
+  if (age < staleTtl) return 'stale';
+  return 'expired';
+}
+
+async function readEntry(kind, key) {
+  const memoryKey = `${kind}:${key}`;
+  if (memory.has(memoryKey)) {
+    return memory.get(memoryKey);
+  }
+
+  try {
+    const entry = JSON.parse(await fs.readFile(entryPath(kind, key), 'utf8'));
+    memory.set(memoryKey, entry);
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+async function writeEntry(kind, key, value) {
+  const entry = { key, storedAt: Date.now(), value };
+  memory.set(`${kind}:${key}`, entry);
+
+  try {
+    const file = entryPath(kind, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(entry));
+  } catch (error) {
+    log.warn('Failed to persist entry', { kind, key, error });
+  }
+}
+
+// Run the loader once per key at a time; results with an `error` field are not cached
+function load(kind, key, loader) {
+  const flightKey = `${kind}:${key}`;
+  if (inFlight.has(flightKey)) {
+    return inFlight.get(flightKey);
+  }
+
+  const promise = (async () => {
+    try {
+      const value = await loader();
+      if (value && !value.error) {
+        await writeEntry(kind, key, value);
+      }
+      return value;
+    } finally {
+      inFlight.delete(flightKey);
+    }
+  })();
+
+  inFlight.set(flightKey, promise);
+  return promise;
+}
+
+// Return the cached result for (kind, key), calling loader() on a miss. Stale entries
+// are returned immediately while loader() refreshes them in the background.
+export async function cached(kind, key, loader) {
+  const normalized = normalizeKey(key);
+  const entry = await readEntry(kind, normalized);
+
+  if (entry) {
+    const state = entryState(kind, entry);
+
+    if (state === 'fresh') {
+      log.debug('Hit', { kind, key: normalized });
+      metrics.cacheLookups.inc({ kind, result: 'hit' });
+      return entry.value;
+    }
+
+    if (state === 'stale') {
+      log.debug('Stale, revalidating in background', { kind, key: normalized });
+      metrics.cacheLookups.inc({ kind, result: 'stale' });
+      // Not tied to this request, so it finishes even if the client goes away
+      runOutsideRequestContext(() => load(kind, normalized, loader)).catch(error => {
+        log.warn('Revalidation failed', { kind, key: normalized, error });
+      });
+      return entry.value;
+    }
+  }
+
+  log.debug('Miss', { kind, key: normalized });
+  metrics.cacheLookups.inc({ kind, result: 'miss' });
+  try {
+    return await load(kind, normalized, loader);
+  } catch (error) {
+    // A shared load started by a request that was since cancelled: start it again for this one
+    if (isAbortError(error) && !currentRequestContext().signal?.aborted) {
+      log.info('Load was cancelled by another request, retrying', { kind, key: normalized });
+      return await load(kind, normalized, loader);
+    }
+    throw error;
+  }
+}
+
+// Drop a single entry so the next lookup scrapes again
+export async function invalidate(kind, key) {
+  policyFor(kind);
+  const normalized = normalizeKey(key);
+  memory.delete(`${kind}:${normalized}`);
+
+  try {
+    await fs.unlink(entryPath(kind, normalized));
+    return true;
+  } catch {
+    return false;
+  }
+}
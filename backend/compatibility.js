@@ -0,0 +1,75 @@
+import { normalizePartNumber } from './partIdentity.js';
+
+// Compatibility verdicts built from evidence on both sides: the model's parts list
+// and the part page's "works with" model list.
+
+// Every number the part is known by: PS number, manufacturer number, superseded numbers
+export function partIdentifiers(partNumber, partInfo) {
+  const identifiers = new Set([normalizePartNumber(partNumber)]);
+
+  if (partInfo) {
+    [partInfo.psNumber, partInfo.manufacturerPartNumber, ...(partInfo.replacedPartNumbers || [])]
+      .filter(Boolean)
+      .forEach(number => identifiers.add(normalizePartNumber(number)));
+  }
+
+  identifiers.delete('');
+  return identifiers;
+}
+
+// Decide whether a part fits a model.
+//   modelParts: [{ partNumber, manufacturerNumber, name, source }] listed for the model, or null if unavailable
+//   worksWithModels: model numbers from the part page, or null if unavailable
+//   worksWithComplete: whether worksWithModels is the part page's full list
+// Returns { verdict: 'compatible' | 'not_compatible' | 'unknown', confidence: 'high' | 'medium' | 'low', evidence }
+export function evaluateCompatibility({ partNumber, partInfo, modelNumber, modelParts, worksWithModels, worksWithComplete = false }) {
+  const identifiers = partIdentifiers(partNumber, partInfo);
+  const model = normalizePartNumber(modelNumber);
+  const evidence = [];
+
+  for (const listed of modelParts || []) {
+    const matched = [listed.partNumber, listed.manufacturerNumber]
+      .filter(Boolean)
+      .find(number => identifiers.has(normalizePartNumber(number)));
+
+    if (matched) {
+      evidence.push({
+        source: 'model-parts',
+        detail: `${modelNumber} lists ${listed.name || matched} (${matched})${listed.source ? ` in ${listed.source}` : ''}`,
+        matched
+      });
+    }
+  }
+
+  const worksWith = (worksWithModels || []).find(listed => normalizePartNumber(listed) === model);
+  if (worksWith) {
+    evidence.push({
+      source: 'part-works-with',
+      detail: `The ${partNumber} part page lists ${worksWith} among the models it works with`,
+      matched: worksWith
+    });
+  }
+
+  const modelSideMatched = evidence.some(item => item.source === 'model-parts');
+  const partSideMatched = evidence.some(item => item.source === 'part-works-with');
+
+  if (modelSideMatched && partSideMatched) {
+    return { verdict: 'compatible', confidence: 'high', evidence };
+  }
+  if (modelSideMatched || partSideMatched) {
+    return { verdict: 'compatible', confidence: 'medium', evidence };
+  }
+
+  // Nothing matched: only call it a mismatch when both sides were actually checked
+  const modelChecked = Array.isArray(modelParts) && modelParts.length > 0;
+  const partChecked = Array.isArray(worksWithModels) && worksWithModels.length > 0;
+
+  if (modelChecked && partChecked) {
+    return { verdict: 'not_compatible', confidence: worksWithComplete ? 'high' : 'medium', evidence };
+  }
+  if (partChecked && worksWithComplete) {
+    return { verdict: 'not_compatible', confidence: 'medium', evidence };
+  }
+
+  return { verdict: 'unknown', confidence: 'low', evidence };
+}
@@ -0,0 +1,159 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Deployment settings, read from the environment (backend/.env) each time they're needed
+
+// Where the backend keeps its own persistent data (sessions and the like); DATA_DIR overrides
+export function dataDir() {
+  return process.env.DATA_DIR ||
+    path.join(path.dirname(fileURLToPath(import.meta.url)), '.data');
+}
+
+const DEFAULT_MODELS = {
+  anthropic: 'claude-sonnet-4-20250514',
+  openai: 'gpt-4o-mini',
+  scripted: 'scripted'
+};
+
+function numberFromEnv(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return undefined;
+
+  const parsed = Number(value);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`${name} must be a number, got "${value}"`);
+  }
+  return parsed;
+}
+
+// Which LLM provider the agent talks to and how.
+//   LLM_PROVIDER     anthropic (default), openai or scripted
+//   LLM_MODEL        model name; defaults per provider
+//   LLM_TEMPERATURE  sampling temperature; provider default when unset
+//   LLM_MAX_TOKENS   output token limit per call (default 1024)
+//   LLM_BASE_URL     OpenAI-compatible server, e.g. http://localhost:11434/v1 for Ollama
+//   LLM_API_KEY      key for the OpenAI-compatible server (falls back to OPENAI_API_KEY)
+//   LLM_SCRIPT       JSON file of canned responses for the scripted provider
+export function llmConfig() {
+  const provider = (process.env.LLM_PROVIDER || 'anthropic').toLowerCase();
+
+  return {
+    provider,
+    model: process.env.LLM_MODEL || DEFAULT_MODELS[provider],
+    temperature: numberFromEnv('LLM_TEMPERATURE'),
+    maxTokens: numberFromEnv('LLM_MAX_TOKENS') ?? 1024,
+    baseUrl: process.env.LLM_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    scriptPath: process.env.LLM_SCRIPT
+  };
+}
+
+// Limits on the agent's tool loop for a single chat turn.
+//   AGENT_MAX_TOOL_ROUNDS    model round trips that may request tools (default 5)
+//   AGENT_TURN_TIMEOUT_MS    wall-clock budget for the tool calls of one turn (default 60000)
+//   AGENT_TOOL_CONCURRENCY   tool calls from one round that run at the same time (default 3)
+export function agentConfig() {
+  return {
+    maxToolRounds: numberFromEnv('AGENT_MAX_TOOL_ROUNDS') ?? 5,
+    turnTimeoutMs: numberFromEnv('AGENT_TURN_TIMEOUT_MS') ?? 60000,
+    toolConcurrency: Math.max(1, numberFromEnv('AGENT_TOOL_CONCURRENCY') ?? 3)
+  };
+}
+
+// Scraper limits and failure handling.
+//   SCRAPER_MAX_PAGES            browser pages that may load at the same time (default 3)
+//   SCRAPER_RETRIES              retries of a transient source failure (default 2)
+//   SCRAPER_RETRY_BACKOFF_MS     delay before the first retry, doubling after that (default 500)
+//   SCRAPER_CIRCUIT_COOLDOWN_MS  how long a failing source is skipped (default 60000)
+export function scraperConfig() {
+  return {
+    maxPages: Math.max(1, numberFromEnv('SCRAPER_MAX_PAGES') ?? 3),
+    retries: numberFromEnv('SCRAPER_RETRIES') ?? 2,
+    backoffMs: numberFromEnv('SCRAPER_RETRY_BACKOFF_MS') ?? 500,
+    cooldownMs: numberFromEnv('SCRAPER_CIRCUIT_COOLDOWN_MS') ?? 60 * 1000
+  };
+}
+
+// Local knowledge base over scraped content (see knowledgeBase.js).
+//   KB_EMBEDDING_MODEL  transformers.js model to blend vector search into BM25, e.g.
+//                       Xenova/all-MiniLM-L6-v2 (needs @xenova/transformers); BM25 only when unset
+export function knowledgeBaseConfig() {
+  return {
+    embeddingModel: process.env.KB_EMBEDDING_MODEL || null
+  };
+}
+
+// Scope policy applied around the agent (see policy.js).
+//   POLICY_FILE  JSON file overriding the refusal messages and the appliance types in scope
+export function policyConfig() {
+  return {
+    file: process.env.POLICY_FILE || null
+  };
+}
+
+// Log output (see logger.js).
+//   LOG_LEVEL   debug, info (default), warn or error
+//   LOG_FORMAT  json (default), one JSON object per line, or pretty for reading in a terminal
+export function loggingConfig() {
+  return {
+    level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+    format: (process.env.LOG_FORMAT || 'json').toLowerCase()
+  };
+}
+
+// Token and cost budgets (see budget.js).
+//   BUDGET_TURN_TOKENS       input and output tokens one turn's model calls may use before
+//                            tool use stops (default 150000)
+//   BUDGET_SESSION_TOKENS    tokens a stored session may use in total (default 2000000)
+//   BUDGET_HISTORY_TOKENS    estimated size of the conversation past which old tool results
+//                            are compacted and old turns summarized (default 12000)
+//   BUDGET_KEEP_MESSAGES     most recent messages always sent in full (default 6)
+//   LLM_INPUT_PRICE_PER_MTOK, LLM_OUTPUT_PRICE_PER_MTOK
+//                            USD per million tokens, for models without a built-in price
+export function budgetConfig() {
+  return {
+    turnTokens: numberFromEnv('BUDGET_TURN_TOKENS') ?? 150000,
+    sessionTokens: numberFromEnv('BUDGET_SESSION_TOKENS') ?? 2000000,
+    historyTokens: numberFromEnv('BUDGET_HISTORY_TOKENS') ?? 12000,
+    keepMessages: Math.max(1, numberFromEnv('BUDGET_KEEP_MESSAGES') ?? 6),
+    inputPricePerMTok: numberFromEnv('LLM_INPUT_PRICE_PER_MTOK'),
+    outputPricePerMTok: numberFromEnv('LLM_OUTPUT_PRICE_PER_MTOK')
+  };
+}
+
+function listFromEnv(name) {
+  return (process.env[name] || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Who may call the API (see auth.js).
+//   API_KEYS                comma-separated keys, sent as "Authorization: Bearer <key>" or X-API-Key
+//   EXTENSION_TOKEN_SECRET  secret that signs the side panel's tokens (npm run token)
+//   CORS_ORIGINS            comma-separated origins allowed to call the API, e.g.
+//                           chrome-extension://<extension id>; any origin when unset
+// With neither API_KEYS nor EXTENSION_TOKEN_SECRET set the API is open, for local development.
+export function authConfig() {
+  return {
+    apiKeys: listFromEnv('API_KEYS'),
+    tokenSecret: process.env.EXTENSION_TOKEN_SECRET || null,
+    corsOrigins: listFromEnv('CORS_ORIGINS')
+  };
+}
+
+// Limits on what one client may send to /api/chat (see validation.js and rateLimit.js),
+// and on how many installs may register from one address.
+//   CHAT_MAX_MESSAGES       messages in one request's history (default 100)
+//   CHAT_MAX_MESSAGE_CHARS  characters in one message (default 8000)
+//   CHAT_MAX_BODY_BYTES     size of a request body (default 262144)
+//   RATE_LIMIT_PER_MINUTE   chat requests per client per minute (default 20)
+//   QUOTA_PER_DAY           chat requests per client per day (default 500)
+//   INSTALLS_PER_DAY        side panel installs one IP address may register a day (default 10)
+export function requestLimitsConfig() {
+  return {
+    maxMessages: numberFromEnv('CHAT_MAX_MESSAGES') ?? 100,
+    maxMessageChars: numberFromEnv('CHAT_MAX_MESSAGE_CHARS') ?? 8000,
+    maxBodyBytes: numberFromEnv('CHAT_MAX_BODY_BYTES') ?? 256 * 1024,
+    perMinute: numberFromEnv('RATE_LIMIT_PER_MINUTE') ?? 20,
+    perDay: numberFromEnv('QUOTA_PER_DAY') ?? 500,
+    installsPerDay: numberFromEnv('INSTALLS_PER_DAY') ?? 10
+  };
+}
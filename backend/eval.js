@@ -0,0 +1,78 @@
+import 'dotenv/config';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { loadCases, runEvaluation, formatReport, latestRun, saveRun } from './evaluation.js';
+
+// Replay a dataset of customer queries through the agent and report what passed, what
+// changed since the previous run, and how long answers took. See evaluation.js for the
+// dataset format.
+//
+//   npm run eval -- [cases.jsonl] [options]
+//     --live-model      ask the configured LLM_PROVIDER instead of each case's scripted responses
+//     --record          fetch pages from partselect.com and record them as fixtures
+//     --fixtures <dir>  recorded pages to replay (default: SCRAPER_FIXTURES_DIR or backend/fixtures,
+//                       which holds the pages the bundled cases need)
+//     --runs <dir>      where run results are kept (default: evals/runs)
+//     --case <id>       only run this case (repeatable)
+//     --no-save         don't keep this run for later comparisons
+//
+// Exits with status 1 when any case fails.
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    'live-model': { type: 'boolean', default: false },
+    record: { type: 'boolean', default: false },
+    fixtures: { type: 'string' },
+    runs: { type: 'string', default: path.join(HERE, 'evals', 'runs') },
+    case: { type: 'string', multiple: true },
+    'no-save': { type: 'boolean', default: false }
+  }
+});
+
+const dataset = positionals[0] || path.join(HERE, 'evals', 'cases.jsonl');
+
+// Tools only see recorded pages, and each run starts from an empty cache and data
+// directory so earlier runs (or the dev server) can't change the answers
+const scratch = await fs.mkdtemp(path.join(os.tmpdir(), 'partselect-eval-'));
+process.env.SCRAPER_MODE = values.record ? 'record' : 'strict';
+if (values.fixtures) {
+  process.env.SCRAPER_FIXTURES_DIR = path.resolve(values.fixtures);
+}
+process.env.SCRAPER_CACHE_DIR = path.join(scratch, 'cache');
+process.env.DATA_DIR = path.join(scratch, 'data');
+
+const { chat } = await import('./agent.js');
+const { getProvider } = await import('./providers/index.js');
+const { closeBrowser } = await import('./scraper.js');
+
+try {
+  let cases = await loadCases(dataset);
+  if (values.case) {
+    cases = cases.filter(testCase => values.case.includes(testCase.id));
+  }
+
+  const previous = await latestRun(values.runs);
+  const run = await runEvaluation(cases, {
+    chat,
+    provider: values['live-model'] ? getProvider() : null,
+    dataset: path.relative(process.cwd(), dataset)
+  });
+
+  console.log(`\n${formatReport(run, previous)}`);
+  if (run.cases.some(result => /No recorded fixture/.test(result.error || ''))) {
+    console.log('\nSome pages these cases need have not been recorded yet; run once with --record to fetch them.');
+  }
+  if (!values['no-save']) {
+    console.log(`\nSaved run to ${path.relative(process.cwd(), await saveRun(values.runs, run))}`);
+  }
+  process.exitCode = run.summary.failed > 0 ? 1 : 0;
+} finally {
+  await closeBrowser();
+  await fs.rm(scratch, { recursive: true, force: true });
+}
@@ -0,0 +1,292 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createScriptedProvider } from './providers/scripted.js';
+
+// Offline evaluation: replay a JSONL dataset of customer queries through chat() and score
+// each answer against the case's expectations. One case per line:
+//
+//   {
+//     "id": "fit-check",
+//     "query": "Does PS11752778 fit WRS325FDAM04?",      or "messages": [...] for a history
+//     "profile": {...}, "pageContext": {...},             optional, passed to chat()
+//     "script": [...],                                    canned model responses (see providers/scripted.js)
+//     "expect": {
+//       "tools": [{ "name": "check_compatibility", "input": { "model_number": "WRS325FDAM04" } }],
+//       "declined": true,                                 out of scope: no tools, and the answer says so
+//       "mentions": ["compatible"],                       text the answer must contain
+//       "maxLatencyMs": 20000
+//     }
+//   }
+//
+// Part numbers in every answer must also appear in the query or a tool result.
+
+const DECLINE_PATTERN = /\b(only (help|assist)|specializ\w*|can(no|')t help|unable to help|outside|not able to help|don't (carry|sell|support))\b/i;
+const PART_NUMBER_PATTERN = /\bPS\d{5,}\b/g;
+
+export async function loadCases(file) {
+  const lines = (await fs.readFile(file, 'utf8')).split('\n');
+  return lines
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line && !line.startsWith('//'))
+    .map(({ line, number }) => {
+      let item;
+      try {
+        item = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}:${number}: ${error.message}`);
+      }
+      if (!item.id || (!item.query && !Array.isArray(item.messages))) {
+        throw new Error(`${file}:${number}: a case needs an id and a query or messages`);
+      }
+      return { expect: {}, ...item };
+    });
+}
+
+// Wrap a provider to keep the tool calls the model made and the results it was sent back
+function recordingProvider(provider) {
+  const toolCalls = [];
+  const toolResults = new Map();
+  const systems = new Set();
+
+  return {
+    toolCalls,
+    toolResults,
+    systems,
+    provider: {
+      ...provider,
+      async createMessage(request) {
+        systems.add(request.system);
+        for (const message of request.messages) {
+          if (Array.isArray(message.content)) {
+            message.content
+              .filter(block => block.type === 'tool_result')
+              .forEach(block => toolResults.set(block.tool_use_id, block.content));
+          }
+        }
+
+        const response = await provider.createMessage(request);
+        response.content
+          .filter(block => block.type === 'tool_use')
+          .forEach(block => toolCalls.push({ id: block.id, name: block.name, input: block.input }));
+        return response;
+      }
+    }
+  };
+}
+
+function sameValue(expected, actual) {
+  if (typeof expected === 'string' && typeof actual === 'string') {
+    return expected.trim().toLowerCase() === actual.trim().toLowerCase();
+  }
+  return JSON.stringify(expected) === JSON.stringify(actual);
+}
+
+function matchesCall(expected, call) {
+  return call.name === expected.name &&
+    Object.entries(expected.input || {}).every(([field, value]) => sameValue(value, call.input?.[field]));
+}
+
+function describeCall(call) {
+  return `${call.name}(${JSON.stringify(call.input || {})})`;
+}
+
+// [{ name, pass, detail }] for one finished case
+export function scoreCase(testCase, { answer, toolCalls, toolResults, latencyMs }) {
+  const expect = testCase.expect || {};
+  const checks = [];
+
+  for (const expected of expect.tools || []) {
+    const pass = toolCalls.some(call => matchesCall(expected, call));
+    checks.push({
+      name: `calls ${expected.name}`,
+      pass,
+      detail: pass ? null : `expected ${describeCall(expected)}, got ${toolCalls.map(describeCall).join(', ') || 'no tool calls'}`
+    });
+  }
+
+  if (expect.declined) {
+    const declined = toolCalls.length === 0 && DECLINE_PATTERN.test(answer);
+    checks.push({
+      name: 'declines out-of-scope request',
+      pass: declined,
+      detail: declined ? null : toolCalls.length > 0 ? `called ${toolCalls.map(call => call.name).join(', ')}` : 'answer does not decline'
+    });
+  }
+
+  for (const text of expect.mentions || []) {
+    const pass = answer.toLowerCase().includes(text.toLowerCase());
+    checks.push({ name: `mentions "${text}"`, pass, detail: pass ? null : 'not in answer' });
+  }
+
+  const query = JSON.stringify(testCase.messages || testCase.query);
+  const evidence = [query, ...toolResults.values()].join('\n').toUpperCase();
+  const ungrounded = [...new Set(answer.toUpperCase().match(PART_NUMBER_PATTERN) || [])]
+    .filter(partNumber => !evidence.includes(partNumber));
+  checks.push({
+    name: 'part numbers come from tool results',
+    pass: ungrounded.length === 0,
+    detail: ungrounded.length === 0 ? null : `not in any tool result: ${ungrounded.join(', ')}`
+  });
+
+  if (expect.maxLatencyMs) {
+    const pass = latencyMs <= expect.maxLatencyMs;
+    checks.push({ name: `answers within ${expect.maxLatencyMs}ms`, pass, detail: pass ? null : `took ${latencyMs}ms` });
+  }
+
+  return checks;
+}
+
+// `systems` collects the system prompts the model was sent
+async function runCase(testCase, { chat, provider, systems }) {
+  const messages = testCase.messages || [{ role: 'user', content: testCase.query }];
+  const recording = recordingProvider(provider);
+  const started = Date.now();
+  const finish = (result) => {
+    recording.systems.forEach(system => systems.add(system));
+    return { id: testCase.id, ...result, tools: recording.toolCalls.map(({ name, input }) => ({ name, input })) };
+  };
+
+  try {
+    const response = await chat(messages, {
+      provider: recording.provider,
+      pageContext: testCase.pageContext || null,
+      profile: testCase.profile || null
+    });
+    const latencyMs = Date.now() - started;
+    const checks = scoreCase(testCase, { answer: response.text, ...recording, latencyMs });
+
+    return finish({
+      status: checks.every(check => check.pass) ? 'pass' : 'fail',
+      checks,
+      latencyMs,
+      answer: response.text
+    });
+  } catch (error) {
+    return finish({ status: 'error', checks: [], latencyMs: Date.now() - started, error: error.message });
+  }
+}
+
+function percentile(values, fraction) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+// Run every case one after another (so latencies aren't skewed by each other).
+// `chat` is the agent's chat(). `provider` is the model to use; when it's null each case
+// plays back its own `script` and cases without one are skipped.
+export async function runEvaluation(cases, { chat, provider = null, dataset = null }) {
+  const results = [];
+  const systems = new Set();
+  for (const testCase of cases) {
+    if (!provider && !testCase.script) {
+      results.push({ id: testCase.id, status: 'skipped', checks: [], latencyMs: null, tools: [] });
+      continue;
+    }
+    const caseProvider = provider || createScriptedProvider({ responses: structuredClone(testCase.script) });
+    results.push(await runCase(testCase, { chat, provider: caseProvider, systems }));
+  }
+
+  // Identifies the system prompt the run used, so the report can say when it changed
+  const promptHash = crypto.createHash('sha1').update([...systems].sort().join('\n---\n')).digest('hex').slice(0, 12);
+  const latencies = results.map(result => result.latencyMs).filter(latency => latency !== null);
+  const count = (status) => results.filter(result => result.status === status).length;
+
+  return {
+    startedAt: new Date().toISOString(),
+    dataset,
+    model: provider ? `${provider.name}:${provider.model}` : 'scripted',
+    promptHash,
+    summary: {
+      total: results.length,
+      passed: count('pass'),
+      failed: count('fail') + count('error'),
+      skipped: count('skipped'),
+      p50LatencyMs: percentile(latencies, 0.5),
+      p95LatencyMs: percentile(latencies, 0.95)
+    },
+    cases: results
+  };
+}
+
+function passed(result) {
+  return result?.status === 'pass';
+}
+
+// Cases that changed outcome between two runs
+export function compareRuns(previous, current) {
+  const before = new Map(previous.cases.map(result => [result.id, result]));
+  const after = new Map(current.cases.map(result => [result.id, result]));
+  const scored = (result) => result && result.status !== 'skipped';
+
+  return {
+    promptChanged: previous.promptHash !== current.promptHash,
+    regressions: current.cases.filter(result => passed(before.get(result.id)) && scored(result) && !passed(result)).map(result => result.id),
+    fixes: current.cases.filter(result => scored(before.get(result.id)) && !passed(before.get(result.id)) && passed(result)).map(result => result.id),
+    added: current.cases.filter(result => !before.has(result.id)).map(result => result.id),
+    removed: previous.cases.filter(result => !after.has(result.id)).map(result => result.id),
+    p50LatencyChangeMs: current.summary.p50LatencyMs !== null && previous.summary.p50LatencyMs !== null
+      ? current.summary.p50LatencyMs - previous.summary.p50LatencyMs
+      : null
+  };
+}
+
+const STATUS_LABELS = { pass: 'PASS', fail: 'FAIL', error: 'ERROR', skipped: 'SKIP' };
+
+// Plain-text report of a run, with what changed since `previous` when there is one
+export function formatReport(run, previous = null) {
+  const lines = [`Evaluation of ${run.dataset || 'dataset'} with ${run.model} (prompt ${run.promptHash})`, ''];
+
+  for (const result of run.cases) {
+    const latency = result.latencyMs === null ? '' : ` ${result.latencyMs}ms`;
+    lines.push(`${STATUS_LABELS[result.status].padEnd(5)} ${result.id}${latency}`);
+    if (result.error) {
+      lines.push(`      ${result.error}`);
+    }
+    for (const check of result.checks.filter(check => !check.pass)) {
+      lines.push(`      ✗ ${check.name}: ${check.detail}`);
+    }
+  }
+
+  const { summary } = run;
+  lines.push('', `${summary.passed}/${summary.total - summary.skipped} passed, ${summary.failed} failed, ${summary.skipped} skipped` +
+    (summary.p50LatencyMs === null ? '' : `; latency p50 ${summary.p50LatencyMs}ms, p95 ${summary.p95LatencyMs}ms`));
+
+  if (previous) {
+    const diff = compareRuns(previous, run);
+    lines.push('', `Compared with the run from ${previous.startedAt}:`);
+    if (diff.promptChanged) lines.push('  System prompt changed');
+    if (diff.regressions.length) lines.push(`  Regressions: ${diff.regressions.join(', ')}`);
+    if (diff.fixes.length) lines.push(`  Now passing: ${diff.fixes.join(', ')}`);
+    if (diff.added.length) lines.push(`  New cases: ${diff.added.join(', ')}`);
+    if (diff.removed.length) lines.push(`  Removed cases: ${diff.removed.join(', ')}`);
+    if (diff.p50LatencyChangeMs !== null) {
+      lines.push(`  Latency p50 ${diff.p50LatencyChangeMs >= 0 ? '+' : ''}${diff.p50LatencyChangeMs}ms`);
+    }
+    if (!diff.regressions.length && !diff.fixes.length && !diff.added.length && !diff.removed.length) {
+      lines.push('  No change in results');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// Runs are kept as JSON files named by start time, so the newest sorts last
+export async function latestRun(runsDir) {
+  let files;
+  try {
+    files = (await fs.readdir(runsDir)).filter(file => file.endsWith('.json')).sort();
+  } catch {
+    return null;
+  }
+  if (files.length === 0) return null;
+  return JSON.parse(await fs.readFile(path.join(runsDir, files.at(-1)), 'utf8'));
+}
+
+export async function saveRun(runsDir, run) {
+  await fs.mkdir(runsDir, { recursive: true });
+  const file = path.join(runsDir, `${run.startedAt.replace(/[:.]/g, '-')}.json`);
+  await fs.writeFile(file, JSON.stringify(run, null, 2));
+  return file;
+}
@@ -0,0 +1,84 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+const log = createLogger('fixture');
+
+// Record/replay for scraper fetches, switched with SCRAPER_MODE:
+//   live   - always hit the network (default)
+//   record - hit the network and save every response as a fixture
+//   replay - serve saved fixtures, falling back to the network for anything not recorded
+//   strict - serve saved fixtures only; an unrecorded request throws FixtureMissingError
+const MODES = ['live', 'record', 'replay', 'strict'];
+
+export class FixtureMissingError extends Error {
+  constructor(kind, url) {
+    super(`No recorded fixture for ${kind} request: ${url} (SCRAPER_MODE=strict)`);
+    this.name = 'FixtureMissingError';
+    this.kind = kind;
+    this.url = url;
+  }
+}
+
+export function scraperMode() {
+  const mode = (process.env.SCRAPER_MODE || 'live').toLowerCase();
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown SCRAPER_MODE "${mode}", expected one of: ${MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+function fixturesDir() {
+  return process.env.SCRAPER_FIXTURES_DIR ||
+    path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+}
+
+function fixturePath(kind, url) {
+  const readable = url.replace(/^https?:\/\//, '').replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 100);
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 10);
+  return path.join(fixturesDir(), kind, `${readable}-${hash}.json`);
+}
+
+async function readFixture(kind, url) {
+  try {
+    return JSON.parse(await fs.readFile(fixturePath(kind, url), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Save a response as the fixture for (kind, url); response is { finalUrl, status, html }
+export async function recordFixture(kind, url, response) {
+  const file = fixturePath(kind, url);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify({ kind, url, ...response, recordedAt: new Date().toISOString() }, null, 2));
+}
+
+// Run a scraper fetch through the current mode. fetchLive() must resolve to
+// { finalUrl, status, html }; the same shape is returned from fixtures.
+export async function withFixture(kind, url, fetchLive) {
+  const mode = scraperMode();
+
+  if (mode === 'replay' || mode === 'strict') {
+    const fixture = await readFixture(kind, url);
+    if (fixture) {
+      log.debug('Replaying', { kind, url });
+      return { finalUrl: fixture.finalUrl, status: fixture.status, html: fixture.html };
+    }
+    if (mode === 'strict') {
+      throw new FixtureMissingError(kind, url);
+    }
+    log.info('No fixture, fetching live', { kind, url });
+  }
+
+  const response = await fetchLive();
+
+  if (mode === 'record') {
+    await recordFixture(kind, url, response);
+    log.info('Recorded', { kind, url });
+  }
+
+  return response;
+}
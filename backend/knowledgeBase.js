@@ -0,0 +1,267 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { dataDir } from './config.js';
+import { createLogger } from './logger.js';
+import { terms } from './textMatch.js';
+
+const log = createLogger('kb');
+
+// A local search index over content the scraper has already read: part descriptions,
+// customer repair stories, reviews, Q&A and troubleshooting pages. Documents are ranked
+// with BM25; when an embedding model is configured, vector similarity is blended in.
+// Stored in DATA_DIR/knowledge-base.json.
+
+// BM25 term-frequency saturation and length normalisation
+const K1 = 1.2;
+const B = 0.75;
+
+// Share of the score taken from vector similarity when embeddings are available
+const VECTOR_WEIGHT = 0.5;
+
+const EXCERPT_LENGTH = 300;
+
+function termCounts(text) {
+  const counts = {};
+  for (const term of terms(text)) {
+    counts[term] = (counts[term] || 0) + 1;
+  }
+  return counts;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// The sentence (and the one after it) sharing the most words with the query
+function excerptFor(text, queryTerms) {
+  const sentences = text.split(/(?<=[.!?])\s+/);
+  let best = 0;
+  let bestScore = -1;
+  sentences.forEach((sentence, index) => {
+    const sentenceTerms = new Set(terms(sentence));
+    const score = queryTerms.filter(term => sentenceTerms.has(term)).length;
+    if (score > bestScore) {
+      best = index;
+      bestScore = score;
+    }
+  });
+
+  const excerpt = sentences.slice(best, best + 2).join(' ');
+  return excerpt.length > EXCERPT_LENGTH ? `${excerpt.slice(0, EXCERPT_LENGTH - 1)}…` : excerpt;
+}
+
+// Embedder backed by a local transformers.js model (e.g. Xenova/all-MiniLM-L6-v2), which
+// runs on the CPU. Resolves to null when the package or model can't be loaded, so search
+// carries on with BM25 alone.
+export async function createCpuEmbedder(model) {
+  try {
+    const { pipeline } = await import('@xenova/transformers');
+    const extract = await pipeline('feature-extraction', model);
+    log.info('Using embedding model', { model });
+    return async (texts) => {
+      const output = await extract(texts, { pooling: 'mean', normalize: true });
+      return output.tolist();
+    };
+  } catch (error) {
+    log.warn('Embedding model unavailable, using BM25 only', { model, error });
+    return null;
+  }
+}
+
+// documents: { id, kind, title, text, url, partNumber? }, unique by id.
+// loadEmbedder: optional async () => embed, where embed(texts) resolves to one vector per
+// text (see createCpuEmbedder); it's called once, on first use.
+export function createKnowledgeBase({ file = () => path.join(dataDir(), 'knowledge-base.json'), loadEmbedder = null } = {}) {
+  let documents = null;
+  let writing = Promise.resolve();
+  let embedder = null;
+
+  function getEmbedder() {
+    if (!embedder) {
+      embedder = loadEmbedder ? loadEmbedder() : Promise.resolve(null);
+    }
+    return embedder;
+  }
+
+  async function load() {
+    if (!documents) {
+      try {
+        documents = new Map(JSON.parse(await fs.readFile(file(), 'utf8')).documents.map(doc => [doc.id, doc]));
+      } catch {
+        documents = new Map();
+      }
+    }
+    return documents;
+  }
+
+  async function save() {
+    const snapshot = JSON.stringify({ documents: [...documents.values()] });
+    writing = writing.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(file()), { recursive: true });
+        await fs.writeFile(file(), snapshot);
+      } catch (error) {
+        log.warn('Failed to save the knowledge base', { error });
+      }
+    });
+    await writing;
+  }
+
+  // Add or replace documents; unchanged ones are skipped. Never throws: a failed index
+  // update shouldn't fail the lookup that produced the content.
+  async function add(newDocuments) {
+    try {
+      const docs = await load();
+      const changed = newDocuments.filter(doc => doc.text && docs.get(doc.id)?.text !== doc.text);
+      if (changed.length === 0) return 0;
+
+      const embedFn = await getEmbedder();
+      const vectors = embedFn ? await embedFn(changed.map(doc => `${doc.title}. ${doc.text}`)) : [];
+
+      changed.forEach((doc, index) => {
+        docs.set(doc.id, {
+          ...doc,
+          counts: termCounts(`${doc.title} ${doc.text}`),
+          vector: vectors[index] || null,
+          indexedAt: new Date().toISOString()
+        });
+      });
+      log.info('Indexed documents', { count: changed.length });
+      await save();
+      return changed.length;
+    } catch (error) {
+      log.warn('Failed to index documents', { error });
+      return 0;
+    }
+  }
+
+  // Best matches for a query, each with an excerpt; `kinds` limits the document kinds searched
+  async function search(query, { limit = 5, kinds } = {}) {
+    const docs = [...(await load()).values()].filter(doc => !kinds || kinds.includes(doc.kind));
+    const queryTerms = [...new Set(terms(query))];
+    if (docs.length === 0 || queryTerms.length === 0) return [];
+
+    const lengths = docs.map(doc => Object.values(doc.counts).reduce((sum, count) => sum + count, 0));
+    const averageLength = lengths.reduce((sum, length) => sum + length, 0) / docs.length;
+    const idf = new Map(queryTerms.map(term => {
+      const containing = docs.filter(doc => doc.counts[term]).length;
+      return [term, Math.log(1 + (docs.length - containing + 0.5) / (containing + 0.5))];
+    }));
+
+    const bm25 = docs.map((doc, index) => queryTerms.reduce((score, term) => {
+      const frequency = doc.counts[term] || 0;
+      if (!frequency) return score;
+      const norm = frequency + K1 * (1 - B + B * lengths[index] / averageLength);
+      return score + idf.get(term) * (frequency * (K1 + 1)) / norm;
+    }, 0));
+
+    const embedFn = await getEmbedder();
+    const queryVector = embedFn && docs.some(doc => doc.vector) ? (await embedFn([query]))[0] : null;
+    const maxBm25 = Math.max(...bm25);
+
+    return docs
+      .map((doc, index) => {
+        const lexical = maxBm25 > 0 ? bm25[index] / maxBm25 : 0;
+        const score = queryVector && doc.vector
+          ? (1 - VECTOR_WEIGHT) * lexical + VECTOR_WEIGHT * Math.max(0, cosine(queryVector, doc.vector))
+          : lexical;
+        return { doc, score, lexical };
+      })
+      // Vector similarity alone is too loose to cite; require at least one shared word
+      .filter(result => result.lexical > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ doc, score }) => ({
+        id: doc.id,
+        kind: doc.kind,
+        title: doc.title,
+        url: doc.url || null,
+        partNumber: doc.partNumber || null,
+        applianceType: doc.applianceType || null,
+        excerpt: excerptFor(doc.text, queryTerms),
+        score: Math.round(score * 1000) / 1000
+      }));
+  }
+
+  async function size() {
+    return (await load()).size;
+  }
+
+  return { add, search, size };
+}
+
+// Documents for a scraped part: its description and symptoms, reviews and Q&A
+export function partDocuments(part) {
+  const partNumber = part.psNumber || part.partNumber;
+  const applianceType = part.applianceType || null;
+  const documents = [{
+    id: `part:${partNumber}`,
+    kind: 'part',
+    title: part.title,
+    text: [part.description, part.symptoms?.length ? `Fixes these symptoms: ${part.symptoms.join('; ')}.` : '']
+      .filter(Boolean).join(' '),
+    url: part.url,
+    partNumber,
+    applianceType
+  }];
+
+  for (const review of part.reviews || []) {
+    documents.push({
+      id: `review:${partNumber}:${review.id}`,
+      kind: 'review',
+      title: `${review.title || 'Customer review'} (review of ${part.title})`,
+      text: review.text,
+      url: part.url,
+      partNumber,
+      applianceType
+    });
+  }
+
+  for (const qna of part.questions || []) {
+    if (!qna.answer) continue;
+    documents.push({
+      id: `qa:${partNumber}:${qna.id}`,
+      kind: 'qa',
+      title: `Q&A about ${part.title}`,
+      text: `Q: ${qna.question} A: ${qna.answer}`,
+      url: part.url,
+      partNumber,
+      applianceType
+    });
+  }
+
+  return documents;
+}
+
+// Documents for the customer repair stories in an installation guide
+export function guideDocuments(guide) {
+  return (guide.stories || []).map((story, index) => ({
+    id: `story:${guide.partNumber}:${index + 1}`,
+    kind: 'repair-story',
+    title: `${story.title || 'Repair story'} (installing ${guide.title || guide.partNumber})`,
+    text: story.steps.join(' '),
+    url: guide.url,
+    partNumber: guide.partNumber,
+    applianceType: guide.applianceType || null
+  }));
+}
+
+// Document for a troubleshooting page's tips
+export function repairDocuments(topic, url, page) {
+  if (!page.tips?.length) return [];
+  return [{
+    id: `repair:${topic.id}`,
+    kind: 'troubleshooting',
+    title: topic.title,
+    text: page.tips.join(' '),
+    url
+  }];
+}
@@ -0,0 +1,64 @@
+import { currentRequestContext } from './requestContext.js';
+import { loggingConfig } from './config.js';
+
+// Structured logs: one JSON object per line with the time, level, component and message,
+// plus the trace ID of the chat turn the work belongs to (see requestContext.js), so every
+// scraper call a turn makes can be found by its trace ID. Extra fields go alongside.
+//
+//   const log = createLogger('cache');
+//   log.info('Hit', { kind, key });
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function defaultWriter(line, level) {
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+let writer = defaultWriter;
+
+// Send log lines somewhere else (tests capture them); returns the previous writer
+export function setLogWriter(fn) {
+  const previous = writer;
+  writer = fn || defaultWriter;
+  return previous;
+}
+
+// Errors become their message so they serialize
+function cleanFields(fields) {
+  return Object.fromEntries(Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => [name, value instanceof Error ? value.message : value]));
+}
+
+function formatPretty(entry) {
+  const { time, level, component, msg, ...fields } = entry;
+  const extra = Object.entries(fields).map(([name, value]) => `${name}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  return [`${time} ${level.toUpperCase().padEnd(5)} [${component}] ${msg}`, ...extra].join(' ');
+}
+
+export function createLogger(component) {
+  function log(level, message, fields = {}) {
+    const config = loggingConfig();
+    if (LEVELS[level] < (LEVELS[config.level] ?? LEVELS.info)) {
+      return;
+    }
+
+    const { traceId } = currentRequestContext();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      component,
+      msg: message,
+      ...(traceId && { traceId }),
+      ...cleanFields(fields)
+    };
+    writer(config.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry), level);
+  }
+
+  return {
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields)
+  };
+}
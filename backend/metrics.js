@@ -0,0 +1,97 @@
+// In-process metrics, served in the Prometheus text format from GET /api/metrics.
+// Counters and histograms are keyed by their label values; nothing is reset between scrapes.
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const registry = new Map();
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function formatLabels(labelNames, values, extra = {}) {
+  const pairs = [
+    ...labelNames.map((name, index) => [name, values[index]]),
+    ...Object.entries(extra)
+  ];
+  if (pairs.length === 0) return '';
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${pairs.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+function register(name, metric) {
+  if (registry.has(name)) {
+    return registry.get(name);
+  }
+  registry.set(name, metric);
+  return metric;
+}
+
+export function counter(name, help, labelNames = []) {
+  const values = new Map();
+  return register(name, {
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, value] of values) {
+        lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+      }
+      return lines;
+    }
+  });
+}
+
+export function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+  const series = new Map();
+  return register(name, {
+    observe(labels = {}, value) {
+      const key = labelKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, entry] of series) {
+        const values = JSON.parse(key);
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, { le: bound })} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, { le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${Math.round(entry.sum * 1e6) / 1e6}`);
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${entry.count}`);
+      }
+      return lines;
+    }
+  });
+}
+
+// Every metric in the Prometheus text exposition format
+export function renderMetrics() {
+  return `${[...registry.values()].flatMap(metric => metric.render()).join('\n')}\n`;
+}
+
+// The metrics the backend records
+export const metrics = {
+  httpRequests: counter('partselect_http_requests_total', 'HTTP requests handled, by route and status', ['method', 'route', 'status']),
+  chatTurns: counter('partselect_chat_turns_total', 'Chat turns, by outcome (ok, refused, budget_exceeded, error or cancelled)', ['outcome']),
+  chatTurnDuration: histogram('partselect_chat_turn_duration_seconds', 'Wall-clock time of a chat turn', []),
+  llmCalls: counter('partselect_llm_calls_total', 'Model calls, by provider, model and outcome', ['provider', 'model', 'outcome']),
+  llmDuration: histogram('partselect_llm_call_duration_seconds', 'Time taken by a model call', ['provider', 'model']),
+  llmTokens: counter('partselect_llm_tokens_total', 'Tokens consumed, by provider, model and direction (input or output)', ['provider', 'model', 'type']),
+  llmCost: counter('partselect_llm_cost_usd_total', 'Estimated model spend in USD, for models with a known price', ['provider', 'model']),
+  toolCalls: counter('partselect_tool_calls_total', 'Tool executions, by tool and outcome (ok, error, timeout or withheld)', ['tool', 'outcome']),
+  toolDuration: histogram('partselect_tool_duration_seconds', 'Time taken by a tool execution', ['tool']),
+  pageFetchDuration: histogram('partselect_page_fetch_duration_seconds', 'Time taken to load a page from partselect.com (or its fixture)', ['outcome']),
+  scrapeFailures: counter('partselect_scrape_failures_total', 'Scrapes that failed (after retries, for sources with them), by source and failure kind', ['source', 'kind']),
+  cacheLookups: counter('partselect_cache_lookups_total', 'Scrape cache lookups, by kind and result (hit, stale or miss)', ['kind', 'result'])
+};
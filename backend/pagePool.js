@@ -0,0 +1,185 @@
+import { currentRequestContext } from './requestContext.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('pool');
+
+// Loads a warm page serves before it's closed and replaced with a fresh one
+const MAX_USES_PER_PAGE = 25;
+
+// A bounded set of warm browser pages shared by every scrape. Each page lives in its own
+// incognito context, and is recycled after MAX_USES_PER_PAGE loads or any failure.
+// When all pages are busy, callers wait in a queue that takes turns between sessions, so
+// one conversation asking for a dozen pages can't starve another's single lookup.
+//   getBrowser()     resolves to the puppeteer Browser to open pages in
+//   maxPages         pages that may be in use at once
+//   setupPage(page)  one-time setup for each new page
+//   events           EventEmitter that receives 'pool' and 'queue' state events
+export function createPagePool({ getBrowser, maxPages, setupPage, events }) {
+  const idle = [];
+  let busy = 0;
+  // Waiters per session key, and the order sessions take their turns in
+  const queues = new Map();
+  const turns = [];
+
+  function queueDepth() {
+    let depth = 0;
+    for (const queue of queues.values()) depth += queue.length;
+    return depth;
+  }
+
+  function stats() {
+    return { max: maxPages, busy, idle: idle.length, queued: queueDepth() };
+  }
+
+  function publish() {
+    events?.emit('pool', stats());
+    events?.emit('queue', { depth: queueDepth(), sessions: queues.size });
+  }
+
+  function removeWaiter(sessionKey, waiter) {
+    const queue = queues.get(sessionKey);
+    if (!queue) return;
+
+    queue.splice(queue.indexOf(waiter), 1);
+    if (queue.length === 0) {
+      queues.delete(sessionKey);
+      turns.splice(turns.indexOf(sessionKey), 1);
+    }
+  }
+
+  // Next waiter in round-robin order across sessions
+  function nextWaiter() {
+    const sessionKey = turns.shift();
+    if (!sessionKey) return null;
+
+    const queue = queues.get(sessionKey);
+    const waiter = queue.shift();
+    if (queue.length > 0) {
+      turns.push(sessionKey);
+    } else {
+      queues.delete(sessionKey);
+    }
+    return waiter;
+  }
+
+  // Wait for one of the maxPages permits; rejects with the signal's reason if aborted first
+  function acquire(sessionKey, signal) {
+    signal?.throwIfAborted();
+
+    if (busy < maxPages && queueDepth() === 0) {
+      busy++;
+      publish();
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve: () => {
+          signal?.removeEventListener('abort', waiter.onAbort);
+          resolve();
+        },
+        onAbort: () => {
+          removeWaiter(sessionKey, waiter);
+          publish();
+          reject(signal.reason);
+        }
+      };
+      signal?.addEventListener('abort', waiter.onAbort, { once: true });
+
+      if (!queues.has(sessionKey)) {
+        queues.set(sessionKey, []);
+        turns.push(sessionKey);
+      }
+      queues.get(sessionKey).push(waiter);
+      log.info('All pages busy, queued request', { maxPages, sessionKey, depth: queueDepth() });
+      publish();
+    });
+  }
+
+  // Hand the permit straight to the next waiter, or give it back
+  function release() {
+    const waiter = nextWaiter();
+    if (waiter) {
+      waiter.resolve();
+    } else {
+      busy--;
+    }
+    publish();
+  }
+
+  function discard(slot) {
+    slot.context.close().catch(() => {});
+  }
+
+  async function takeSlot() {
+    const browser = await getBrowser();
+
+    while (idle.length > 0) {
+      const slot = idle.pop();
+      // Pages from a browser that has since closed or restarted can't be reused
+      if (slot.browser === browser && !slot.page.isClosed()) {
+        return slot;
+      }
+      discard(slot);
+    }
+
+    const context = await browser.createBrowserContext();
+    const page = await context.newPage();
+    await setupPage?.(page);
+    return { browser, context, page, uses: 0 };
+  }
+
+  async function returnSlot(slot, healthy) {
+    slot.uses++;
+    if (!healthy || slot.uses >= MAX_USES_PER_PAGE) {
+      discard(slot);
+      return;
+    }
+
+    try {
+      await slot.page.goto('about:blank');
+      idle.push(slot);
+    } catch {
+      discard(slot);
+    }
+  }
+
+  // Run fn(page) on a pooled page. Aborting the signal drops the caller from the queue,
+  // or closes the page mid-navigation, and rejects with the signal's reason.
+  async function withPage(fn, { sessionKey, signal } = currentRequestContext()) {
+    await acquire(sessionKey, signal);
+
+    let slot = null;
+    let healthy = false;
+    const onAbort = () => slot?.context.close().catch(() => {});
+
+    try {
+      slot = await takeSlot();
+      signal?.throwIfAborted();
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      const result = await fn(slot.page);
+      healthy = true;
+      return result;
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      throw error;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      if (slot) {
+        await returnSlot(slot, healthy && !signal?.aborted);
+      }
+      release();
+    }
+  }
+
+  // Forget warm pages, e.g. once their browser has been closed
+  function clear() {
+    idle.length = 0;
+    publish();
+  }
+
+  return { withPage, stats, clear };
+}
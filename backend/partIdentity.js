@@ -0,0 +1,98 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { dataDir } from './config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('identity');
+
+// Part identity: customers type PS numbers, manufacturer numbers and the superseded
+// numbers printed on old parts, in any case and with spaces or dashes. Every part page
+// the scraper reads is added to a cross-reference index (DATA_DIR/part-aliases.json)
+// so any number seen before resolves straight to its canonical PS part.
+
+const PS_NUMBER = /^PS\d{5,}$/;
+
+// "ps 117-527-78", "#wpw10321304 " -> "PS11752778", "WPW10321304"
+export function normalizePartNumber(input) {
+  return String(input || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+export function isPsNumber(number) {
+  return PS_NUMBER.test(normalizePartNumber(number));
+}
+
+// Every number a scraped part is known by, with how it relates to the part
+export function partAliases(part) {
+  const aliases = [];
+  const add = (number, kind) => {
+    const normalized = normalizePartNumber(number);
+    if (normalized && !aliases.some(alias => alias.number === normalized)) {
+      aliases.push({ number: normalized, kind });
+    }
+  };
+
+  add(part.psNumber, 'ps');
+  add(part.manufacturerPartNumber, 'manufacturer');
+  (part.replacedPartNumbers || []).forEach(number => add(number, 'replaced'));
+  return aliases;
+}
+
+// The aliases a lookup matched, other than the part's own PS number
+export function matchedAliases(query, part) {
+  const normalized = normalizePartNumber(query);
+  return partAliases(part).filter(alias => alias.kind !== 'ps' && alias.number === normalized);
+}
+
+function indexPath() {
+  return path.join(dataDir(), 'part-aliases.json');
+}
+
+// alias -> PS number, loaded on first use. Writes are chained so they can't interleave.
+let index = null;
+let writing = Promise.resolve();
+
+async function loadIndex() {
+  if (!index) {
+    try {
+      index = JSON.parse(await fs.readFile(indexPath(), 'utf8')).aliases;
+    } catch {
+      index = {};
+    }
+  }
+  return index;
+}
+
+// Resolve whatever the customer typed. `psNumber` is the canonical part when the input is
+// a PS number or a known alias, otherwise null and the scraper has to search for it.
+export async function resolvePartNumber(input) {
+  const query = normalizePartNumber(input);
+  if (isPsNumber(query)) {
+    return { query, psNumber: query };
+  }
+
+  const aliases = await loadIndex();
+  return { query, psNumber: aliases[query] || null };
+}
+
+// Record a scraped part's numbers in the index
+export async function indexPart(part) {
+  const psNumber = normalizePartNumber(part.psNumber);
+  if (!isPsNumber(psNumber)) return;
+
+  const aliases = await loadIndex();
+  const added = partAliases(part).filter(alias => aliases[alias.number] !== psNumber);
+  if (added.length === 0) return;
+
+  added.forEach(alias => { aliases[alias.number] = psNumber; });
+  log.info('Indexed numbers', { psNumber, count: added.length });
+
+  writing = writing.then(async () => {
+    try {
+      await fs.mkdir(path.dirname(indexPath()), { recursive: true });
+      await fs.writeFile(indexPath(), JSON.stringify({ aliases }, null, 2));
+    } catch (error) {
+      log.warn('Failed to save the alias index', { error });
+    }
+  });
+  await writing;
+}
@@ -0,0 +1,173 @@
+import fs from 'fs';
+import { policyConfig } from './config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('policy');
+
+// Scope policy enforced around the agent, so staying on refrigerator and dishwasher parts
+// doesn't rest on the system prompt alone. Requests are classified before the model sees
+// them: in scope, out of scope (another appliance) or abuse (prompt injection and the
+// like), and the last two get a canned refusal without calling the model. Tool results
+// for parts and models of other appliance types are withheld before the model gets them,
+// and the scraper only adds in-scope parts to the knowledge base.
+//
+// Both checks use one list of appliance types in scope, named as PartSelect names them
+// (see APPLIANCE_TYPES in scraper.js). Freezers and ice makers are refrigerator parts.
+// A POLICY_FILE can override the refusal messages and the appliance types in scope:
+//   { "refusals": { "out_of_scope": "...", "abuse": "..." }, "applianceTypes": ["Refrigerator", "Freezer", "Ice Maker", "Dishwasher"] }
+// "{appliance}" in a refusal is replaced with the appliance the customer asked about.
+
+const DEFAULT_POLICY = {
+  applianceTypes: ['Refrigerator', 'Freezer', 'Ice Maker', 'Dishwasher'],
+  refusals: {
+    out_of_scope: "Sorry, I can only help with refrigerator and dishwasher parts, so I can't help with {appliance} parts. PartSelect.com carries parts for other appliances too.",
+    abuse: "Sorry, I can't help with that. I'm here to help with refrigerator and dishwasher parts - ask me about a part, a model or a repair."
+  }
+};
+
+// Appliance types as customers tend to name them. Whether a mention keeps a request in
+// scope or makes it out of scope depends on the policy's applianceTypes.
+const APPLIANCE_MENTIONS = [
+  ['refrigerator', /\b(fridges?|refrigerators?)\b/i],
+  ['freezer', /\bfreezers?\b/i],
+  ['ice maker', /\bice ?makers?\b/i],
+  ['dishwasher', /\bdishwashers?\b/i],
+  // Not rubber or hose washers, which fridges and dishwashers have too
+  ['washer', /\b(washing machines?|laundry|(?<!(rubber|hose|seal|nylon|flat|metal) )washers?)\b/i],
+  ['dryer', /\b(clothes )?dryers?\b/i],
+  ['oven', /\b(ovens?|stoves?|cooktops?|stovetops?|(gas|electric) ranges?|range (hood|burner|knob)s?)\b/i],
+  ['microwave', /\bmicrowaves?\b/i],
+  ['air conditioner', /\b(air conditioners?|a\/c unit)\b/i],
+  ['water heater', /\bwater heaters?\b/i],
+  ['lawn mower', /\b(lawn ?mowers?|mowers?)\b/i],
+  ['vacuum', /\bvacuums?\b/i],
+  ['grill', /\bgrills?\b/i],
+  ['trash compactor', /\btrash compactors?\b/i]
+];
+
+// A PartSelect part number keeps a request in scope too; its result is checked instead
+const PART_NUMBER_PATTERN = /\bPS\d{5,}\b/i;
+
+// Attempts to override the agent's instructions, and requests no parts assistant should answer
+const ABUSE_PATTERNS = [
+  ['prompt_injection', /\b(ignore|disregard|forget)\b.{0,30}\b(previous|prior|above|earlier|your|all)\b.{0,20}\b(instructions|rules|prompts?|guidelines)\b/i],
+  ['prompt_injection', /\b(reveal|show|print|repeat|tell me)\b.{0,20}\b(system prompt|your (instructions|prompt|rules))\b/i],
+  ['prompt_injection', /\byou are (now|no longer)\b/i],
+  ['prompt_injection', /\b(jailbreak|developer mode|DAN mode)\b/i],
+  ['prompt_injection', /<\/?(system|assistant|instructions)>/i],
+  ['harmful', /\bhow (do i|to|can i)\b.{0,30}\b(make|build)\b.{0,20}\b(bomb|explosive|weapon)s?\b/i]
+];
+
+function loadPolicy(file) {
+  if (!file) {
+    return DEFAULT_POLICY;
+  }
+
+  const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    applianceTypes: overrides.applianceTypes || DEFAULT_POLICY.applianceTypes,
+    refusals: { ...DEFAULT_POLICY.refusals, ...overrides.refusals }
+  };
+}
+
+// The text of the latest user message
+function latestUserText(messages) {
+  const message = [...messages].reverse().find(item => item.role === 'user');
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+  return (message.content || []).filter(block => block.type === 'text').map(block => block.text).join(' ');
+}
+
+// The appliance a tool result is about, for results about a part or model that say: the
+// part or model itself, or the part a compatibility check looked up
+function resultApplianceType(result) {
+  return result.applianceType || result.partInfo?.applianceType || null;
+}
+
+// "refrigerator, freezer and dishwasher"
+function listTypes(types) {
+  const names = types.map(type => type.toLowerCase());
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names.at(-1)}` : names.join('');
+}
+
+export function createPolicy({ file = policyConfig().file } = {}) {
+  const policy = loadPolicy(file);
+  // Unknown appliance types (null) are given the benefit of the doubt
+  const inScope = (applianceType) => !applianceType ||
+    policy.applianceTypes.some(type => type.toLowerCase() === applianceType.toLowerCase());
+
+  function refusal(verdict, reason, category = null) {
+    const message = policy.refusals[verdict].replace(/\{appliance\}/g, category || 'those');
+    return { verdict, reason, category, message };
+  }
+
+  // { verdict: 'in_scope' } or a refusal { verdict, reason, category, message } for the
+  // latest user message
+  function checkRequest(messages) {
+    const text = latestUserText(messages);
+
+    for (const [reason, pattern] of ABUSE_PATTERNS) {
+      if (pattern.test(text)) {
+        return refusal('abuse', reason);
+      }
+    }
+
+    const mentioned = APPLIANCE_MENTIONS.filter(([, pattern]) => pattern.test(text)).map(([category]) => category);
+    if (!PART_NUMBER_PATTERN.test(text) && !mentioned.some(inScope)) {
+      const other = mentioned.find(category => !inScope(category));
+      if (other) {
+        return refusal('out_of_scope', 'other_appliance', other);
+      }
+    }
+
+    return { verdict: 'in_scope' };
+  }
+
+  // The result unchanged, or a stand-in telling the model the part or model is for an
+  // appliance outside the scope, so its details never reach the customer. Knowledge base
+  // results lose the passages about out-of-scope parts instead.
+  function checkToolResult(toolName, result) {
+    if (!result || result.error) {
+      return result;
+    }
+
+    if (Array.isArray(result.results)) {
+      const results = result.results.filter(item => inScope(resultApplianceType(item)));
+      if (results.length === result.results.length) {
+        return result;
+      }
+      log.info('Withheld passages', { tool: toolName, count: result.results.length - results.length });
+      return { ...result, results };
+    }
+
+    const applianceType = resultApplianceType(result);
+    if (inScope(applianceType)) {
+      return result;
+    }
+
+    const subject = result.modelNumber && toolName === 'get_model_info'
+      ? `Model ${result.modelNumber}`
+      : `Part ${result.psNumber || result.partNumber}`;
+    log.info('Withheld tool result', { tool: toolName, subject, applianceType });
+    return {
+      partNumber: result.partNumber,
+      modelNumber: result.modelNumber,
+      withheld: true,
+      reason: 'out_of_scope',
+      applianceType,
+      message: `${subject} is for a ${applianceType.toLowerCase()}, which this assistant doesn't cover. Don't describe it; tell the customer you can only help with ${listTypes(policy.applianceTypes)} parts.`
+    };
+  }
+
+  return { checkRequest, checkToolResult, inScope };
+}
+
+let defaultPolicy = null;
+
+// The policy configured for this deployment, loaded on first use
+export function getPolicy() {
+  if (!defaultPolicy) {
+    defaultPolicy = createPolicy();
+  }
+  return defaultPolicy;
+}
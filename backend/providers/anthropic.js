@@ -0,0 +1,41 @@
+import Anthropic from '@anthropic-ai/sdk';
+
+// Provider backed by the Anthropic Messages API. Tools and messages already use
+// Anthropic's shapes, so this adapter only maps settings and the stop reason.
+export function createAnthropicProvider({ model, maxTokens, temperature, client = new Anthropic() }) {
+  return {
+    name: 'anthropic',
+    model,
+
+    async createMessage({ system, messages, tools, onText }) {
+      const params = {
+        model,
+        max_tokens: maxTokens,
+        system,
+        tools,
+        messages
+      };
+      if (temperature !== undefined) {
+        params.temperature = temperature;
+      }
+
+      let response;
+      if (onText) {
+        const stream = client.messages.stream(params);
+        stream.on('text', onText);
+        response = await stream.finalMessage();
+      } else {
+        response = await client.messages.create(params);
+      }
+
+      return {
+        content: response.content,
+        stopReason: response.stop_reason,
+        usage: {
+          inputTokens: response.usage?.input_tokens ?? 0,
+          outputTokens: response.usage?.output_tokens ?? 0
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,36 @@
+import { llmConfig } from '../config.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createOpenAIProvider } from './openai.js';
+import { createScriptedProvider } from './scripted.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('llm');
+
+// Every provider exposes createMessage({ system, messages, tools, onText }) and resolves to
+// { content, stopReason, usage }. Messages, tools and content blocks use Anthropic's shapes;
+// adapters for other APIs translate at the boundary.
+export function createProvider(config = llmConfig()) {
+  switch (config.provider) {
+    case 'anthropic':
+      return createAnthropicProvider(config);
+    case 'openai':
+      return createOpenAIProvider(config);
+    case 'scripted':
+      return createScriptedProvider({ scriptPath: config.scriptPath });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${config.provider}", expected anthropic, openai or scripted`);
+  }
+}
+
+let defaultProvider = null;
+
+// The provider configured for this deployment, created on first use
+export function getProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createProvider();
+    log.info('Using provider', { provider: defaultProvider.name, model: defaultProvider.model });
+  }
+  return defaultProvider;
+}
+
+export { createAnthropicProvider, createOpenAIProvider, createScriptedProvider };
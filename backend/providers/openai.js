@@ -0,0 +1,202 @@
+// Provider for OpenAI-compatible chat completion APIs: OpenAI itself, or a local
+// llama.cpp / Ollama server in development. The agent keeps messages and tools in
+// Anthropic's shapes, so this adapter translates both ways.
+
+// Anthropic tool definitions -> OpenAI function definitions
+export function toOpenAITools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.input_schema
+    }
+  }));
+}
+
+// Anthropic-style conversation -> OpenAI messages. Assistant tool_use blocks become
+// tool_calls and user tool_result blocks become `tool` messages.
+export function toOpenAIMessages(system, messages) {
+  const result = [{ role: 'system', content: system }];
+
+  for (const message of messages) {
+    if (typeof message.content === 'string') {
+      result.push({ role: message.role, content: message.content });
+      continue;
+    }
+
+    const text = message.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+
+    if (message.role === 'assistant') {
+      const toolCalls = message.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({
+          id: block.id,
+          type: 'function',
+          function: { name: block.name, arguments: JSON.stringify(block.input) }
+        }));
+
+      result.push({
+        role: 'assistant',
+        content: text || null,
+        ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+      });
+      continue;
+    }
+
+    for (const block of message.content) {
+      if (block.type === 'tool_result') {
+        result.push({
+          role: 'tool',
+          tool_call_id: block.tool_use_id,
+          content: typeof block.content === 'string' ? block.content : JSON.stringify(block.content)
+        });
+      }
+    }
+    if (text) {
+      result.push({ role: 'user', content: text });
+    }
+  }
+
+  return result;
+}
+
+function parseArguments(raw) {
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    // Small local models sometimes emit malformed JSON; let the tool report the bad input
+    return { invalid_arguments: raw };
+  }
+}
+
+const STOP_REASONS = {
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  length: 'max_tokens',
+  stop: 'end_turn'
+};
+
+// OpenAI message (text + tool calls) -> the provider response shape the agent expects
+export function fromOpenAIMessage({ content, toolCalls, finishReason, usage }) {
+  const blocks = [];
+  if (content) {
+    blocks.push({ type: 'text', text: content });
+  }
+  for (const call of toolCalls) {
+    blocks.push({
+      type: 'tool_use',
+      id: call.id,
+      name: call.function.name,
+      input: parseArguments(call.function.arguments)
+    });
+  }
+
+  return {
+    content: blocks,
+    // Some servers report "stop" even when they return tool calls
+    stopReason: toolCalls.length > 0 ? 'tool_use' : (STOP_REASONS[finishReason] || 'end_turn'),
+    usage: {
+      inputTokens: usage?.prompt_tokens ?? 0,
+      outputTokens: usage?.completion_tokens ?? 0
+    }
+  };
+}
+
+// Read an SSE chat completion stream, forwarding text deltas and assembling tool calls
+async function readStream(body, onText) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  const toolCalls = [];
+  let content = '';
+  let finishReason = null;
+  let usage = null;
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const data = line.replace(/^data:\s*/, '').trim();
+      if (!line.startsWith('data:') || !data || data === '[DONE]') continue;
+
+      const chunk = JSON.parse(data);
+      usage = chunk.usage || usage;
+      const choice = chunk.choices?.[0];
+      if (!choice) continue;
+
+      if (choice.delta?.content) {
+        content += choice.delta.content;
+        onText(choice.delta.content);
+      }
+      for (const delta of choice.delta?.tool_calls || []) {
+        const call = toolCalls[delta.index] ||= { id: '', type: 'function', function: { name: '', arguments: '' } };
+        if (delta.id) call.id = delta.id;
+        if (delta.function?.name) call.function.name += delta.function.name;
+        if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+      }
+      finishReason = choice.finish_reason || finishReason;
+    }
+  }
+
+  return { content, toolCalls: toolCalls.filter(Boolean), finishReason, usage };
+}
+
+export function createOpenAIProvider({ model, maxTokens, temperature, baseUrl, apiKey, fetch: fetchImpl = fetch }) {
+  return {
+    name: 'openai',
+    model,
+
+    async createMessage({ system, messages, tools, onText }) {
+      const body = {
+        model,
+        max_tokens: maxTokens,
+        messages: toOpenAIMessages(system, messages),
+        tools: toOpenAITools(tools),
+        stream: Boolean(onText)
+      };
+      if (onText) {
+        // Without this, streamed responses carry no token counts; usage arrives in a final
+        // chunk with no choices
+        body.stream_options = { include_usage: true };
+      }
+      if (temperature !== undefined) {
+        body.temperature = temperature;
+      }
+
+      const response = await fetchImpl(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        throw new Error(`OpenAI-compatible request failed (${response.status}): ${await response.text()}`);
+      }
+
+      if (onText) {
+        return fromOpenAIMessage(await readStream(response.body, onText));
+      }
+
+      const data = await response.json();
+      const choice = data.choices[0];
+      return fromOpenAIMessage({
+        content: choice.message.content,
+        toolCalls: choice.message.tool_calls || [],
+        finishReason: choice.finish_reason,
+        usage: data.usage
+      });
+    }
+  };
+}
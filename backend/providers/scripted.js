@@ -0,0 +1,42 @@
+import fs from 'fs';
+
+// Deterministic provider that plays back canned responses in order, for tests and
+// offline runs. Each response is { content, stopReason } using the same content
+// blocks the other providers return; an Error instance is thrown instead of returned.
+// Every call's arguments are kept in `calls`.
+export function createScriptedProvider({ responses = [], scriptPath } = {}) {
+  const queue = scriptPath
+    ? JSON.parse(fs.readFileSync(scriptPath, 'utf8'))
+    : [...responses];
+  const calls = [];
+
+  return {
+    name: 'scripted',
+    model: 'scripted',
+    calls,
+
+    async createMessage({ system, messages, tools, onText }) {
+      calls.push(structuredClone({ system, messages, tools }));
+
+      const response = queue.shift();
+      if (!response) {
+        throw new Error('Scripted provider ran out of responses');
+      }
+      if (response instanceof Error) {
+        throw response;
+      }
+
+      if (onText) {
+        response.content
+          .filter(block => block.type === 'text')
+          .forEach(block => onText(block.text));
+      }
+
+      return {
+        content: response.content,
+        stopReason: response.stopReason,
+        usage: response.usage || { inputTokens: 0, outputTokens: 0 }
+      };
+    }
+  };
+}
@@ -0,0 +1,40 @@
+// Per-client request limits, kept in memory: each limiter allows `limit` requests in any
+// `windowMs` (a sliding window, so there's no burst at the window boundary). /api/chat uses
+// one per minute against bursts and one per day as a quota.
+
+// Clients idle for a whole window are forgotten after this many requests
+const SWEEP_EVERY = 1000;
+
+export function createRateLimiter({ limit, windowMs, now = Date.now }) {
+  const hits = new Map();
+  let requests = 0;
+
+  function sweep(time) {
+    for (const [key, timestamps] of hits) {
+      if (timestamps.at(-1) <= time - windowMs) {
+        hits.delete(key);
+      }
+    }
+  }
+
+  // Count a request from `key` if it's allowed. Returns
+  // { allowed, limit, remaining, retryAfterMs }, where retryAfterMs is 0 when allowed.
+  function take(key) {
+    const time = now();
+    if (++requests % SWEEP_EVERY === 0) {
+      sweep(time);
+    }
+
+    const timestamps = (hits.get(key) || []).filter(stamp => stamp > time - windowMs);
+    if (timestamps.length >= limit) {
+      hits.set(key, timestamps);
+      return { allowed: false, limit, remaining: 0, retryAfterMs: timestamps[0] + windowMs - time };
+    }
+
+    timestamps.push(time);
+    hits.set(key, timestamps);
+    return { allowed: true, limit, remaining: limit - timestamps.length, retryAfterMs: 0 };
+  }
+
+  return { take };
+}
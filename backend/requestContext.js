@@ -0,0 +1,47 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Per-request state that deep code (the scraper's page pool, logging) needs without
+// threading it through every call: which conversation the work is for, a signal that
+// fires when the client goes away, the turn's trace ID and the spans recorded so far.
+//   { sessionKey: string, signal: AbortSignal, traceId: string, spans: object[] }
+const storage = new AsyncLocalStorage();
+
+const NO_CONTEXT = { sessionKey: 'background', signal: undefined, traceId: null, spans: null };
+
+export function runWithRequestContext(context, fn) {
+  return storage.run({ ...NO_CONTEXT, ...context }, fn);
+}
+
+// Work that outlives the request that started it (e.g. background cache refreshes)
+export function runOutsideRequestContext(fn) {
+  return storage.exit(fn);
+}
+
+export function currentRequestContext() {
+  return storage.getStore() || NO_CONTEXT;
+}
+
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+// An AbortController for work with a deadline of its own inside a request, e.g. a chat
+// turn's tool calls: it aborts when `signal` does, or at `deadline` (ms since the epoch),
+// with the same AbortError either way. dispose() stops watching once the work is done.
+export function createDeadlineController(signal, deadline) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const timer = setTimeout(abort, Math.max(0, deadline - Date.now()));
+  if (signal?.aborted) {
+    abort();
+  }
+  signal?.addEventListener('abort', abort, { once: true });
+
+  return {
+    signal: controller.signal,
+    dispose() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    }
+  };
+}
@@ -0,0 +1,60 @@
+import { terms } from './textMatch.js';
+import { normalizePartNumber } from './partIdentity.js';
+
+// Search a part's customer reviews and Q&A for the ones that address a customer's
+// question, so answers can quote and cite them.
+
+const MAX_MATCHES = 3;
+
+// Bonus for entries that mention the customer's own model, on top of the text score
+const MODEL_BONUS = 1;
+
+function entriesOf(part) {
+  return [
+    ...(part.reviews || []).map(review => ({
+      entry: review,
+      type: 'review',
+      terms: new Set(terms(`${review.title} ${review.text}`)),
+      citation: `Review ${review.id.replace('review-', '#')}${review.author ? ` by ${review.author}` : ''}${review.date ? `, ${review.date}` : ''}`
+    })),
+    ...(part.questions || []).map(qna => ({
+      entry: qna,
+      type: 'qa',
+      terms: new Set(terms(`${qna.question} ${qna.answer || ''}`)),
+      citation: `Q&A ${qna.id.replace('qa-', '#')}${qna.author ? ` from ${qna.author}` : ''}${qna.date ? `, ${qna.date}` : ''}`
+    }))
+  ];
+}
+
+// Rank a part's reviews and Q&A against a question. Rarer words count for more, and entries
+// mentioning modelNumber are preferred. Returns up to three matches, each with a citation.
+export function searchReviews(part, question, { modelNumber } = {}) {
+  const entries = entriesOf(part);
+  const queryTerms = [...new Set(terms(question))];
+  const model = modelNumber ? normalizePartNumber(modelNumber) : null;
+
+  const weight = term => {
+    const containing = entries.filter(item => item.terms.has(term)).length;
+    return containing === 0 ? 0 : Math.log(1 + entries.length / containing);
+  };
+  const weights = new Map(queryTerms.map(term => [term, weight(term)]));
+
+  return entries
+    .map(item => {
+      const matchedTerms = queryTerms.filter(term => item.terms.has(term));
+      const mentionsModel = Boolean(model && item.entry.models.some(listed => normalizePartNumber(listed) === model));
+      const textScore = matchedTerms.reduce((sum, term) => sum + weights.get(term), 0);
+      return { item, matchedTerms, mentionsModel, score: textScore > 0 ? textScore + (mentionsModel ? MODEL_BONUS : 0) : 0 };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_MATCHES)
+    .map(({ item, matchedTerms, mentionsModel, score }) => ({
+      type: item.type,
+      citation: item.citation,
+      ...item.entry,
+      matchedTerms,
+      mentionsModel,
+      score: Math.round(score * 100) / 100
+    }));
+}
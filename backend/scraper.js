@@ -1,10 +1,27 @@
 import * as cheerio from 'cheerio';
 import puppeteer from 'puppeteer';
 import { EventEmitter } from 'events';
+import { cached } from './cache.js';
+import { evaluateCompatibility } from './compatibility.js';
+import { withFixture, FixtureMissingError } from './fixtures.js';
+import { createPagePool } from './pagePool.js';
+import { scraperConfig, knowledgeBaseConfig } from './config.js';
+import { currentRequestContext, isAbortError } from './requestContext.js';
+import { createSourceHealth, SourceError, httpError } from './sourceHealth.js';
+import { normalizePartNumber, resolvePartNumber, indexPart, matchedAliases, partAliases } from './partIdentity.js';
+import { matchSymptom, topicUrl, diagnose, filterCandidatesToModel } from './symptoms.js';
+import { searchReviews } from './reviews.js';
+import { createKnowledgeBase, createCpuEmbedder, partDocuments, guideDocuments, repairDocuments } from './knowledgeBase.js';
+import { getPolicy } from './policy.js';
+import { createLogger } from './logger.js';
+import { metrics } from './metrics.js';
+
+const log = createLogger('scraper');
 
 const BASE_URL = 'https://www.partselect.com';
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
-// Event emitter for browser status updates
+// Event emitter for browser status updates: 'closed', plus the page pool's 'pool' and 'queue' state
 export const browserEvents = new EventEmitter();
 
 // Singleton browser instance with idle timeout
@@ -18,7 +35,7 @@ function resetIdleTimeout() {
   }
   idleTimeout = setTimeout(async () => {
     if (browserInstance) {
-      console.log("[BROWSER] Closing browser due to inactivity...");
+      log.info('Closing browser due to inactivity');
       await closeBrowser('inactivity');
     }
   }, IDLE_TIMEOUT_MS);
@@ -26,7 +43,7 @@ function resetIdleTimeout() {
 
 async function getBrowser() {
   if (!browserInstance) {
-    console.log("[BROWSER] Launching new browser instance...");
+    log.info('Launching new browser instance');
     browserInstance = await puppeteer.launch({
       headless: true,
       args: ['--no-sandbox', '--disable-setuid-sandbox']
@@ -34,8 +51,9 @@ async function getBrowser() {
 
     // Handle browser disconnection
     browserInstance.on('disconnected', () => {
-      console.log("[BROWSER] Browser disconnected");
+      log.warn('Browser disconnected');
       browserInstance = null;
+      pagePool.clear();
       if (idleTimeout) {
         clearTimeout(idleTimeout);
         idleTimeout = null;
@@ -56,9 +74,10 @@ export async function closeBrowser(reason = 'manual') {
     idleTimeout = null;
   }
   if (browserInstance) {
-    console.log("[BROWSER] Closing browser instance...");
+    log.info('Closing browser instance', { reason });
     await browserInstance.close();
     browserInstance = null;
+    pagePool.clear();
 
     // Emit event when browser closes due to inactivity
     if (reason === 'inactivity') {
@@ -85,6 +104,31 @@ process.on('SIGTERM', async () => {
   process.exit(0);
 });
 
+// Warm pages shared by all scrapes, queued fairly across chat sessions (see pagePool.js)
+const pagePool = createPagePool({
+  getBrowser,
+  maxPages: scraperConfig().maxPages,
+  setupPage: (page) => page.setUserAgent(USER_AGENT),
+  events: browserEvents
+});
+
+// Retries, circuit breakers and success/latency stats for each lookup source (see sourceHealth.js)
+const { retries, backoffMs, cooldownMs } = scraperConfig();
+const sourceHealth = createSourceHealth({ retries, backoffMs, cooldownMs });
+
+// Everything scraped so far, searchable without another scrape (see knowledgeBase.js)
+const knowledgeBase = createKnowledgeBase({
+  loadEmbedder: async () => {
+    const { embeddingModel } = knowledgeBaseConfig();
+    return embeddingModel ? await createCpuEmbedder(embeddingModel) : null;
+  }
+});
+
+// Snapshot for /api/status
+export function scraperStatus() {
+  return { sources: sourceHealth.status(), pages: pagePool.stats() };
+}
+
 // Rate limiter: 60 requests per minute
 const RATE_LIMIT = 60;
 const RATE_WINDOW_MS = 60 * 1000; // 1 minute in milliseconds
@@ -103,7 +147,7 @@ async function waitForRateLimit() {
     const oldestTimestamp = requestTimestamps[0];
     const waitTime = oldestTimestamp + RATE_WINDOW_MS - now;
     if (waitTime > 0) {
-      console.log(`[RATE LIMIT] Waiting ${Math.ceil(waitTime / 1000)}s before next request...`);
+      log.info('Rate limited, waiting before next request', { waitMs: waitTime });
       await new Promise(resolve => setTimeout(resolve, waitTime));
     }
     // Remove the expired timestamp after waiting
@@ -114,72 +158,100 @@ async function waitForRateLimit() {
   requestTimestamps.push(Date.now());
 }
 
-// Use Puppeteer to fetch pages that have bot detection
-async function fetchPageWithPuppeteer(url) {
+// Unrecorded requests in strict replay mode, and requests whose client has gone away,
+// must fail loudly rather than read as "not found"
+function rethrowIfFatal(error) {
+  if (error instanceof FixtureMissingError || isAbortError(error)) {
+    throw error;
+  }
+}
+
+// Load a URL on a pooled page, following redirects
+async function loadPageWithPuppeteer(url) {
   await waitForRateLimit();
-  console.log("Fetching with Puppeteer:", url);
 
-  const browser = await getBrowser();
-  // Use incognito context for fresh session each time
-  const context = await browser.createBrowserContext();
-  const page = await context.newPage();
+  return await pagePool.withPage(async (page) => {
+    const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+    return {
+      finalUrl: page.url(),
+      status: response ? response.status() : null,
+      html: await page.content()
+    };
+  });
+}
 
+// Bot protection answers with an error status or a challenge page instead of the content
+function assertNotBlocked(status, html) {
+  if (status === 403 || status === 429 || status >= 500) {
+    throw httpError(status);
+  }
+  if (/<title>\s*(access denied|just a moment|attention required)/i.test(html)) {
+    throw httpError(403, 'Blocked by a bot challenge page');
+  }
+}
+
+// Use Puppeteer to fetch pages that have bot detection
+async function fetchPageWithPuppeteer(url) {
+  log.debug('Fetching page', { url });
+  const started = Date.now();
   try {
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-    await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-    const html = await page.content();
+    const { status, html } = await withFixture('page', url, () => loadPageWithPuppeteer(url));
+    assertNotBlocked(status, html);
+    metrics.pageFetchDuration.observe({ outcome: 'ok' }, (Date.now() - started) / 1000);
     return html;
-  } finally {
-    await context.close();
+  } catch (error) {
+    metrics.pageFetchDuration.observe({ outcome: 'error' }, (Date.now() - started) / 1000);
+    throw error;
   }
 }
 
+// Whether text (a URL, heading or link) mentions the part number, ignoring case, spaces and dashes
+function mentionsPart(text, partNumber) {
+  return normalizePartNumber(text).includes(normalizePartNumber(partNumber));
+}
+
+// Part pages look like /PS11752778-Whirlpool-WPW10321304-Refrigerator-Door-Shelf-Bin.htm
+function isPartPageUrl(url) {
+  return /\/PS\d+-[^/]*\.htm/i.test(url);
+}
+
 // Use PartSelect's internal search endpoint (redirects to part page)
 async function findPartSelectUrlViaSearch(partNumber) {
-  console.log("[PS-SEARCH] Searching PartSelect for:", partNumber);
-
   const searchUrl = `${BASE_URL}/api/search/?searchterm=${encodeURIComponent(partNumber)}`;
 
-  await waitForRateLimit();
-  console.log("[PS-SEARCH] Navigating to:", searchUrl);
-
-  const browser = await getBrowser();
-  // Use incognito context for fresh session
-  const context = await browser.createBrowserContext();
-  const page = await context.newPage();
+  log.debug('Searching PartSelect', { source: 'ps-search', partNumber, url: searchUrl });
 
   try {
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-
     // Navigate and follow redirects
-    await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+    const { finalUrl, status, html } = await withFixture('ps-search', searchUrl, () => loadPageWithPuppeteer(searchUrl));
+    assertNotBlocked(status, html);
 
-    const finalUrl = page.url();
-    console.log("[PS-SEARCH] Final URL after redirect:", finalUrl);
+    log.debug('Search redirected', { source: 'ps-search', finalUrl });
 
-    // Check if we landed on a part page (.htm with part number)
-    if (finalUrl.includes('.htm') && finalUrl.toUpperCase().includes(partNumber.toUpperCase())) {
-      console.log("[PS-SEARCH] SUCCESS - Redirected to part page");
+    // Check if we landed on a part page. The search also redirects manufacturer and superseded
+    // numbers that appear nowhere in the URL, and fuzzy matches for numbers it doesn't know;
+    // fetchPart checks the number against the page (see confirmsPart).
+    if (isPartPageUrl(finalUrl) || (finalUrl.includes('.htm') && mentionsPart(finalUrl, partNumber))) {
+      log.info('Found part URL', { source: 'ps-search', partNumber, url: finalUrl, via: 'redirect' });
       return { url: finalUrl, method: 'ps-search' };
     }
 
     // Check page content for errors or if we're on a valid part page
-    const html = await page.content();
     const $ = cheerio.load(html);
     const pageTitle = $('title').text().trim().toLowerCase();
     const h1Text = $('h1').first().text().trim();
 
-    console.log("[PS-SEARCH] Page title:", pageTitle);
+    log.debug('Search landed on a page', { source: 'ps-search', pageTitle });
 
     // If title indicates error, return null
     if (pageTitle.includes('error') || pageTitle.includes('not found') || pageTitle.includes('page not found')) {
-      console.log("[PS-SEARCH] Search returned error page");
+      log.info('Search returned an error page', { source: 'ps-search', partNumber });
       return null;
     }
 
     // Check if h1 contains part number (we might be on the right page)
-    if (h1Text.toUpperCase().includes(partNumber.toUpperCase())) {
-      console.log("[PS-SEARCH] SUCCESS - Found part info on page");
+    if (mentionsPart(h1Text, partNumber)) {
+      log.info('Found part URL', { source: 'ps-search', partNumber, url: finalUrl, via: 'heading' });
       return { url: finalUrl, method: 'ps-search' };
     }
 
@@ -187,57 +259,49 @@ async function findPartSelectUrlViaSearch(partNumber) {
     let partUrl = null;
     $('a[href*=".htm"]').each((i, el) => {
       const href = $(el).attr('href');
-      if (href && href.toUpperCase().includes(partNumber.toUpperCase()) && !partUrl) {
+      if (href && mentionsPart(href, partNumber) && !partUrl) {
         partUrl = href.startsWith('http') ? href : `${BASE_URL}${href}`;
       }
     });
 
     if (partUrl) {
-      console.log("[PS-SEARCH] SUCCESS - Found part link:", partUrl);
+      log.info('Found part URL', { source: 'ps-search', partNumber, url: partUrl, via: 'link' });
       return { url: partUrl, method: 'ps-search' };
     }
 
-    console.log("[PS-SEARCH] Could not find part on page");
+    log.info('No part on the search page', { source: 'ps-search', partNumber });
     return null;
 
   } catch (error) {
-    console.log("[PS-SEARCH] Error:", error.message);
-    return null;
-  } finally {
-    await context.close();
+    // Not the same as "no such part": sourceHealth retries or reports it
+    log.warn('Search failed', { source: 'ps-search', partNumber, error });
+    throw error;
   }
 }
 
 // Use DuckDuckGo to find the correct PartSelect URL for a part number (fallback)
 async function findPartSelectUrlViaDDG(partNumber) {
-  console.log("[DDG] Searching DuckDuckGo for:", partNumber);
-
   const searchQuery = `site:partselect.com ${partNumber}`;
   const ddgUrl = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(searchQuery)}`;
 
-  console.log("[DDG] Trying DuckDuckGo URL:", ddgUrl);
+  log.debug('Searching DuckDuckGo', { source: 'ddg', partNumber, url: ddgUrl });
 
   try {
-    await waitForRateLimit();
-    const response = await fetch(ddgUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-      }
+    const { status, html } = await withFixture('ddg', ddgUrl, async () => {
+      await waitForRateLimit();
+      const response = await fetch(ddgUrl, {
+        headers: {
+          'User-Agent': USER_AGENT
+        },
+        signal: currentRequestContext().signal
+      });
+      return { finalUrl: response.url, status: response.status, html: await response.text() };
     });
 
-    if (!response.ok) {
-      console.log("[DDG] DuckDuckGo request failed:", response.status);
-      return null;
+    if (status < 200 || status >= 300) {
+      throw httpError(status);
     }
 
-    console.log("[DDG] DuckDuckGo response received");
-
-    const html = await response.text();
-
-    // Debug
-    console.log("[DDG] Contains 'partselect':", html.toLowerCase().includes('partselect'));
-    console.log("[DDG] Contains part number:", html.includes(partNumber));
-
     // DuckDuckGo HTML version uses uddg= parameter with URL-encoded links
     // Look for encoded PartSelect URLs
     const encodedRegex = new RegExp(`uddg=([^&"']+${partNumber}[^&"']*)`, 'i');
@@ -245,85 +309,239 @@ async function findPartSelectUrlViaDDG(partNumber) {
 
     if (encodedMatch) {
       const decodedUrl = decodeURIComponent(encodedMatch[1]);
-      console.log("[DDG] Found encoded URL, decoded:", decodedUrl);
       if (decodedUrl.includes('partselect.com')) {
-        console.log("[DDG] SUCCESS - Found part URL via encoded match");
+        log.info('Found part URL', { source: 'ddg', partNumber, url: decodedUrl, via: 'encoded' });
         return { url: decodedUrl, method: 'ddg' };
       }
     }
 
     // Also try direct URL match
-    console.log("[DDG] Encoded URL match not found, trying direct regex match");
     const regex = new RegExp(`https?://www\\.partselect\\.com/${partNumber}[^"'\\s&<>]*\\.htm`, 'i');
     const match = html.match(regex);
 
-    console.log("[DDG] Direct regex match:", match ? match[0] : "NO MATCH");
-
     if (match) {
-      console.log("[DDG] SUCCESS - Found part URL via direct regex");
+      log.info('Found part URL', { source: 'ddg', partNumber, url: match[0], via: 'direct' });
       return { url: match[0], method: 'ddg' };
     }
 
     // Fallback: find any partselect.com URL
     const fallbackRegex = /https?:\/\/www\.partselect\.com\/[^"'\s<>]+\.htm/gi;
     const fallbackMatches = html.match(fallbackRegex);
-    console.log("[DDG] Fallback PartSelect URLs:", fallbackMatches?.slice(0, 3));
 
     if (fallbackMatches && fallbackMatches.length > 0) {
-      console.log("[DDG] SUCCESS - Found part URL via fallback regex");
+      log.info('Found part URL', { source: 'ddg', partNumber, url: fallbackMatches[0], via: 'fallback' });
       return { url: fallbackMatches[0], method: 'ddg' };
     }
 
-    console.log("[DDG] No part URL found via DuckDuckGo");
+    log.info('No part URL in the results', { source: 'ddg', partNumber });
     return null;
   } catch (error) {
-    console.log("[DDG] Error during DuckDuckGo search:", error.message);
-    return null;
+    log.warn('Search failed', { source: 'ddg', partNumber, error });
+    throw error;
   }
 }
 
-// Search for a part by part number
+// Search for a part by PS, manufacturer or superseded number (served from the cache when possible).
+// Numbers already in the alias index go straight to their PS part; `matchedAliases` lists the
+// manufacturer or superseded numbers the input matched.
 export async function searchPart(partNumber) {
-  console.log("=".repeat(50));
-  console.log(`[SEARCH] Starting search for part: ${partNumber}`);
-  console.log("=".repeat(50));
+  const { query, psNumber } = await resolvePartNumber(partNumber);
+  if (psNumber && psNumber !== query) {
+    log.info('Known alias', { query, psNumber });
+  }
+
+  const key = psNumber || query;
+  const part = await cached('part', key, () => fetchPart(key));
+  if (part.error) {
+    return part;
+  }
+
+  await indexPart(part);
+  // Out-of-scope parts stay out of the knowledge base, so search_knowledge_base can't surface them
+  if (getPolicy().inScope(part.applianceType)) {
+    await knowledgeBase.add(partDocuments(part));
+  }
+  return { ...part, matchedAliases: matchedAliases(query, part) };
+}
+
+// Sources that can turn a part number into its PartSelect URL, in order of preference
+const PART_URL_SOURCES = [
+  // PartSelect's internal search endpoint (fastest, most reliable)
+  ['ps-search', findPartSelectUrlViaSearch],
+  // DuckDuckGo site search, when PartSelect search comes up empty or is unavailable
+  ['ddg', findPartSelectUrlViaDDG]
+];
+
+// Result for a lookup that failed because sources were unreachable, not because the part is unknown
+function degradedResult(partNumber, failures) {
+  const summary = failures.map(({ source, kind }) => `${source} ${kind}`).join(', ');
+  return {
+    error: `Part lookup service is degraded (${summary}); could not check whether ${partNumber} exists`,
+    degraded: true,
+    failures
+  };
+}
+
+// Whether a part page is the part that was asked for: the query is its PS number (from the
+// page, or the URL when the page doesn't show one), manufacturer number or a number it replaces
+function confirmsPart(part, partNumber) {
+  const urlPsNumber = (part.url.match(/\/(PS\d+)-/i) || [])[1];
+  const query = normalizePartNumber(partNumber);
+  return partAliases({ ...part, psNumber: part.psNumber || urlPsNumber })
+    .some(alias => alias.number === query);
+}
+
+// Result for a search that landed on a different part than the one asked for
+function unconfirmedResult(partNumber, part) {
+  const closest = part.psNumber || part.url;
+  return {
+    error: `No exact match for part number ${partNumber}; the closest match, ${closest} (${part.title}), doesn't list that number`,
+    notFound: true,
+    closestMatch: { partNumber: part.psNumber, title: part.title, url: part.url, confirmed: false }
+  };
+}
+
+async function fetchPart(partNumber) {
+  log.info('Looking up part', { partNumber });
 
   try {
-    // Method 1: Try PartSelect's internal search endpoint (fastest, most reliable)
-    let result = await findPartSelectUrlViaSearch(partNumber);
+    let result = null;
+    const failures = [];
+
+    for (const [source, findUrl] of PART_URL_SOURCES) {
+      try {
+        result = await sourceHealth.call(source, () => findUrl(partNumber));
+      } catch (error) {
+        if (!(error instanceof SourceError)) throw error;
+        log.warn('Source unavailable', { source, kind: error.kind, error });
+        failures.push({ source, kind: error.kind });
+      }
+      if (result) break;
+    }
 
-    // Method 2: Fall back to DuckDuckGo if PartSelect search failed
     if (!result) {
-      console.log("[SEARCH] PartSelect search failed, trying DuckDuckGo fallback...");
-      result = await findPartSelectUrlViaDDG(partNumber);
+      if (failures.length > 0) {
+        log.warn('Part lookup degraded', { partNumber, failures });
+        return degradedResult(partNumber, failures);
+      }
+      log.info('Part not found', { partNumber });
+      return { error: `No results found for part number: ${partNumber}`, notFound: true };
     }
 
-    if (result) {
-      console.log(`[SEARCH] SUCCESS - Found part URL via ${result.method.toUpperCase()}`);
-      console.log(`[SEARCH] URL: ${result.url}`);
-      console.log("[SEARCH] Fetching part page with Puppeteer...");
 
-      const html = await fetchPageWithPuppeteer(result.url);
-      console.log("[SEARCH] Successfully fetched part page, extracting details...");
-
-      const $ = cheerio.load(html);
-      const partDetails = extractPartDetails($, partNumber);
-      partDetails.sourceMethod = result.method;
-      partDetails.url = result.url;
+    let html;
+    try {
+      html = await sourceHealth.call('part-page', () => fetchPageWithPuppeteer(result.url));
+    } catch (error) {
+      if (!(error instanceof SourceError)) throw error;
+      return degradedResult(partNumber, [...failures, { source: 'part-page', kind: error.kind }]);
+    }
 
-      console.log("[SEARCH] Part details extracted successfully");
-      return partDetails;
+    const $ = cheerio.load(html);
+    const partDetails = extractPartDetails($, partNumber);
+    // Looked up by a manufacturer or superseded number: report the canonical PS number
+    partDetails.partNumber = partDetails.psNumber || partNumber;
+    partDetails.sourceMethod = result.method;
+    partDetails.url = result.url;
+
+    if (!confirmsPart(partDetails, partNumber)) {
+      log.info('Search landed on a different part', { partNumber, psNumber: partDetails.psNumber, url: result.url });
+      return unconfirmedResult(partNumber, partDetails);
     }
 
-    console.log("[SEARCH] FAILED - No URL found via any method");
-    return { error: `No results found for part number: ${partNumber}` };
+    // The installation guide comes from the same page, so getInstallationGuide doesn't load it again
+    await cached('guide', partDetails.partNumber, async () => guideFromPage($, partDetails));
+    return partDetails;
   } catch (error) {
-    console.log("[SEARCH] ERROR:", error.message);
+    rethrowIfFatal(error);
+    log.error('Part lookup failed', { partNumber, error });
     return { error: `Failed to search for part: ${error.message}` };
   }
 }
 
-function extractPartDetails($, partNumber) {
+// Cap on the "works with" models kept per part
+const MAX_COMPATIBLE_MODELS = 300;
+
+// Caps on the customer reviews and Q&A kept per part
+const MAX_REVIEWS = 10;
+const MAX_QUESTIONS = 10;
+const MAX_SNIPPET_LENGTH = 400;
+
+// Stars out of 5 from a PartSelect rating widget, whose filled layer is sized as a percentage
+function starRating($stars) {
+  const width = ($stars.attr('style') || '').match(/width:\s*([\d.]+)%/);
+  return width ? Math.round(parseFloat(width[1]) / 2) / 10 : null;
+}
+
+// Model-number-looking tokens in free text, e.g. "fits my WRS325FDAM04", minus the part's own numbers
+function modelNumbersIn(text, exclude) {
+  const found = [];
+  for (const match of text.matchAll(/\b(?=[A-Z0-9]*\d)(?=[A-Z0-9]*[A-Z])[A-Z0-9]{7,16}\b/g)) {
+    const number = match[0];
+    if (/^PS\d+$/.test(number) || exclude.has(number) || found.includes(number)) continue;
+    found.push(number);
+  }
+  return found;
+}
+
+function snippet(text) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  return clean.length > MAX_SNIPPET_LENGTH ? `${clean.slice(0, MAX_SNIPPET_LENGTH - 1)}…` : clean;
+}
+
+// Average rating, review count, customer reviews and Q&A pairs from a part page. Each
+// review and question gets a stable ID (review-1, qa-1, ...) so answers can cite it.
+// partNumbers: the part's own numbers, which are not model mentions.
+export function extractReviewsAndQuestions($, partNumbers = []) {
+  const exclude = new Set(partNumbers.filter(Boolean).map(number => number.toUpperCase()));
+
+  const countMatch = $('.pd__header-rating .rating__count, .pd__header-rating').first().text().match(/(\d[\d,]*)\s*Reviews?/i);
+
+  const reviews = [];
+  $('.pd__cust-review__submitted-review').each((i, el) => {
+    const $review = $(el);
+    const text = $review.find('.js-searchKeys').text();
+    if (!text.trim()) return;
+    const $header = $review.find('.pd__cust-review__submitted-review__header');
+
+    reviews.push({
+      id: `review-${reviews.length + 1}`,
+      rating: starRating($review.find('.rating__stars__upper').first()),
+      title: $review.children('.bold').first().text().trim(),
+      author: $header.find('.bold').first().text().trim() || null,
+      date: $header.find('span').not('.bold').first().text().trim() || null,
+      text: snippet(text),
+      models: modelNumbersIn(text, exclude)
+    });
+  });
+
+  const questions = [];
+  $('.qna__question').each((i, el) => {
+    const $qna = $(el);
+    const question = $qna.children('.js-searchKeys').first().text();
+    if (!question.trim()) return;
+    const answer = $qna.find('.qna__ps-answer__msg, .qna__question__answer').first().text();
+    const modelLine = $qna.find('.qna__question__model').text();
+
+    questions.push({
+      id: `qa-${questions.length + 1}`,
+      question: snippet(question),
+      answer: answer.trim() ? snippet(answer) : null,
+      author: $qna.find('.qna__question__header .bold').first().text().trim() || null,
+      date: $qna.find('.qna__question__date').first().text().trim() || null,
+      models: modelNumbersIn(`${modelLine} ${question} ${answer}`, exclude)
+    });
+  });
+
+  return {
+    rating: starRating($('.pd__header-rating .rating__stars__upper').first()),
+    reviewCount: countMatch ? parseInt(countMatch[1].replace(/,/g, ''), 10) : reviews.length,
+    reviews: reviews.slice(0, MAX_REVIEWS),
+    questions: questions.slice(0, MAX_QUESTIONS)
+  };
+}
+
+export function extractPartDetails($, partNumber) {
   const title = $('h1.title-main').text().trim() || $('h1').first().text().trim();
   const price = $('.price').first().text().trim();
   const description = $('.pd__description').text().trim() ||
@@ -363,6 +581,43 @@ function extractPartDetails($, partNumber) {
   // Get compatible models section info
   const compatibilityNote = $('.pd__cross-reference, .model-compatibility').text().trim();
 
+  // Identifiers: PartSelect number, manufacturer number and the older numbers this part replaces
+  const bodyText = $('body').text().replace(/\s+/g, ' ');
+  const psMatch = $('[itemprop="productID"]').first().text().match(/PS\d+/i) ||
+    bodyText.match(/PartSelect\s*(?:Number|#):?\s*(PS\d+)/i);
+  const psNumber = psMatch ? (psMatch[1] || psMatch[0]).toUpperCase() : null;
+  const mfrMatch = bodyText.match(/Manufacturer\s*Part\s*Number:?\s*([A-Z0-9-]+)/i);
+  const manufacturerPartNumber = $('[itemprop="mpn"]').first().text().trim() || (mfrMatch ? mfrMatch[1] : null);
+
+  // "This part replaces these: AP6019471, 2171046, ..." - the list ends at the first entry followed by prose
+  const replacedPartNumbers = [];
+  const replacesIndex = bodyText.search(/replaces these:?/i);
+  if (replacesIndex !== -1) {
+    const listText = bodyText.slice(replacesIndex).replace(/^replaces these:?/i, '').slice(0, 500);
+    for (const chunk of listText.split(',')) {
+      const [number, ...rest] = chunk.trim().split(' ');
+      if (!/^[A-Z0-9-]*\d[A-Z0-9-]*$/i.test(number)) break;
+      replacedPartNumbers.push(number.toUpperCase());
+      if (rest.length > 0) break;
+    }
+  }
+
+  // Models the part page says this part works with
+  const compatibleModels = [];
+  $('.pd__crossref__list a[href*="/Models/"], .js-crossref a[href*="/Models/"]').each((i, el) => {
+    const match = ($(el).attr('href') || '').match(/\/Models\/([^/?#]+)/i);
+    const model = match ? decodeURIComponent(match[1]).toUpperCase() : null;
+    if (model && !compatibleModels.includes(model)) compatibleModels.push(model);
+  });
+
+  // Appliance category from the breadcrumb trail, e.g. "Home > Refrigerator Parts > ..."
+  const breadcrumbs = $('.breadcrumbs a, .breadcrumb a').map((i, el) => $(el).text().trim()).get().join(' > ');
+  const applianceType = APPLIANCE_TYPES.find(type => new RegExp(`\\b${type} Parts\\b`, 'i').test(breadcrumbs)) || null;
+
+  const { rating, reviewCount, reviews, questions } = extractReviewsAndQuestions($, [
+    partNumber, psNumber, manufacturerPartNumber, ...replacedPartNumbers
+  ]);
+
   return {
     partNumber,
     title,
@@ -373,103 +628,509 @@ function extractPartDetails($, partNumber) {
     installationSteps: installationSteps.slice(0, 10),
     videos: videos.slice(0, 3),
     symptoms: symptoms.slice(0, 10),
-    compatibilityNote
+    compatibilityNote,
+    psNumber,
+    manufacturerPartNumber,
+    replacedPartNumbers,
+    applianceType,
+    compatibleModels: compatibleModels.slice(0, MAX_COMPATIBLE_MODELS),
+    compatibleModelsComplete: compatibleModels.length <= MAX_COMPATIBLE_MODELS &&
+      $('.pd__crossref__list .js-showMore, .pd__crossref__list [data-more]').length === 0,
+    rating,
+    reviewCount,
+    reviews,
+    questions
   };
 }
 
-// Check if a part is compatible with a model
-export async function checkCompatibility(partNumber, modelNumber) {
+// Find the customer reviews and Q&A on a part's page that address a question, optionally
+// preferring ones about the customer's model
+export async function searchPartReviews(partNumber, question, { modelNumber } = {}) {
+  const part = await searchPart(partNumber);
+  if (part.error) {
+    return part;
+  }
+
+  const matches = searchReviews(part, question, { modelNumber });
+  return {
+    partNumber: part.partNumber,
+    title: part.title,
+    url: part.url,
+    rating: part.rating ?? null,
+    reviewCount: part.reviewCount ?? 0,
+    applianceType: part.applianceType || null,
+    question,
+    matches,
+    message: matches.length > 0
+      ? `Found ${matches.length} review(s) or Q&A answer(s) about this. Quote them with their citation.`
+      : `None of the reviews or Q&A on this part's page address the question.`
+  };
+}
+
+// Search previously scraped content (part descriptions, reviews, Q&A, repair stories and
+// troubleshooting pages) for a general question. Each result carries a numbered citation.
+export async function searchKnowledgeBase(query, { kinds } = {}) {
+  const results = await knowledgeBase.search(query, { kinds });
+  return {
+    query,
+    results: results.map((result, index) => ({ citation: `[${index + 1}] ${result.title}`, ...result })),
+    message: results.length > 0
+      ? `Found ${results.length} passage(s) from previously scraped pages. Cite the ones you use.`
+      : 'Nothing previously scraped matches this question. Use the live lookup tools instead.'
+  };
+}
+
+// Caps on what an installation guide keeps from a part page
+const MAX_REPAIR_STORIES = 5;
+const MAX_GUIDE_VIDEOS = 4;
+
+// Split a customer's install write-up into steps: numbered items when they numbered them,
+// otherwise sentences
+function splitSteps(text) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  const numbered = clean.split(/(?:^|\s)\d{1,2}[.)]\s+/).map(step => step.trim()).filter(Boolean);
+  if (numbered.length > 1) {
+    return numbered;
+  }
+  return clean.split(/(?<=[.!?])\s+(?=[A-Z])/).map(step => step.trim()).filter(step => step.length > 3);
+}
+
+// Most frequent value, or null
+function mostCommon(values) {
+  const counts = new Map();
+  values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let best = null;
+  for (const [value, count] of counts) {
+    if (!best || count > counts.get(best)) best = value;
+  }
+  return best;
+}
+
+// YouTube IDs from embeds, lazy-load placeholders, thumbnails and links on the page
+function extractYouTubeVideos($) {
+  const videos = [];
+  const add = (id, title) => {
+    if (!id || !/^[\w-]{11}$/.test(id) || videos.some(video => video.id === id)) return;
+    videos.push({
+      id,
+      title: title || 'Installation video',
+      url: `https://www.youtube.com/watch?v=${id}`,
+      thumbnailUrl: `https://img.youtube.com/vi/${id}/mqdefault.jpg`
+    });
+  };
+
+  $('[data-yt-init]').each((i, el) => add($(el).attr('data-yt-init'), $(el).attr('title')));
+  $('iframe[src*="youtube"], a[href*="youtube.com/watch"], a[href*="youtu.be/"], img[src*="img.youtube.com/vi/"]').each((i, el) => {
+    const src = $(el).attr('src') || $(el).attr('href') || '';
+    const match = src.match(/(?:embed\/|[?&]v=|youtu\.be\/|\/vi\/)([\w-]{11})/);
+    add(match && match[1], $(el).attr('title') || $(el).attr('alt') || $(el).text().trim());
+  });
+
+  return videos.slice(0, MAX_GUIDE_VIDEOS);
+}
+
+// Difficulty, time, tools and step-by-step write-ups from a part page's repair stories
+export function extractInstallationGuide($) {
+  const stories = [];
+  $('.repair-story').each((i, el) => {
+    const $story = $(el);
+    const instruction = $story.find('.repair-story__instruction').text();
+    if (!instruction.trim()) return;
+
+    // "Difficulty Level: Really Easy", "Total Repair Time: Less than 15 mins", "Tools: Pliers, Screw drivers"
+    const details = {};
+    $story.find('.repair-story__details li').each((j, li) => {
+      const [label, ...value] = $(li).text().replace(/\s+/g, ' ').split(':');
+      details[label.trim().toLowerCase()] = value.join(':').trim();
+    });
+
+    const tools = (details.tools || '')
+      .split(',')
+      .map(tool => tool.trim())
+      .filter(tool => tool && !/no tools/i.test(tool));
+
+    stories.push({
+      title: $story.find('.repair-story__title').text().trim(),
+      difficulty: details['difficulty level'] || null,
+      time: details['total repair time'] || null,
+      tools,
+      steps: splitSteps(instruction)
+    });
+  });
+
+  // The page's own install steps make the checklist; otherwise the first customer write-up
+  const officialSteps = [];
+  $('.repair-story__step, .pd__repair-step').each((i, el) => {
+    const step = $(el).text().trim();
+    if (step) officialSteps.push(step);
+  });
+
+  const toolCounts = new Map();
+  stories.flatMap(story => story.tools).forEach(tool => toolCounts.set(tool, (toolCounts.get(tool) || 0) + 1));
+
+  return {
+    difficulty: mostCommon(stories.map(story => story.difficulty)),
+    time: mostCommon(stories.map(story => story.time)),
+    tools: [...toolCounts.entries()].sort((a, b) => b[1] - a[1]).map(([tool]) => tool),
+    ratingsCount: stories.filter(story => story.difficulty || story.time).length,
+    steps: officialSteps.length > 0 ? officialSteps : (stories[0]?.steps || []),
+    stories: stories.slice(0, MAX_REPAIR_STORIES),
+    videos: extractYouTubeVideos($)
+  };
+}
+
+function guideFromPage($, part) {
+  return {
+    partNumber: part.partNumber,
+    title: part.title,
+    url: part.url,
+    applianceType: part.applianceType || null,
+    ...extractInstallationGuide($)
+  };
+}
+
+// Walk-through for installing a part: resolves the part, then reads its page's repair stories.
+// fetchPart caches the guide whenever it reads a part page, so the page is only loaded here
+// when the part came from the cache and its guide has since expired.
+export async function getInstallationGuide(partNumber) {
+  const part = await searchPart(partNumber);
+  if (part.error) {
+    return part;
+  }
+
+  try {
+    const guide = await cached('guide', part.partNumber, async () => {
+      const html = await sourceHealth.call('part-page', () => fetchPageWithPuppeteer(part.url));
+      return guideFromPage(cheerio.load(html), part);
+    });
+    if (getPolicy().inScope(guide.applianceType)) {
+      await knowledgeBase.add(guideDocuments(guide));
+    }
+    return guide;
+  } catch (error) {
+    rethrowIfFatal(error);
+    if (error instanceof SourceError) {
+      return {
+        partNumber: part.partNumber,
+        error: `Part lookup service is degraded (part-page ${error.kind}); could not load the installation guide`,
+        degraded: true,
+        failures: [{ source: 'part-page', kind: error.kind }]
+      };
+    }
+    return { partNumber: part.partNumber, error: `Failed to load installation guide: ${error.message}` };
+  }
+}
+
+// Appliance types PartSelect uses in model page titles
+const APPLIANCE_TYPES = [
+  'Refrigerator', 'Dishwasher', 'Freezer', 'Ice Maker', 'Washer', 'Dryer',
+  'Range', 'Oven', 'Cooktop', 'Microwave', 'Trash Compactor'
+];
+
+// Section pages fetched per model; later sections are listed without their parts
+const MAX_SECTION_PAGES = 6;
+const MAX_PARTS_PER_SECTION = 15;
+
+// Pull brand and appliance type out of a title like "WDT780SAEM1 Whirlpool Dishwasher - Overview"
+export function parseModelTitle(title, modelNumber) {
+  const cleaned = title
+    .replace(/-\s*overview$/i, '')
+    .replace(new RegExp(modelNumber.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'ig'), '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const applianceType = APPLIANCE_TYPES.find(type => cleaned.toLowerCase().includes(type.toLowerCase())) || null;
+  const brand = applianceType
+    ? cleaned.slice(0, cleaned.toLowerCase().indexOf(applianceType.toLowerCase())).trim()
+    : cleaned.split(' ')[0] || null;
+
+  return { brand: brand || null, applianceType };
+}
+
+// Parts listed on a model or section page
+export function extractModelParts($) {
+  const parts = [];
+
+  $('.mega-m__part').each((i, el) => {
+    const $part = $(el);
+    const text = $part.text().replace(/\s+/g, ' ');
+    const psMatch = text.match(/PartSelect\s*#:?\s*(PS\d+)/i) || text.match(/\b(PS\d{5,})\b/);
+    const mfrMatch = text.match(/Manufacturer\s*#:?\s*([A-Z0-9-]+)/i);
+    const name = $part.find('.mega-m__part__name, .mega-m__part-name, a').first().text().trim();
+    const href = $part.find('a[href*=".htm"]').first().attr('href');
+
+    if (!psMatch && !name) return;
+
+    parts.push({
+      partNumber: psMatch ? psMatch[1].toUpperCase() : null,
+      manufacturerNumber: mfrMatch ? mfrMatch[1] : null,
+      name,
+      price: $part.find('.mega-m__part__price, .price').first().text().trim(),
+      url: href ? (href.startsWith('http') ? href : `${BASE_URL}${href}`) : null
+    });
+  });
+
+  return parts.slice(0, MAX_PARTS_PER_SECTION);
+}
+
+// Fetch a model's overview page plus its first few section pages
+async function fetchModel(modelNumber) {
+  const modelUrl = `${BASE_URL}/Models/${encodeURIComponent(modelNumber)}/`;
+  const html = await fetchPageWithPuppeteer(modelUrl);
+  const $ = cheerio.load(html);
+
+  const title = $('h1.title-main').text().trim() || $('h1').first().text().trim();
+  if (!title || /not found|error/i.test($('title').text())) {
+    return { modelNumber, error: `No model page found for ${modelNumber}` };
+  }
+
+  const { brand, applianceType } = parseModelTitle(title, modelNumber);
+
+  // Diagram sections, e.g. /Models/WDT780SAEM1/Sections/Door/
+  const sections = [];
+  const seenSections = new Set();
+  $('a[href*="/Sections/"]').each((i, el) => {
+    const href = $(el).attr('href');
+    const name = $(el).text().trim() || $(el).attr('title') || '';
+    if (!href || !name || seenSections.has(href)) return;
+    seenSections.add(href);
+    sections.push({
+      name,
+      url: href.startsWith('http') ? href : `${BASE_URL}${href}`,
+      parts: []
+    });
+  });
+
+  // Manuals and guides linked from the model page
+  const manuals = [];
+  const seenManuals = new Set();
+  $('a[href$=".pdf"], a[href*="/Manuals/"]').each((i, el) => {
+    const href = $(el).attr('href');
+    if (!href || seenManuals.has(href)) return;
+    seenManuals.add(href);
+    manuals.push({
+      title: $(el).text().trim() || 'Manual',
+      url: href.startsWith('http') ? href : `${BASE_URL}${href}`
+    });
+  });
+
+  for (const section of sections.slice(0, MAX_SECTION_PAGES)) {
+    try {
+      const sectionHtml = await fetchPageWithPuppeteer(section.url);
+      section.parts = extractModelParts(cheerio.load(sectionHtml));
+    } catch (error) {
+      rethrowIfFatal(error);
+      log.warn('Failed to fetch model section', { modelNumber, section: section.name, error });
+      metrics.scrapeFailures.inc({ source: 'model-section', kind: 'error' });
+    }
+  }
+
+  return {
+    modelNumber,
+    title,
+    brand,
+    applianceType,
+    url: modelUrl,
+    sections,
+    manuals: manuals.slice(0, 10),
+    // Parts the overview page itself lists, for models without section pages
+    featuredParts: extractModelParts($)
+  };
+}
+
+// Look up an appliance model: brand, type, diagram sections with their parts, and manuals
+export async function getModelInfo(modelNumber) {
   try {
-    // Search for the model and check if the part appears
-    const modelUrl = `${BASE_URL}/Models/${encodeURIComponent(modelNumber)}/`;
-    const html = await fetchPageWithPuppeteer(modelUrl);
+    return await cached('model', modelNumber, () => fetchModel(modelNumber));
+  } catch (error) {
+    rethrowIfFatal(error);
+    return {
+      modelNumber,
+      error: `Failed to look up model: ${error.message}`
+    };
+  }
+}
+
+// Pages of in-model search results followed per compatibility check
+const MAX_MODEL_SEARCH_PAGES = 3;
+
+// Search a model's own parts list, following pagination, e.g. /Models/WDT780SAEM1/Parts/?SearchTerm=PS11752778
+async function searchModelParts(modelNumber, searchTerm) {
+  const parts = [];
+  let url = `${BASE_URL}/Models/${encodeURIComponent(modelNumber)}/Parts/?SearchTerm=${encodeURIComponent(searchTerm)}`;
+
+  for (let page = 0; url && page < MAX_MODEL_SEARCH_PAGES; page++) {
+    const html = await fetchPageWithPuppeteer(url);
     const $ = cheerio.load(html);
+    extractModelParts($).forEach(part => parts.push({ ...part, source: 'model search' }));
 
-    const modelName = $('h1').first().text().trim();
-    const pageText = $.text().toLowerCase();
-    const partNumLower = partNumber.toLowerCase();
+    const next = $('a[rel="next"], .pagination a.next, .js-pagination-next').first().attr('href');
+    url = next ? (next.startsWith('http') ? next : `${BASE_URL}${next}`) : null;
+  }
 
-    // Check if part number appears on the model page
-    const isCompatible = pageText.includes(partNumLower);
+  return parts;
+}
+
+// Check if a part is compatible with a model, using both the model's parts list
+// and the part page's "works with" list as evidence
+export async function checkCompatibility(partNumber, modelNumber) {
+  try {
+    const [modelInfo, partResult] = await Promise.all([
+      getModelInfo(modelNumber),
+      searchPart(partNumber)
+    ]);
+    const partInfo = partResult.error ? null : partResult;
+
+    // Parts the model lists: diagram sections plus an in-model search for this part
+    let modelParts = null;
+    if (!modelInfo.error) {
+      modelParts = [
+        ...modelInfo.featuredParts.map(part => ({ ...part, source: 'model overview' })),
+        ...modelInfo.sections.flatMap(section => section.parts.map(part => ({ ...part, source: section.name })))
+      ];
+
+      try {
+        const searchTerm = partInfo?.psNumber || partNumber;
+        const found = await cached('model', `${modelNumber}#search:${searchTerm}`, async () => ({
+          parts: await searchModelParts(modelNumber, searchTerm)
+        }));
+        modelParts.push(...found.parts);
+      } catch (error) {
+        rethrowIfFatal(error);
+        log.warn('In-model search failed', { modelNumber, partNumber, error });
+        metrics.scrapeFailures.inc({ source: 'model-search', kind: 'error' });
+      }
+    }
+
+    const { verdict, confidence, evidence } = evaluateCompatibility({
+      partNumber,
+      partInfo,
+      modelNumber,
+      modelParts,
+      worksWithModels: partInfo ? partInfo.compatibleModels : null,
+      worksWithComplete: partInfo ? partInfo.compatibleModelsComplete : false
+    });
 
-    // Also try searching for the part and checking its compatible models
-    const partInfo = await searchPart(partNumber);
+    const messages = {
+      compatible: `Part ${partNumber} is compatible with model ${modelNumber} (${confidence} confidence).`,
+      not_compatible: `Part ${partNumber} does not appear to fit model ${modelNumber} (${confidence} confidence).`,
+      unknown: `Could not confirm compatibility between ${partNumber} and ${modelNumber}. Check PartSelect.com directly.`
+    };
 
     return {
       partNumber,
       modelNumber,
-      modelName,
-      isCompatible,
-      partInfo: partInfo.error ? null : partInfo,
-      message: isCompatible
-        ? `Part ${partNumber} appears to be compatible with model ${modelNumber}.`
-        : `Could not confirm compatibility between ${partNumber} and ${modelNumber}. Check PartSelect.com directly.`
+      modelName: modelInfo.error ? null : modelInfo.title,
+      verdict,
+      confidence,
+      evidence,
+      isCompatible: verdict === 'compatible',
+      partInfo,
+      message: messages[verdict]
     };
   } catch (error) {
+    rethrowIfFatal(error);
     return {
       partNumber,
       modelNumber,
+      verdict: 'unknown',
+      confidence: 'low',
+      evidence: [],
       error: `Failed to check compatibility: ${error.message}`,
       message: `Unable to verify compatibility. Please check PartSelect.com directly.`
     };
   }
 }
 
-// Get troubleshooting info for common issues
-export async function getTroubleshootingInfo(appliance, symptom) {
-  try {
-    const searchQuery = `${appliance} ${symptom}`;
-    const searchUrl = `${BASE_URL}/Repair/Help/${encodeURIComponent(searchQuery.replace(/\s+/g, '-'))}/`;
+// Pull tips and commonly replaced parts out of a repair help page
+export function parseRepairPage($) {
+  // Extract repair help content
+  const tips = [];
+  $('.repair-help__tip, .repair-story, .help-content p').each((i, el) => {
+    const text = $(el).text().trim();
+    if (text && text.length > 20) tips.push(text);
+  });
 
-    let html;
-    try {
-      html = await fetchPageWithPuppeteer(searchUrl);
-    } catch {
-      // Troubleshooting URL didn't work, return empty results
-      return {
-        appliance,
-        symptom,
-        tips: [],
-        suggestedParts: [],
-        message: `Could not fetch specific troubleshooting data. Will provide general guidance.`
-      };
+  // Get commonly replaced parts for this issue
+  const suggestedParts = [];
+  $('.part-suggestion, .mega-m__part').slice(0, 5).each((i, el) => {
+    const partName = $(el).find('.mega-m__part-name, h3').text().trim();
+    const partNum = $(el).find('.mega-m__part-number, .part-number').text().trim();
+    if (partName || partNum) {
+      suggestedParts.push({ name: partName, number: partNum });
     }
+  });
 
-    const $ = cheerio.load(html);
+  return { tips: tips.slice(0, 5), suggestedParts };
+}
 
-    // Extract repair help content
-    const tips = [];
-    $('.repair-help__tip, .repair-story, .help-content p').each((i, el) => {
-      const text = $(el).text().trim();
-      if (text && text.length > 20) tips.push(text);
-    });
+// Fetch and parse a repair help page; throws if the page can't be fetched
+async function fetchRepairPage(searchUrl) {
+  const html = await fetchPageWithPuppeteer(searchUrl);
+  return parseRepairPage(cheerio.load(html));
+}
 
-    // Get commonly replaced parts for this issue
-    const suggestedParts = [];
-    $('.part-suggestion, .mega-m__part').slice(0, 5).each((i, el) => {
-      const partName = $(el).find('.mega-m__part-name, h3').text().trim();
-      const partNum = $(el).find('.mega-m__part-number, .part-number').text().trim();
-      if (partName || partNum) {
-        suggestedParts.push({ name: partName, number: partNum });
-      }
-    });
+// Narrow diagnosis candidates to the parts the customer's model lists
+async function candidatesForModel(candidates, modelNumber) {
+  const model = await getModelInfo(modelNumber);
+  if (model.error) {
+    return { candidates, filtered: false };
+  }
+  const modelParts = [
+    ...(model.sections || []).flatMap(section => section.parts),
+    ...(model.featuredParts || [])
+  ];
+  return filterCandidatesToModel(candidates, modelParts);
+}
 
-    return {
-      appliance,
-      symptom,
-      tips: tips.slice(0, 5),
-      suggestedParts,
-      message: tips.length > 0
-        ? `Found troubleshooting information for ${appliance} ${symptom}.`
-        : `Limited troubleshooting info available. Common causes and solutions will be provided.`
-    };
-  } catch (error) {
+// Troubleshoot a symptom: match it to a PartSelect repair topic, then walk that topic's
+// diagnostic questions with the answers given so far ([{ question, answer }]). Returns the
+// next question to ask, or ranked candidate parts once the questions run out - narrowed to
+// the customer's model when modelNumber is given.
+export async function getTroubleshootingInfo(appliance, symptom, { answers = [], modelNumber } = {}) {
+  const match = matchSymptom(appliance, symptom);
+
+  if (!match.topic) {
     return {
       appliance,
       symptom,
       tips: [],
       suggestedParts: [],
-      message: `Could not fetch specific troubleshooting data. Will provide general guidance.`
+      suggestedTopics: match.alternatives.map(topic => topic.title),
+      message: `No repair topic matches "${symptom}". Ask the customer to describe what the ${appliance} is doing${match.alternatives.length > 0 ? ', or whether one of the suggested topics fits' : ''}.`
     };
   }
+
+  const { topic } = match;
+  const url = topicUrl(topic);
+
+  let page = { tips: [], suggestedParts: [] };
+  try {
+    page = await cached('repair', url, () => fetchRepairPage(url));
+    await knowledgeBase.add(repairDocuments(topic, url, page));
+  } catch (error) {
+    rethrowIfFatal(error);
+    log.warn('Failed to fetch repair page', { url, error });
+    metrics.scrapeFailures.inc({ source: 'repair-page', kind: 'error' });
+  }
+
+  const diagnosis = diagnose(topic, answers);
+  if (diagnosis.status === 'done' && modelNumber && diagnosis.candidates.length > 0) {
+    const { candidates, filtered } = await candidatesForModel(diagnosis.candidates, modelNumber);
+    diagnosis.candidates = candidates;
+    diagnosis.modelNumber = modelNumber;
+    diagnosis.filteredToModel = filtered;
+  }
+
+  return {
+    appliance,
+    symptom,
+    topic: { id: topic.id, title: topic.title, url },
+    tips: page.tips,
+    suggestedParts: page.suggestedParts,
+    diagnosis,
+    message: diagnosis.status === 'question'
+      ? `Matched "${topic.title}". Ask the customer diagnostic question ${diagnosis.step}, then call troubleshoot again with their answer.`
+      : `Diagnosis for "${topic.title}" complete.`
+  };
 }
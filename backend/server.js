@@ -1,67 +1,16 @@
 import 'dotenv/config';
-import express from 'express';
-import cors from 'cors';
-import { chat } from './agent.js';
-import { browserEvents } from './scraper.js';
+import { createApp } from './app.js';
+import { createLogger } from './logger.js';
+import { authConfig } from './config.js';
 
-const app = express();
-const PORT = process.env.PORT || 3001;
-
-app.use(cors());
-app.use(express.json());
-
-// SSE endpoint for browser status updates
-const sseClients = new Set();
-
-app.get('/api/events', (req, res) => {
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders();
-
-  sseClients.add(res);
-
-  req.on('close', () => {
-    sseClients.delete(res);
-  });
-});
-
-// Forward browser events to SSE clients
-browserEvents.on('closed', (data) => {
-  const message = JSON.stringify(data);
-  sseClients.forEach(client => {
-    client.write(`data: ${message}\n\n`);
-  });
-});
-
-app.post('/api/chat', async (req, res) => {
-  try {
-    const { messages } = req.body;
+const log = createLogger('server');
 
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: 'Messages array is required' });
-    }
-
-    const response = await chat(messages);
+const PORT = process.env.PORT || 3001;
 
-    res.json({
-      role: 'assistant',
-      content: response.text,
-      parts: response.parts || []
-    });
-  } catch (error) {
-    console.error('Chat error:', error);
-    res.status(500).json({
-      error: 'Failed to get response',
-      details: error.message
-    });
+createApp().listen(PORT, () => {
+  log.info(`Server running on http://localhost:${PORT}`, { port: PORT });
+  const { apiKeys, tokenSecret } = authConfig();
+  if (apiKeys.length === 0 && !tokenSecret) {
+    log.warn('No API_KEYS or EXTENSION_TOKEN_SECRET set: the API is open to anyone who can reach it');
   }
 });
-
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok' });
-});
-
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-});
@@ -0,0 +1,153 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { dataDir } from './config.js';
+import { EMPTY_USAGE, addUsage } from './budget.js';
+
+// Conversation sessions, one JSON file per session under DATA_DIR/sessions.
+// A session's transcript keeps each assistant reply together with the typed blocks
+// it returned, so the chat window can redraw it. `usage` totals the tokens and estimated
+// cost of every turn (see budget.js). `owner` is the client ID of whoever created the
+// session (see auth.js); lookups that pass an owner only see that client's sessions.
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+const TITLE_LENGTH = 60;
+
+function sessionsDir() {
+  return path.join(dataDir(), 'sessions');
+}
+
+function sessionPath(id) {
+  return path.join(sessionsDir(), `${id}.json`);
+}
+
+// Writes to one session are chained so concurrent turns can't drop each other's messages
+const writeQueues = new Map();
+
+function serialize(id, task) {
+  const previous = writeQueues.get(id) || Promise.resolve();
+  const next = previous.then(task, task);
+  writeQueues.set(id, next.catch(() => {}));
+  return next;
+}
+
+async function writeSession(session) {
+  await fs.mkdir(sessionsDir(), { recursive: true });
+  await fs.writeFile(sessionPath(session.id), JSON.stringify(session, null, 2));
+}
+
+export function isSessionId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+function ownedBy(session, owner) {
+  return owner === undefined || session.owner === owner;
+}
+
+export async function createSession({ title = 'New conversation', owner = null } = {}) {
+  const now = new Date().toISOString();
+  const session = {
+    id: crypto.randomUUID(),
+    owner,
+    title,
+    createdAt: now,
+    updatedAt: now,
+    usage: EMPTY_USAGE,
+    messages: []
+  };
+  await writeSession(session);
+  return session;
+}
+
+// Returns null for unknown or malformed IDs, and for sessions `owner` didn't create
+export async function getSession(id, { owner } = {}) {
+  if (!isSessionId(id)) {
+    return null;
+  }
+
+  try {
+    const session = JSON.parse(await fs.readFile(sessionPath(id), 'utf8'));
+    return ownedBy(session, owner) ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+// Summaries of `owner`'s sessions (every session when no owner is given), most recently
+// active first
+export async function listSessions({ owner } = {}) {
+  let files;
+  try {
+    files = await fs.readdir(sessionsDir());
+  } catch {
+    return [];
+  }
+
+  const sessions = await Promise.all(
+    files
+      .filter(file => file.endsWith('.json'))
+      .map(file => getSession(path.basename(file, '.json'), { owner }))
+  );
+
+  return sessions
+    .filter(Boolean)
+    .map(({ id, title, createdAt, updatedAt, usage, messages }) => ({
+      id,
+      title,
+      createdAt,
+      updatedAt,
+      messageCount: messages.length,
+      usage: usage || EMPTY_USAGE
+    }))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// False when the session doesn't exist or isn't `owner`'s
+export async function deleteSession(id, { owner } = {}) {
+  if (!isSessionId(id)) {
+    return false;
+  }
+
+  return await serialize(id, async () => {
+    if (!await getSession(id, { owner })) {
+      return false;
+    }
+    try {
+      await fs.unlink(sessionPath(id));
+      return true;
+    } catch {
+      return false;
+    }
+  });
+}
+
+// Add messages to a session's transcript, and the turn's usage to its total. The first
+// user message becomes the title.
+export async function appendMessages(id, messages, { usage = null } = {}) {
+  return await serialize(id, async () => {
+    const session = await getSession(id);
+    if (!session) {
+      throw new Error(`Unknown session: ${id}`);
+    }
+
+    const now = new Date().toISOString();
+    session.messages.push(...messages.map(message => ({ ...message, createdAt: now })));
+    session.updatedAt = now;
+    session.usage = addUsage(session.usage, usage);
+
+    if (session.title === 'New conversation') {
+      const firstUserMessage = session.messages.find(message => message.role === 'user');
+      if (firstUserMessage) {
+        session.title = firstUserMessage.content.slice(0, TITLE_LENGTH);
+      }
+    }
+
+    await writeSession(session);
+    return session;
+  });
+}
+
+// The transcript in the { role, content } form chat() takes
+export function sessionHistory(session) {
+  return session.messages.map(({ role, content }) => ({ role, content }));
+}
@@ -0,0 +1,174 @@
+import { setTimeout as sleep } from 'timers/promises';
+import { FixtureMissingError } from './fixtures.js';
+import { currentRequestContext, isAbortError } from './requestContext.js';
+import { createLogger } from './logger.js';
+import { metrics } from './metrics.js';
+
+const log = createLogger('health');
+
+// Health tracking for the external sources the scraper depends on (PartSelect search,
+// DuckDuckGo, PartSelect part pages). Every call goes through call(), which
+//   - retries transient failures (timeouts, network errors, 429 and 5xx) with backoff,
+//   - opens a circuit breaker after repeated failures so the source is skipped for a cooldown,
+//   - records the outcome and latency for /api/status.
+// A source answering "no such part" is a success: the source itself is working.
+
+const DEFAULTS = {
+  retries: 2,
+  backoffMs: 500,
+  failureThreshold: 3,
+  cooldownMs: 60 * 1000,
+  windowSize: 50
+};
+
+// A failed call to a source, after retries. `kind` is one of:
+//   timeout, network, rate_limited, blocked, http, error, circuit_open
+export class SourceError extends Error {
+  constructor(source, kind, message, { status = null, transient = false } = {}) {
+    super(`${source}: ${message}`);
+    this.name = 'SourceError';
+    this.source = source;
+    this.kind = kind;
+    this.status = status;
+    this.transient = transient;
+  }
+}
+
+// Error for an HTTP response that shouldn't be parsed as a page
+export function httpError(status, message = `HTTP ${status}`) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function classify(source, error) {
+  if (error instanceof SourceError) {
+    return error;
+  }
+
+  if (error.status === 403) {
+    return new SourceError(source, 'blocked', error.message, { status: 403 });
+  }
+  if (error.status === 429) {
+    return new SourceError(source, 'rate_limited', 'Rate limited (HTTP 429)', { status: 429, transient: true });
+  }
+  if (error.status >= 500) {
+    return new SourceError(source, 'http', error.message, { status: error.status, transient: true });
+  }
+  if (error.status) {
+    return new SourceError(source, 'http', error.message, { status: error.status });
+  }
+  if (error.name === 'TimeoutError' || /timed? ?out/i.test(error.message)) {
+    return new SourceError(source, 'timeout', error.message, { transient: true });
+  }
+  if (/net::ERR_|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|fetch failed|socket hang up/i.test(error.message)) {
+    return new SourceError(source, 'network', error.message, { transient: true });
+  }
+  return new SourceError(source, 'error', error.message);
+}
+
+export function createSourceHealth(options = {}) {
+  const { retries, backoffMs, failureThreshold, cooldownMs, windowSize } = { ...DEFAULTS, ...options };
+  const now = options.now || Date.now;
+  const sources = new Map();
+
+  function sourceState(source) {
+    if (!sources.has(source)) {
+      sources.set(source, { outcomes: [], consecutiveFailures: 0, openedAt: null, trialInFlight: false });
+    }
+    return sources.get(source);
+  }
+
+  function circuit(state) {
+    if (state.openedAt === null) return 'closed';
+    return now() - state.openedAt >= cooldownMs ? 'half_open' : 'open';
+  }
+
+  function record(state, outcome) {
+    state.outcomes.push({ ...outcome, at: now() });
+    if (state.outcomes.length > windowSize) {
+      state.outcomes.shift();
+    }
+  }
+
+  // Run fn() against `source`. Resolves with fn's result; rejects with a SourceError when
+  // the source fails or its circuit is open. Fixture and abort errors pass straight through.
+  async function call(source, fn) {
+    const state = sourceState(source);
+    const breaker = circuit(state);
+
+    if (breaker === 'open' || (breaker === 'half_open' && state.trialInFlight)) {
+      throw new SourceError(source, 'circuit_open', 'Skipped while the source recovers from repeated failures');
+    }
+    if (breaker === 'half_open') {
+      log.info('Cooldown over, trying the source again', { source });
+      state.trialInFlight = true;
+    }
+
+    const started = now();
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const result = await fn();
+          record(state, { ok: true, latencyMs: now() - started });
+          state.consecutiveFailures = 0;
+          state.openedAt = null;
+          return result;
+        } catch (error) {
+          if (error instanceof FixtureMissingError || isAbortError(error)) {
+            throw error;
+          }
+
+          const failure = classify(source, error);
+          if (!failure.transient || attempt >= retries) {
+            throw failure;
+          }
+
+          const delay = backoffMs * 2 ** attempt;
+          log.warn('Transient failure, retrying', { source, kind: failure.kind, error, delayMs: delay });
+          // A retry waiting out its backoff stops with the request, like the fetch it repeats
+          await sleep(delay, undefined, { signal: currentRequestContext().signal });
+        }
+      }
+    } catch (error) {
+      if (error instanceof SourceError) {
+        record(state, { ok: false, latencyMs: now() - started, kind: error.kind });
+        metrics.scrapeFailures.inc({ source, kind: error.kind });
+        state.consecutiveFailures++;
+        if (breaker === 'half_open' || state.consecutiveFailures >= failureThreshold) {
+          log.warn('Source failing, skipping it for a while', { source, kind: error.kind, cooldownMs });
+          state.openedAt = now();
+        }
+      }
+      throw error;
+    } finally {
+      if (breaker === 'half_open') {
+        state.trialInFlight = false;
+      }
+    }
+  }
+
+  // Recent success rate and latency per source
+  function status() {
+    return [...sources.entries()].map(([source, state]) => {
+      const { outcomes } = state;
+      const successes = outcomes.filter(outcome => outcome.ok);
+      const latencies = outcomes.map(outcome => outcome.latencyMs).sort((a, b) => a - b);
+      const lastFailure = [...outcomes].reverse().find(outcome => !outcome.ok);
+
+      return {
+        source,
+        circuit: circuit(state),
+        calls: outcomes.length,
+        successRate: outcomes.length ? successes.length / outcomes.length : null,
+        averageLatencyMs: latencies.length
+          ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length)
+          : null,
+        p95LatencyMs: latencies.length ? latencies[Math.ceil(latencies.length * 0.95) - 1] : null,
+        lastFailure: lastFailure ? { kind: lastFailure.kind, at: new Date(lastFailure.at).toISOString() } : null
+      };
+    });
+  }
+
+  return { call, status };
+}
@@ -0,0 +1,410 @@
+import { terms } from './textMatch.js';
+
+// Symptom taxonomy for troubleshooting. Free-text symptoms are matched to PartSelect's
+// canonical repair topics (by synonym, tolerating typos), and each topic is a small
+// diagnostic tree the agent walks one question per turn. Leaves give advice and the parts
+// most likely at fault, with the share of repairs each part accounts for.
+//
+// Nodes are either questions { question, yes, no } pointing at other node IDs, or
+// leaves { advice, parts: [{ name, likelihood }] }.
+
+const BASE_URL = 'https://www.partselect.com';
+
+export const TOPICS = [
+  {
+    id: 'refrigerator-not-making-ice',
+    appliance: 'refrigerator',
+    title: 'Refrigerator not making ice',
+    slug: 'Not-Making-Ice',
+    synonyms: ['not making ice', 'no ice', 'ice maker not working', 'ice maker stopped working', 'ice maker broken', 'icemaker not working', 'not producing ice'],
+    start: 'ice-maker-on',
+    nodes: {
+      'ice-maker-on': { question: "Is the ice maker switched on (shut-off arm down, or the ice maker switch on)?", yes: 'water-reaches', no: 'turn-on' },
+      'turn-on': { advice: 'Switch the ice maker on and allow 24 hours for the first batch of ice.', parts: [] },
+      'water-reaches': { question: 'When the ice maker cycles, does water reach the ice mold?', yes: 'ice-maker-fault', no: 'dispenser-works' },
+      'ice-maker-fault': {
+        advice: 'Water is arriving, so the ice maker itself is not completing its harvest cycle.',
+        parts: [{ name: 'Ice Maker Assembly', likelihood: 65 }, { name: 'Ice Maker Thermostat', likelihood: 20 }, { name: 'Ice Maker Motor', likelihood: 15 }]
+      },
+      'dispenser-works': { question: 'Does the water dispenser on the door work?', yes: 'ice-valve', no: 'water-supply' },
+      'ice-valve': {
+        advice: 'Water reaches the door but not the ice maker: check the fill tube for ice before replacing parts.',
+        parts: [{ name: 'Water Inlet Valve', likelihood: 60 }, { name: 'Ice Maker Assembly', likelihood: 25 }, { name: 'Fill Tube', likelihood: 15 }]
+      },
+      'water-supply': {
+        advice: 'Neither the dispenser nor the ice maker gets water: check the household supply valve and that the filter is seated.',
+        parts: [{ name: 'Water Filter', likelihood: 45 }, { name: 'Water Inlet Valve', likelihood: 45 }, { name: 'Water Line', likelihood: 10 }]
+      }
+    }
+  },
+  {
+    id: 'refrigerator-too-warm',
+    appliance: 'refrigerator',
+    title: 'Refrigerator too warm',
+    slug: 'Fridge-Too-Warm',
+    synonyms: ['too warm', 'not cooling', 'not cold', 'warm fridge', 'not cold enough', 'food spoiling', 'stopped cooling'],
+    start: 'freezer-cold',
+    nodes: {
+      'freezer-cold': { question: 'Is the freezer section still cold?', yes: 'fan-running', no: 'compressor-running' },
+      'fan-running': { question: 'With the freezer door switch held in, can you hear or feel the fan running inside the freezer?', yes: 'airflow', no: 'evaporator-fan' },
+      airflow: {
+        advice: 'Cold air is made but not reaching the fresh food side.',
+        parts: [{ name: 'Air Damper', likelihood: 45 }, { name: 'Thermistor', likelihood: 30 }, { name: 'Control Board', likelihood: 25 }]
+      },
+      'evaporator-fan': {
+        advice: 'The fan that moves cold air out of the freezer is not running.',
+        parts: [{ name: 'Evaporator Fan Motor', likelihood: 70 }, { name: 'Door Switch', likelihood: 15 }, { name: 'Control Board', likelihood: 15 }]
+      },
+      'compressor-running': { question: 'Can you hear the compressor humming and the condenser fan running at the back or bottom?', yes: 'defrost', no: 'start-system' },
+      defrost: {
+        advice: 'The sealed system runs but the coils may be frosted over; look for frost on the freezer back panel.',
+        parts: [{ name: 'Defrost Heater', likelihood: 40 }, { name: 'Defrost Thermostat', likelihood: 30 }, { name: 'Defrost Timer', likelihood: 30 }]
+      },
+      'start-system': {
+        advice: 'The compressor is not starting. Clean the condenser coils, then check the start components.',
+        parts: [{ name: 'Start Relay', likelihood: 50 }, { name: 'Condenser Fan Motor', likelihood: 30 }, { name: 'Control Board', likelihood: 20 }]
+      }
+    }
+  },
+  {
+    id: 'refrigerator-leaking',
+    appliance: 'refrigerator',
+    title: 'Refrigerator leaking',
+    slug: 'Leaking',
+    synonyms: ['leaking', 'leaks water', 'water on the floor', 'puddle', 'water under the fridge', 'water inside the fridge'],
+    start: 'where',
+    nodes: {
+      where: { question: 'Is the water collecting inside the refrigerator (under the crisper drawers)?', yes: 'drain', no: 'supply' },
+      drain: {
+        advice: 'A blocked or frozen defrost drain overflows inside the cabinet; flush it with warm water.',
+        parts: [{ name: 'Drain Tube', likelihood: 50 }, { name: 'Defrost Heater', likelihood: 30 }, { name: 'Drain Pan', likelihood: 20 }]
+      },
+      supply: { question: 'Is the leak near the water filter or the dispenser?', yes: 'filter-leak', no: 'line-leak' },
+      'filter-leak': {
+        advice: 'Reseat the filter and check its housing for cracks.',
+        parts: [{ name: 'Water Filter', likelihood: 60 }, { name: 'Filter Housing', likelihood: 40 }]
+      },
+      'line-leak': {
+        advice: 'Check the water line and inlet valve connections at the back of the refrigerator.',
+        parts: [{ name: 'Water Inlet Valve', likelihood: 55 }, { name: 'Water Line', likelihood: 30 }, { name: 'Drain Pan', likelihood: 15 }]
+      }
+    }
+  },
+  {
+    id: 'refrigerator-not-dispensing-water',
+    appliance: 'refrigerator',
+    title: 'Refrigerator not dispensing water',
+    slug: 'Not-Dispensing-Water',
+    synonyms: ['not dispensing water', 'no water from dispenser', 'water dispenser not working', 'dispenser not working', 'no water'],
+    start: 'ice-works',
+    nodes: {
+      'ice-works': { question: 'Is the ice maker still making ice?', yes: 'door-side', no: 'supply' },
+      'door-side': {
+        advice: 'Water reaches the refrigerator, so the fault is on the dispenser side; the door water line may be frozen.',
+        parts: [{ name: 'Dispenser Switch', likelihood: 45 }, { name: 'Water Inlet Valve', likelihood: 35 }, { name: 'Water Line', likelihood: 20 }]
+      },
+      supply: {
+        advice: 'Nothing gets water: check the supply valve and replace an old water filter first.',
+        parts: [{ name: 'Water Filter', likelihood: 50 }, { name: 'Water Inlet Valve', likelihood: 50 }]
+      }
+    }
+  },
+  {
+    id: 'refrigerator-noisy',
+    appliance: 'refrigerator',
+    title: 'Refrigerator noisy',
+    slug: 'Noisy',
+    synonyms: ['noisy', 'loud', 'making noise', 'buzzing', 'rattling', 'squealing', 'clicking noise'],
+    start: 'inside',
+    nodes: {
+      inside: { question: 'Does the noise get louder when you open the freezer door?', yes: 'evaporator-fan', no: 'back' },
+      'evaporator-fan': {
+        advice: 'Noise from inside the freezer usually means the evaporator fan or ice build-up around it.',
+        parts: [{ name: 'Evaporator Fan Motor', likelihood: 75 }, { name: 'Defrost Heater', likelihood: 25 }]
+      },
+      back: {
+        advice: 'Noise from the back or bottom usually comes from the condenser fan or compressor start components.',
+        parts: [{ name: 'Condenser Fan Motor', likelihood: 60 }, { name: 'Start Relay', likelihood: 25 }, { name: 'Water Inlet Valve', likelihood: 15 }]
+      }
+    }
+  },
+  {
+    id: 'dishwasher-not-draining',
+    appliance: 'dishwasher',
+    title: 'Dishwasher not draining',
+    slug: 'Not-Draining',
+    synonyms: ['not draining', "won't drain", 'water in the bottom', 'standing water', 'water left in the bottom', 'water sitting in the bottom', 'drain problem'],
+    start: 'filter-clear',
+    nodes: {
+      'filter-clear': { question: 'Is the filter at the bottom of the tub clean and the drain hose free of kinks?', yes: 'pump-hum', no: 'clean-filter' },
+      'clean-filter': { advice: 'Clean the filter and sump and straighten the drain hose, then run a rinse cycle.', parts: [] },
+      'pump-hum': { question: 'At the end of a cycle, do you hear the drain pump humming?', yes: 'pump-jammed', no: 'pump-dead' },
+      'pump-jammed': {
+        advice: 'A humming pump that moves no water usually has a jammed impeller or a stuck check valve.',
+        parts: [{ name: 'Drain Pump', likelihood: 55 }, { name: 'Check Valve', likelihood: 30 }, { name: 'Drain Hose', likelihood: 15 }]
+      },
+      'pump-dead': {
+        advice: 'The drain pump is not running at all.',
+        parts: [{ name: 'Drain Pump', likelihood: 60 }, { name: 'Control Board', likelihood: 25 }, { name: 'Wire Harness', likelihood: 15 }]
+      }
+    }
+  },
+  {
+    id: 'dishwasher-not-cleaning',
+    appliance: 'dishwasher',
+    title: 'Dishwasher not cleaning properly',
+    slug: 'Not-Cleaning-Properly',
+    synonyms: ['not cleaning', 'dishes still dirty', 'dirty dishes', 'not washing', 'food left on dishes', 'residue on dishes'],
+    start: 'arms-spin',
+    nodes: {
+      'arms-spin': { question: 'Do the spray arms spin freely by hand, with their holes clear?', yes: 'hot-water', no: 'spray-arms' },
+      'spray-arms': {
+        advice: 'Clear the spray arm holes; replace arms that are cracked or do not spin.',
+        parts: [{ name: 'Spray Arm', likelihood: 70 }, { name: 'Spray Arm Bearing', likelihood: 30 }]
+      },
+      'hot-water': { question: 'Is the water hot during the wash?', yes: 'circulation', no: 'heating' },
+      circulation: {
+        advice: 'Water is hot but not circulating strongly.',
+        parts: [{ name: 'Circulation Pump', likelihood: 50 }, { name: 'Wash Impeller', likelihood: 30 }, { name: 'Detergent Dispenser', likelihood: 20 }]
+      },
+      heating: {
+        advice: 'Run the kitchen tap hot before starting; if the water still stays cool, check the heating parts.',
+        parts: [{ name: 'Heating Element', likelihood: 60 }, { name: 'Thermostat', likelihood: 25 }, { name: 'Control Board', likelihood: 15 }]
+      }
+    }
+  },
+  {
+    id: 'dishwasher-not-filling',
+    appliance: 'dishwasher',
+    title: 'Dishwasher will not fill with water',
+    slug: 'Will-Not-Fill-With-Water',
+    synonyms: ['not filling', "won't fill", 'no water', 'not getting water', 'does not fill', 'no water coming in'],
+    start: 'float-free',
+    nodes: {
+      'float-free': { question: 'Does the float in the front corner of the tub move up and down freely?', yes: 'valve-hum', no: 'float' },
+      float: {
+        advice: 'A stuck float makes the dishwasher think it is already full; clean around it.',
+        parts: [{ name: 'Float Switch', likelihood: 65 }, { name: 'Float', likelihood: 35 }]
+      },
+      'valve-hum': { question: 'When the cycle starts, do you hear a hum or click from behind the lower kick plate?', yes: 'valve-stuck', no: 'no-signal' },
+      'valve-stuck': {
+        advice: 'The inlet valve is powered but not opening; check the water supply is turned on.',
+        parts: [{ name: 'Water Inlet Valve', likelihood: 80 }, { name: 'Water Line', likelihood: 20 }]
+      },
+      'no-signal': {
+        advice: 'The inlet valve is not being powered.',
+        parts: [{ name: 'Water Inlet Valve', likelihood: 45 }, { name: 'Door Latch', likelihood: 30 }, { name: 'Control Board', likelihood: 25 }]
+      }
+    }
+  },
+  {
+    id: 'dishwasher-leaking',
+    appliance: 'dishwasher',
+    title: 'Dishwasher leaking',
+    slug: 'Leaking',
+    synonyms: ['leaking', 'leaks water', 'water on the floor', 'puddle', 'water under the dishwasher'],
+    start: 'door-edge',
+    nodes: {
+      'door-edge': { question: 'Is the water coming from around the door edges?', yes: 'door-seal', no: 'underneath' },
+      'door-seal': {
+        advice: 'Inspect the door gasket for tears and check the dishwasher is level.',
+        parts: [{ name: 'Door Gasket', likelihood: 70 }, { name: 'Door Seal', likelihood: 30 }]
+      },
+      underneath: {
+        advice: 'Leaks from underneath come from the pumps, hoses or inlet valve connections.',
+        parts: [{ name: 'Drain Pump', likelihood: 35 }, { name: 'Water Inlet Valve', likelihood: 35 }, { name: 'Drain Hose', likelihood: 30 }]
+      }
+    }
+  },
+  {
+    id: 'dishwasher-not-drying',
+    appliance: 'dishwasher',
+    title: 'Dishwasher not drying properly',
+    slug: 'Not-Drying-Properly',
+    synonyms: ['not drying', 'dishes wet', 'wet dishes', 'dishes still wet', 'does not dry'],
+    start: 'rinse-aid',
+    nodes: {
+      'rinse-aid': { question: 'Is the rinse aid dispenser filled?', yes: 'heat-dry', no: 'add-rinse-aid' },
+      'add-rinse-aid': { advice: 'Fill the rinse aid dispenser; most dishwashers dry poorly without it.', parts: [] },
+      'heat-dry': {
+        advice: 'Check that heated dry is selected, then test the drying parts.',
+        parts: [{ name: 'Heating Element', likelihood: 55 }, { name: 'Vent', likelihood: 25 }, { name: 'Thermostat', likelihood: 20 }]
+      }
+    }
+  },
+  {
+    id: 'dishwasher-will-not-start',
+    appliance: 'dishwasher',
+    title: 'Dishwasher will not start',
+    slug: 'Will-Not-Start',
+    synonyms: ['will not start', "won't start", 'not starting', 'not turning on', 'dead', 'no power', 'nothing happens'],
+    start: 'lights',
+    nodes: {
+      lights: { question: 'Do the control panel lights come on?', yes: 'latch', no: 'power' },
+      power: {
+        advice: 'Check the breaker and the outlet or junction box first.',
+        parts: [{ name: 'Thermal Fuse', likelihood: 45 }, { name: 'Control Board', likelihood: 35 }, { name: 'Wire Harness', likelihood: 20 }]
+      },
+      latch: {
+        advice: 'The panel has power but the cycle will not begin, which points at the door latch.',
+        parts: [{ name: 'Door Latch', likelihood: 60 }, { name: 'Control Board', likelihood: 25 }, { name: 'Touchpad', likelihood: 15 }]
+      }
+    }
+  }
+];
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+// Same word, allowing plurals and a typo or two in longer words
+function similarWords(a, b) {
+  if (a === b || a.replace(/s$/, '') === b.replace(/s$/, '')) return true;
+  const allowed = Math.min(a.length, b.length) >= 8 ? 2 : Math.min(a.length, b.length) >= 4 ? 1 : 0;
+  return allowed > 0 && editDistance(a, b) <= allowed;
+}
+
+// Share of the phrase's words found in the text (0..1)
+function phraseScore(textTokens, phrase) {
+  const phraseTokens = terms(phrase);
+  if (phraseTokens.length === 0) return 0;
+  const found = phraseTokens.filter(word => textTokens.some(token => similarWords(token, word)));
+  return found.length / phraseTokens.length;
+}
+
+const MATCH_THRESHOLD = 0.75;
+
+// Match a free-text symptom to a repair topic for the appliance. Returns the best topic
+// (or null when nothing is close enough) and the runner-up topics.
+export function matchSymptom(appliance, symptom) {
+  const textTokens = terms(symptom);
+  const scored = TOPICS
+    .filter(topic => topic.appliance === String(appliance || '').toLowerCase())
+    .map(topic => {
+      const scores = [topic.title, ...topic.synonyms].map(phrase => ({ score: phraseScore(textTokens, phrase), length: terms(phrase).length }));
+      const best = scores.sort((a, b) => b.score - a.score || b.length - a.length)[0];
+      return { topic, score: best.score, length: best.length };
+    })
+    .sort((a, b) => b.score - a.score || b.length - a.length);
+
+  const [best, ...rest] = scored;
+  return {
+    topic: best && best.score >= MATCH_THRESHOLD ? best.topic : null,
+    score: best ? best.score : 0,
+    alternatives: rest.filter(item => item.score > 0).slice(0, 3).map(item => item.topic)
+  };
+}
+
+export function topicUrl(topic) {
+  const appliance = topic.appliance.charAt(0).toUpperCase() + topic.appliance.slice(1);
+  return `${BASE_URL}/Repair/${appliance}/${topic.slug}/`;
+}
+
+function normalizeAnswer(answer) {
+  const value = String(answer || '').trim().toLowerCase();
+  if (/^(y|yes|yeah|yep|true)$/.test(value)) return 'yes';
+  if (/^(n|no|nope|false)$/.test(value)) return 'no';
+  return 'unsure';
+}
+
+// Find the answer given to a question node, matching on node ID or the question's wording
+function findAnswer(nodeId, node, answers) {
+  const questionTokens = terms(node.question);
+  const given = answers.find(item =>
+    item.question === nodeId ||
+    (questionTokens.length > 0 && phraseScore(terms(item.question), node.question) >= 0.8 &&
+      phraseScore(questionTokens, item.question) >= 0.8)
+  );
+  return given ? normalizeAnswer(given.answer) : null;
+}
+
+// Every leaf under a node, for answers of "not sure"
+function leavesUnder(topic, nodeId) {
+  const node = topic.nodes[nodeId];
+  if (!node.question) return [node];
+  return [...leavesUnder(topic, node.yes), ...leavesUnder(topic, node.no)];
+}
+
+// Combine leaves into one ranking, weighting each leaf equally
+function mergeLeaves(leaves) {
+  const totals = new Map();
+  for (const leaf of leaves) {
+    for (const part of leaf.parts) {
+      totals.set(part.name, (totals.get(part.name) || 0) + part.likelihood / leaves.length);
+    }
+  }
+  return {
+    advice: leaves.map(leaf => leaf.advice).join(' '),
+    parts: [...totals.entries()].map(([name, likelihood]) => ({ name, likelihood: Math.round(likelihood) }))
+  };
+}
+
+// Walk a topic's tree with the answers so far. `answers` is [{ question, answer }], where
+// question is a node ID or the question's text and answer is yes, no or unsure.
+// Returns the next question to ask, or the advice and ranked candidate parts.
+export function diagnose(topic, answers = []) {
+  const answered = [];
+  let nodeId = topic.start;
+
+  while (topic.nodes[nodeId].question) {
+    const node = topic.nodes[nodeId];
+    const answer = findAnswer(nodeId, node, answers);
+
+    if (!answer) {
+      return {
+        status: 'question',
+        step: answered.length + 1,
+        question: { id: nodeId, text: node.question, options: ['yes', 'no', 'unsure'] },
+        answered
+      };
+    }
+
+    answered.push({ id: nodeId, question: node.question, answer });
+    if (answer === 'unsure') {
+      const merged = mergeLeaves(leavesUnder(topic, nodeId));
+      return { status: 'done', answered, advice: merged.advice, candidates: rankParts(merged.parts) };
+    }
+    nodeId = node[answer];
+  }
+
+  const leaf = topic.nodes[nodeId];
+  return { status: 'done', answered, advice: leaf.advice, candidates: rankParts(leaf.parts) };
+}
+
+function rankParts(parts) {
+  return [...parts].sort((a, b) => b.likelihood - a.likelihood);
+}
+
+// Keep the candidates the customer's model actually has, attaching the model's matching
+// parts and rescaling the likelihoods among them. modelParts: [{ name, partNumber, price, url }].
+// When none of the candidates can be found on the model, the list is returned unfiltered.
+export function filterCandidatesToModel(candidates, modelParts) {
+  const matched = candidates
+    .map(candidate => ({
+      ...candidate,
+      modelParts: modelParts
+        .filter(part => phraseScore(terms(part.name), candidate.name) === 1)
+        .slice(0, 2)
+    }))
+    .filter(candidate => candidate.modelParts.length > 0);
+
+  if (matched.length === 0) {
+    return { candidates, filtered: false };
+  }
+
+  const total = matched.reduce((sum, candidate) => sum + candidate.likelihood, 0);
+  return {
+    candidates: matched.map(candidate => ({ ...candidate, likelihood: Math.round((candidate.likelihood / total) * 100) })),
+    filtered: true
+  };
+}
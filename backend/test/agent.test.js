@@ -0,0 +1,426 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScriptedProvider } from '../providers/scripted.js';
+import { useRecordedPages, toolUse, reply } from './helpers.js';
+import { runWithRequestContext, createDeadlineController, isAbortError } from '../requestContext.js';
+import { setLogWriter } from '../logger.js';
+import { renderMetrics } from '../metrics.js';
+import { invalidate } from '../cache.js';
+
+let pages;
+let chat;
+
+before(async () => {
+  pages = await useRecordedPages();
+  // PS0000503's search is down, so its lookup waits out a long retry backoff
+  process.env.SCRAPER_RETRY_BACKOFF_MS = '60000';
+  const { recordFixture } = await import('../fixtures.js');
+  const searchUrl = 'https://www.partselect.com/api/search/?searchterm=PS0000503';
+  await recordFixture('ps-search', searchUrl, { finalUrl: searchUrl, status: 503, html: '' });
+  ({ chat } = await import('../agent.js'));
+});
+
+after(async () => {
+  await pages.cleanup();
+});
+
+test('returns the model text when no tools are needed', async () => {
+  const provider = createScriptedProvider({ responses: [reply('Hi! Which part are you looking for?')] });
+
+  const response = await chat([{ role: 'user', content: 'hello' }], { provider });
+
+  assert.equal(response.text, 'Hi! Which part are you looking for?');
+  assert.deepEqual(response.blocks, []);
+  assert.equal(provider.calls.length, 1);
+  assert.deepEqual(provider.calls[0].messages, [{ role: 'user', content: 'hello' }]);
+});
+
+test('runs tool_use blocks and feeds the results back to the model', async () => {
+  const provider = createScriptedProvider({ responses: [
+    toolUse(['get_part_info', { part_number: 'PS11752778' }]),
+    reply('That is the refrigerator door shelf bin, $44.95 and in stock.')
+  ] });
+
+  const response = await chat([{ role: 'user', content: 'Tell me about PS11752778' }], { provider });
+
+  assert.equal(response.text, 'That is the refrigerator door shelf bin, $44.95 and in stock.');
+  assert.deepEqual(response.blocks.map(block => [block.type, block.version]), [['part', 1]]);
+  assert.equal(response.blocks[0].data.title, 'Refrigerator Door Shelf Bin WPW10321304');
+
+  const followUp = provider.calls[1].messages;
+  assert.equal(followUp.length, 3);
+  assert.equal(followUp[1].role, 'assistant');
+  const [toolResult] = followUp[2].content;
+  assert.equal(toolResult.type, 'tool_result');
+  assert.equal(toolResult.tool_use_id, 'toolu_get_part_info_0');
+  assert.equal(JSON.parse(toolResult.content).price, '$44.95');
+});
+
+test('keeps looping while the model asks for tools', async () => {
+  const provider = createScriptedProvider({ responses: [
+    toolUse(['get_part_info', { part_number: 'PS11752778' }]),
+    toolUse(['check_compatibility', { part_number: 'PS11752778', model_number: 'WRS325FDAM04' }]),
+    reply('Yes, it fits your WRS325FDAM04.')
+  ] });
+
+  const response = await chat([{ role: 'user', content: 'Does PS11752778 fit WRS325FDAM04?' }], { provider });
+
+  assert.equal(provider.calls.length, 3);
+  assert.deepEqual(response.blocks.map(block => block.type), ['part', 'compatibility']);
+  assert.equal(response.blocks[1].data.verdict, 'compatible');
+  assert.equal(response.blocks[1].data.partInfo, undefined);
+});
+
+test('adds the page the customer is viewing to the system prompt', async () => {
+  const provider = createScriptedProvider({ responses: [reply('Yes, it fits.'), reply('Hello.')] });
+
+  await chat([{ role: 'user', content: 'Will this fit my fridge?' }], {
+    provider,
+    pageContext: { psNumber: 'PS11752778', manufacturerNumber: 'WPW10321304', pageType: 'part', title: 'Door Shelf Bin' }
+  });
+  await chat([{ role: 'user', content: 'Hi' }], { provider });
+
+  assert.match(provider.calls[0].system, /- Part: PS11752778 \(manufacturer number WPW10321304\)/);
+  assert.match(provider.calls[0].system, /- Page title: Door Shelf Bin/);
+  assert.doesNotMatch(provider.calls[1].system, /currently viewing/);
+});
+
+test('reports unknown tools back to the model as errors', async () => {
+  const provider = createScriptedProvider({ responses: [
+    toolUse(['order_part', { part_number: 'PS11752778' }]),
+    reply('Sorry, I can not place orders.')
+  ] });
+
+  await chat([{ role: 'user', content: 'Order PS11752778' }], { provider });
+
+  const [toolResult] = provider.calls[1].messages[2].content;
+  assert.deepEqual(JSON.parse(toolResult.content), { error: 'Unknown tool: order_part' });
+});
+
+test('emits text, step and block events when streaming', async () => {
+  const provider = createScriptedProvider({ responses: [
+    toolUse(['get_part_info', { part_number: 'PS11752778' }]),
+    reply('Found it.')
+  ] });
+  const events = [];
+
+  await chat([{ role: 'user', content: 'PS11752778?' }], {
+    provider,
+    onEvent: (type, data) => events.push({ type, data })
+  });
+
+  assert.deepEqual(events.map(event => event.type), ['step', 'step', 'block', 'text']);
+  assert.equal(events[2].data.block.type, 'part');
+  assert.equal(events[0].data.label, 'Looking up PS11752778…');
+  assert.equal(events[3].data.delta, 'Found it.');
+});
+
+test('propagates model errors to the caller', async () => {
+  const provider = createScriptedProvider({ responses: [new Error('overloaded')] });
+
+  await assert.rejects(chat([{ role: 'user', content: 'hi' }], { provider }), /overloaded/);
+});
+
+test('runs a round of tool calls together and answers duplicate calls once', async () => {
+  const provider = createScriptedProvider({ responses: [
+    toolUse(
+      ['get_part_info', { part_number: 'PS11752778' }],
+      ['get_model_info', { model_number: 'WRS325FDAM04' }],
+      ['get_part_info', { part_number: 'PS11752778' }]
+    ),
+    reply('Here are both.')
+  ] });
+  const events = [];
+
+  const response = await chat([{ role: 'user', content: 'PS11752778 and WRS325FDAM04' }], {
+    provider,
+    onEvent: (type, data) => events.push({ type, data })
+  });
+
+  assert.deepEqual(response.blocks.map(block => block.type), ['part', 'model']);
+  assert.equal(events.filter(event => event.type === 'step' && event.data.status === 'start').length, 2);
+
+  const toolResults = provider.calls[1].messages[2].content;
+  assert.deepEqual(toolResults.map(block => block.tool_use_id), [
+    'toolu_get_part_info_0',
+    'toolu_get_model_info_1',
+    'toolu_get_part_info_2'
+  ]);
+  assert.equal(toolResults[0].content, toolResults[2].content);
+});
+
+test('stops after the maximum number of tool rounds and asks for a partial answer', async () => {
+  const provider = createScriptedProvider({ responses: [
+    toolUse(['get_part_info', { part_number: 'PS11752778' }]),
+    toolUse(['get_model_info', { model_number: 'WRS325FDAM04' }])
+  ] });
+
+  const response = await chat([{ role: 'user', content: 'Tell me everything' }], {
+    provider,
+    limits: { maxToolRounds: 1, turnTimeoutMs: 60000, toolConcurrency: 3 }
+  });
+
+  // The second tool request is not run and the turn ends with what was found
+  assert.equal(provider.calls.length, 2);
+  assert.deepEqual(response.blocks.map(block => block.type), ['part']);
+  assert.match(response.text, /couldn't finish/);
+
+  const notice = provider.calls[1].messages[2].content.at(-1);
+  assert.equal(notice.type, 'text');
+  assert.match(notice.text, /limit of 1 tool rounds was reached/);
+});
+
+test('stops using tools once the turn runs past its deadline', async () => {
+  const scripted = createScriptedProvider({ responses: [
+    toolUse(['get_part_info', { part_number: 'PS11752778' }]),
+    reply('Here is what I found so far.')
+  ] });
+  const slowProvider = {
+    ...scripted,
+    createMessage: async (request) => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return await scripted.createMessage(request);
+    }
+  };
+
+  const response = await chat([{ role: 'user', content: 'PS11752778?' }], {
+    provider: slowProvider,
+    limits: { maxToolRounds: 5, turnTimeoutMs: 10, toolConcurrency: 3 }
+  });
+
+  assert.equal(response.text, 'Here is what I found so far.');
+  assert.match(scripted.calls[1].messages[2].content.at(-1).text, /time limit for this answer was reached/);
+});
+
+test('answers a tool still running at the deadline with a timeout, not an abort', async () => {
+  const provider = createScriptedProvider({ responses: [
+    toolUse(['get_part_info', { part_number: 'PS0000503' }], ['get_part_info', { part_number: 'PS11752778' }]),
+    reply('The door shelf bin is $44.95; I could not look up PS0000503 in time.')
+  ] });
+
+  const response = await chat([{ role: 'user', content: 'PS0000503 and PS11752778?' }], {
+    provider,
+    limits: { maxToolRounds: 5, turnTimeoutMs: 200, toolConcurrency: 3 }
+  });
+
+  assert.equal(response.text, 'The door shelf bin is $44.95; I could not look up PS0000503 in time.');
+  const [slow, fast] = provider.calls[1].messages[2].content;
+  assert.deepEqual(JSON.parse(slow.content), {
+    error: 'get_part_info did not finish before the time limit for this answer',
+    timedOut: true
+  });
+  assert.equal(JSON.parse(fast.content).price, '$44.95');
+});
+
+test('a turn\'s tool signal aborts at the deadline or with the request', async () => {
+  const atDeadline = createDeadlineController(undefined, Date.now() + 10);
+  assert.equal(atDeadline.signal.aborted, false);
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(atDeadline.signal.aborted, true);
+  assert.ok(isAbortError(atDeadline.signal.reason));
+
+  const request = new AbortController();
+  const withRequest = createDeadlineController(request.signal, Date.now() + 60000);
+  request.abort();
+  assert.equal(withRequest.signal.aborted, true);
+  withRequest.dispose();
+
+  const finished = createDeadlineController(new AbortController().signal, Date.now() + 10);
+  finished.dispose();
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(finished.signal.aborted, false);
+});
+
+// Part pages loaded so far, from the page fetch histogram
+function pageLoads() {
+  const match = renderMetrics().match(/partselect_page_fetch_duration_seconds_count\{outcome="ok"\} (\d+)/);
+  return match ? Number(match[1]) : 0;
+}
+
+test('returns installation guides from get_installation_guide', async () => {
+  // Start cold, so the part page has to be loaded, and only once for the part and its guide
+  await invalidate('part', 'PS11752778');
+  await invalidate('guide', 'PS11752778');
+  const loadsBefore = pageLoads();
+  const provider = createScriptedProvider({ responses: [
+    toolUse(['get_installation_guide', { part_number: 'PS11752778' }]),
+    reply('It takes under 15 minutes and needs no tools.')
+  ] });
+  const events = [];
+
+  const response = await chat([{ role: 'user', content: 'How do I install PS11752778?' }], {
+    provider,
+    onEvent: (type, data) => events.push({ type, data })
+  });
+
+  assert.deepEqual(response.blocks.map(block => block.type), ['guide']);
+  assert.equal(response.blocks[0].data.partNumber, 'PS11752778');
+  assert.equal(response.blocks[0].data.difficulty, 'Really Easy');
+  assert.equal(pageLoads() - loadsBefore, 1);
+  assert.equal(events[0].data.label, 'Finding install steps for PS11752778…');
+  assert.ok(events.some(event => event.type === 'block' && event.data.block.type === 'guide'));
+});
+
+test('uses the active saved appliance when check_compatibility leaves out the model', async () => {
+  const profile = {
+    appliances: [{ id: 'fridge', applianceType: 'refrigerator', brand: 'Whirlpool', modelNumber: 'WRS325FDAM04', nickname: 'Kitchen fridge' }],
+    activeId: 'fridge'
+  };
+  const provider = createScriptedProvider({ responses: [
+    toolUse(['check_compatibility', { part_number: 'PS11752778' }]),
+    reply('Yes, it fits your kitchen fridge.'),
+    toolUse(['check_compatibility', { part_number: 'PS11752778' }]),
+    reply('Which model do you have?')
+  ] });
+  const events = [];
+
+  const response = await chat([{ role: 'user', content: 'Does PS11752778 fit my fridge?' }], {
+    provider,
+    profile,
+    onEvent: (type, data) => events.push({ type, data })
+  });
+
+  assert.match(provider.calls[0].system, /- Kitchen fridge: Whirlpool refrigerator model WRS325FDAM04 \(active\)/);
+  assert.equal(events[0].data.label, 'Checking model WRS325FDAM04…');
+  assert.equal(response.blocks[0].data.modelNumber, 'WRS325FDAM04');
+  assert.equal(response.blocks[0].data.verdict, 'compatible');
+
+  await chat([{ role: 'user', content: 'Does PS11752778 fit my fridge?' }], { provider });
+  const [toolResult] = provider.calls[3].messages[2].content;
+  assert.match(JSON.parse(toolResult.content).error, /Ask for their model number/);
+});
+
+test('saves an appliance to the customer profile with save_appliance', async () => {
+  const userId = '5c1d9e2f-7a3b-4c8d-9e0f-1a2b3c4d5e6f';
+  const provider = createScriptedProvider({ responses: [
+    toolUse(['save_appliance', { model_number: 'WDT780SAEM1', appliance_type: 'dishwasher', nickname: 'Kitchen dishwasher' }]),
+    reply('Saved it as Kitchen dishwasher.'),
+    toolUse(['save_appliance', { model_number: 'WDT780SAEM1' }]),
+    reply('I can\'t save that here.')
+  ] });
+
+  const response = await chat([{ role: 'user', content: 'Yes, save it' }], { provider, userId });
+
+  assert.deepEqual(response.blocks.map(block => [block.type, block.data.modelNumber, block.data.nickname]), [
+    ['appliance', 'WDT780SAEM1', 'Kitchen dishwasher']
+  ]);
+  const { getProfile } = await import('../profiles.js');
+  const profile = await getProfile(userId);
+  assert.equal(profile.activeId, response.blocks[0].data.id);
+
+  const anonymous = await chat([{ role: 'user', content: 'Yes, save it' }], { provider });
+  assert.deepEqual(anonymous.blocks, []);
+  assert.match(provider.calls[3].messages[2].content[0].content, /aren't available/);
+});
+
+test('records spans, token usage and tool metrics for the turn, with its trace ID in scraper logs', async () => {
+  const provider = createScriptedProvider({ responses: [
+    { ...toolUse(['get_part_info', { part_number: 'PS11752778' }]), usage: { inputTokens: 1200, outputTokens: 40 } },
+    { ...reply('That is the door shelf bin.'), usage: { inputTokens: 1500, outputTokens: 25 } }
+  ] });
+  const lines = [];
+  const previousWriter = setLogWriter((line) => lines.push(JSON.parse(line)));
+  process.env.LOG_LEVEL = 'debug';
+  const spans = [];
+
+  try {
+    await runWithRequestContext({ traceId: 'trace-agent-test', spans }, () =>
+      chat([{ role: 'user', content: 'Tell me about PS11752778' }], { provider })
+    );
+  } finally {
+    setLogWriter(previousWriter);
+    delete process.env.LOG_LEVEL;
+  }
+
+  assert.deepEqual(spans.map(span => span.name), ['llm', 'tool', 'llm']);
+  assert.deepEqual(
+    spans.filter(span => span.name === 'llm').map(span => [span.inputTokens, span.outputTokens, span.stopReason]),
+    [[1200, 40, 'tool_use'], [1500, 25, 'end_turn']]
+  );
+  assert.deepEqual([spans[1].tool, spans[1].outcome], ['get_part_info', 'ok']);
+
+  // The scraper's lines (cache lookups at least) belong to the turn
+  assert.ok(lines.some(line => line.component === 'cache' && line.traceId === 'trace-agent-test'));
+  assert.ok(lines.every(line => line.traceId === 'trace-agent-test'));
+
+  const metrics = renderMetrics();
+  assert.match(metrics, /partselect_llm_tokens_total\{provider="scripted",model="scripted",type="input"\} \d+/);
+  assert.match(metrics, /partselect_tool_calls_total\{tool="get_part_info",outcome="ok"\} \d+/);
+  assert.match(metrics, /partselect_tool_duration_seconds_count\{tool="get_part_info"\} \d+/);
+  assert.match(metrics, /partselect_cache_lookups_total\{kind="part",result="(hit|miss)"\} \d+/);
+});
+
+test('reports the turn\'s token usage and estimated cost', async () => {
+  const provider = {
+    ...createScriptedProvider({ responses: [
+      { ...toolUse(['get_part_info', { part_number: 'PS11752778' }]), usage: { inputTokens: 2000, outputTokens: 100 } },
+      { ...reply('It is in stock.'), usage: { inputTokens: 3000, outputTokens: 50 } }
+    ] }),
+    model: 'claude-sonnet-4-20250514'
+  };
+
+  const response = await chat([{ role: 'user', content: 'Is PS11752778 in stock?' }], { provider });
+
+  assert.deepEqual(response.usage, { inputTokens: 5000, outputTokens: 150, costUsd: 0.01725 });
+});
+
+test('stops using tools once the turn is over its token budget', async () => {
+  const provider = createScriptedProvider({ responses: [
+    { ...toolUse(['get_part_info', { part_number: 'PS11752778' }]), usage: { inputTokens: 900, outputTokens: 200 } },
+    reply('Here is what I found so far.')
+  ] });
+
+  const response = await chat([{ role: 'user', content: 'PS11752778?' }], {
+    provider,
+    budget: { turnTokens: 1000, sessionTokens: 100000, historyTokens: 100000, keepMessages: 6 }
+  });
+
+  assert.equal(response.text, 'Here is what I found so far.');
+  assert.match(provider.calls[1].messages[2].content.at(-1).text, /token budget for this answer was reached/);
+});
+
+test('declines without calling the model once the session is over its token budget', async () => {
+  const provider = createScriptedProvider({ responses: [] });
+
+  const response = await chat([{ role: 'user', content: 'PS11752778?' }], {
+    provider,
+    sessionUsage: { inputTokens: 90000, outputTokens: 10000, costUsd: 0.4 },
+    budget: { turnTokens: 1000, sessionTokens: 100000, historyTokens: 100000, keepMessages: 6 }
+  });
+
+  assert.equal(response.budgetExceeded, 'session');
+  assert.match(response.text, /start a new conversation/);
+  assert.equal(provider.calls.length, 0);
+});
+
+test('summarizes old turns into the customer\'s message, not the system prompt, and compacts earlier tool results', async () => {
+  const provider = createScriptedProvider({ responses: [
+    toolUse(['get_part_info', { part_number: 'PS11752778' }]),
+    toolUse(['check_compatibility', { part_number: 'PS11752778', model_number: 'WRS325FDAM04' }]),
+    reply('Yes, it fits.')
+  ] });
+  const earlier = Array.from({ length: 6 }, (_, index) => index % 2 === 0
+    ? { role: 'user', content: `Question ${index} about my WRS325FDAM04 fridge. ${'More detail. '.repeat(20)}` }
+    : { role: 'assistant', content: `Answer ${index}, try PS11722130. ${'More detail. '.repeat(20)}` });
+
+  await chat([...earlier, { role: 'user', content: 'Does PS11752778 fit it?' }], {
+    provider,
+    budget: { turnTokens: 1000000, sessionTokens: 10000000, historyTokens: 500, keepMessages: 1 }
+  });
+
+  const [first, , third] = provider.calls;
+  assert.equal(first.messages.length, 1);
+  assert.equal(first.messages[0].role, 'user');
+  const [summary, question] = first.messages[0].content;
+  assert.match(summary.text, /summarized to save space/);
+  assert.match(summary.text, /Part and model numbers mentioned: PS11722130, WRS325FDAM04/);
+  assert.deepEqual(question, { type: 'text', text: 'Does PS11752778 fit it?' });
+  // Client-supplied turns never reach the system prompt
+  assert.doesNotMatch(first.system, /Question 0|summarized to save space/);
+
+  // By the third call the part lookup from the first round is cut down to a summary
+  const partResult = JSON.parse(third.messages[2].content[0].content);
+  assert.equal(partResult.compacted, true);
+  assert.equal(partResult.partNumber, 'PS11752778');
+  assert.equal(JSON.parse(third.messages[4].content[0].content).compacted, undefined);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApp } from '../app.js';
+import { createAuth, issueToken, verifyToken } from '../auth.js';
+
+const SECRET = 'test-secret';
+
+async function startApp(t, options) {
+  const server = createApp({ chat: async () => ({ text: 'Hello!', blocks: [] }), ...options }).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+function postChat(baseUrl, headers = {}) {
+  return fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ messages: [{ role: 'user', content: 'hi' }] })
+  });
+}
+
+test('issues tokens that verify until they expire', () => {
+  const now = Date.UTC(2026, 0, 1);
+  const token = issueToken('extension-beta', { secret: SECRET, expiresInDays: 30, now });
+
+  assert.equal(verifyToken(token, { secret: SECRET, now }), 'extension-beta');
+  assert.equal(verifyToken(token, { secret: SECRET, now: now + 31 * 24 * 60 * 60 * 1000 }), null);
+  assert.equal(verifyToken(token, { secret: 'other-secret', now }), null);
+  assert.throws(() => issueToken('extension-beta', { secret: null }), /EXTENSION_TOKEN_SECRET/);
+});
+
+test('rejects tampered and malformed tokens', () => {
+  const token = issueToken('extension-beta', { secret: SECRET });
+  const [version, , expiresAt, signature] = token.split('.');
+  const forged = [version, Buffer.from('someone-else').toString('base64url'), expiresAt, signature].join('.');
+  const extended = [version, token.split('.')[1], String(Number(expiresAt) + 1e10), signature].join('.');
+
+  for (const candidate of [forged, extended, 'v1.abc', '', null, `v2.${token.slice(3)}`]) {
+    assert.equal(verifyToken(candidate, { secret: SECRET }), null);
+  }
+});
+
+test('tells clients apart by credential, or by IP when auth is off', () => {
+  const auth = createAuth({ apiKeys: ['key-one'], tokenSecret: SECRET });
+  const request = (headers) => ({ ip: '10.0.0.1', get: (name) => headers[name] });
+  const token = issueToken('extension-beta', { secret: SECRET });
+
+  assert.equal(auth.enabled, true);
+  assert.equal(auth.authenticate(request({ Authorization: `Bearer ${token}` })).clientId, 'token:extension-beta');
+  assert.match(auth.authenticate(request({ 'X-API-Key': 'key-one' })).clientId, /^key:[0-9a-f]{12}$/);
+  assert.equal(auth.authenticate(request({ Authorization: 'Bearer key-two' })), null);
+  assert.equal(auth.authenticate(request({})), null);
+
+  const open = createAuth({ apiKeys: [], tokenSecret: null });
+  assert.equal(open.enabled, false);
+  assert.deepEqual(open.authenticate(request({})), { clientId: 'ip:10.0.0.1', method: 'none', installId: null });
+  const installId = '5c1d9e2f-7a3b-4c8d-9e0f-1a2b3c4d5e6f';
+  assert.deepEqual(open.authenticate(request({ 'X-Install-Id': installId })), { clientId: `install:${installId}`, method: 'none', installId });
+  assert.equal(open.authenticate(request({ 'X-Install-Id': 'anything' })).clientId, 'ip:10.0.0.1');
+});
+
+test('gives each install of a build a token and client ID of its own', () => {
+  const auth = createAuth({ apiKeys: [], tokenSecret: SECRET });
+  const request = (token) => ({ ip: '10.0.0.1', get: (name) => (name === 'Authorization' ? `Bearer ${token}` : undefined) });
+  const build = auth.authenticate(request(issueToken('extension-beta', { secret: SECRET })));
+  assert.equal(build.installId, null);
+
+  const first = auth.registerInstall(build);
+  const second = auth.registerInstall(build);
+  assert.notEqual(first.installId, second.installId);
+
+  const client = auth.authenticate(request(first.token));
+  assert.deepEqual(client, { clientId: `token:extension-beta/${first.installId}`, method: 'token', installId: first.installId });
+  assert.notEqual(auth.authenticate(request(second.token)).clientId, client.clientId);
+  // An install registering again stays under its build
+  assert.match(auth.authenticate(request(auth.registerInstall(client).token)).clientId, /^token:extension-beta\/[0-9a-f-]{36}$/);
+
+  assert.deepEqual(createAuth({ apiKeys: [], tokenSecret: null }).registerInstall(build).token, null);
+});
+
+test('answers 401 without a valid API key or token', async (t) => {
+  const baseUrl = await startApp(t, { auth: createAuth({ apiKeys: ['key-one'], tokenSecret: SECRET }) });
+
+  const missing = await postChat(baseUrl);
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+  assert.deepEqual(await missing.json(), { error: 'A valid API key or extension token is required', code: 'unauthorized' });
+
+  assert.equal((await postChat(baseUrl, { Authorization: 'Bearer wrong' })).status, 401);
+  assert.equal((await postChat(baseUrl, { Authorization: 'Bearer key-one' })).status, 200);
+  const token = issueToken('extension-beta', { secret: SECRET });
+  assert.equal((await postChat(baseUrl, { Authorization: `Bearer ${token}` })).status, 200);
+
+  // Stored conversations and profiles are protected too; health and status stay open
+  assert.equal((await fetch(`${baseUrl}/api/sessions`)).status, 401);
+  assert.equal((await fetch(`${baseUrl}/api/profiles/5c1d9e2f-7a3b-4c8d-9e0f-1a2b3c4d5e6f`)).status, 401);
+  assert.equal((await fetch(`${baseUrl}/health`)).status, 200);
+});
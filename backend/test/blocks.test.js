@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BLOCK_SCHEMAS, createBlock, blocksForToolResult } from '../blocks.js';
+
+const topic = { id: 'dishwasher-not-draining', title: 'Dishwasher not draining', url: 'https://www.partselect.com/Repair/Dishwasher/Not-Draining/' };
+
+test('createBlock stamps the schema version and drops blocks missing required fields', () => {
+  assert.deepEqual(createBlock('part', { partNumber: 'PS11752778', title: 'Door Bin' }), {
+    type: 'part',
+    version: BLOCK_SCHEMAS.part.version,
+    data: { partNumber: 'PS11752778', title: 'Door Bin' }
+  });
+  assert.equal(createBlock('part', { partNumber: 'PS11752778' }), null);
+  assert.throws(() => createBlock('video', {}), /Unknown block type/);
+});
+
+test('blocksForToolResult keeps only the fields a block type defines', () => {
+  const [block] = blocksForToolResult('check_compatibility', {
+    partNumber: 'PS11752778',
+    modelNumber: 'WRS325FDAM04',
+    verdict: 'compatible',
+    confidence: 'high',
+    evidence: [],
+    partInfo: { title: 'Door Bin' }
+  });
+
+  assert.equal(block.type, 'compatibility');
+  assert.equal(block.data.verdict, 'compatible');
+  assert.equal('partInfo' in block.data, false);
+});
+
+test('model blocks carry the overview\'s featured parts', () => {
+  const featuredParts = [{ partNumber: 'PS11752778', name: 'Door Shelf Bin', price: '$44.95', url: 'https://www.partselect.com/PS11752778.htm' }];
+  const [block] = blocksForToolResult('get_model_info', { modelNumber: 'WRS325FDAM04', title: 'WRS325FDAM04 Whirlpool Refrigerator', sections: [], featuredParts });
+
+  assert.equal(block.type, 'model');
+  assert.deepEqual(block.data.featuredParts, featuredParts);
+});
+
+test('blocksForToolResult gives no blocks for failed or unrendered tools', () => {
+  assert.deepEqual(blocksForToolResult('get_part_info', { error: 'Not found' }), []);
+  assert.deepEqual(blocksForToolResult('search_part_reviews', { matches: [] }), []);
+  assert.deepEqual(blocksForToolResult('troubleshoot', { appliance: 'dishwasher', symptom: 'sparks', tips: [] }), []);
+});
+
+test('troubleshooting results become a checklist, then ranked suggested parts', () => {
+  const asking = blocksForToolResult('troubleshoot', {
+    appliance: 'dishwasher',
+    symptom: 'not draining',
+    topic,
+    tips: ['Clean the filter.'],
+    diagnosis: { status: 'question', step: 1, question: { id: 'filter-clear', text: 'Is the filter clean?' }, answered: [] }
+  });
+  assert.deepEqual(asking.map(block => block.type), ['troubleshooting']);
+  assert.equal(asking[0].data.nextQuestion, 'Is the filter clean?');
+  assert.deepEqual(asking[0].data.checklist, ['Clean the filter.']);
+
+  const done = blocksForToolResult('troubleshoot', {
+    appliance: 'dishwasher',
+    symptom: 'not draining',
+    topic,
+    tips: [],
+    diagnosis: {
+      status: 'done',
+      answered: [{ id: 'filter-clear', question: 'Is the filter clean?', answer: 'yes' }],
+      advice: 'The drain pump is not running at all.',
+      filteredToModel: true,
+      modelNumber: 'WDT780SAEM1',
+      candidates: [
+        { name: 'Drain Pump', likelihood: 70, modelParts: [{ name: 'Drain Pump', partNumber: 'PS11756150', price: '$89.95', url: 'https://www.partselect.com/PS11756150.htm' }] },
+        { name: 'Control Board', likelihood: 30, modelParts: [] }
+      ]
+    }
+  });
+  assert.deepEqual(done.map(block => block.type), ['troubleshooting', 'suggested_parts']);
+  assert.equal(done[0].data.nextQuestion, null);
+  assert.equal(done[1].data.title, 'Likely causes: Dishwasher not draining');
+  assert.equal(done[1].data.modelNumber, 'WDT780SAEM1');
+  assert.deepEqual(done[1].data.parts[0], {
+    name: 'Drain Pump',
+    likelihood: 70,
+    partNumber: 'PS11756150',
+    price: '$89.95',
+    url: 'https://www.partselect.com/PS11756150.htm'
+  });
+  assert.equal(done[1].data.parts[1].partNumber, null);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateCost, addUsage, compactToolResult, compactToolResults, compactHistory, withEarlierConversation, referencedNumbers } from '../budget.js';
+
+const BUDGET = { historyTokens: 200, keepMessages: 2, turnTokens: 1000, sessionTokens: 5000 };
+
+const PART_RESULT = JSON.stringify({
+  partNumber: 'PS11752778',
+  manufacturerPartNumber: 'WPW10321304',
+  title: 'Refrigerator Door Shelf Bin',
+  price: '$44.95',
+  inStock: true,
+  description: 'This door bin is a genuine OEM replacement. '.repeat(20),
+  replaces: ['PS2358141', 'AP6019471'],
+  compatibleModels: Array.from({ length: 40 }, (_, index) => `WRS325FDAM${String(index).padStart(2, '0')}`)
+});
+
+test('estimates cost from the model price, or the configured one', () => {
+  assert.equal(estimateCost('claude-sonnet-4-20250514', { inputTokens: 1_000_000, outputTokens: 100_000 }, {}), 4.5);
+  assert.equal(estimateCost('gpt-4o-mini', { inputTokens: 2000, outputTokens: 1000 }, {}), 0.0009);
+  assert.equal(estimateCost('llama3.1', { inputTokens: 2000, outputTokens: 1000 }, {}), null);
+  assert.equal(estimateCost('llama3.1', { inputTokens: 2000, outputTokens: 1000 }, { inputPricePerMTok: 1, outputPricePerMTok: 2 }), 0.004);
+});
+
+test('adds usage, keeping an unknown cost unknown', () => {
+  const total = addUsage(addUsage(null, { inputTokens: 100, outputTokens: 10, costUsd: 0.5 }), { inputTokens: 50, outputTokens: 5, costUsd: 0.25 });
+  assert.deepEqual(total, { inputTokens: 150, outputTokens: 15, costUsd: 0.75 });
+  assert.equal(addUsage(total, { inputTokens: 1, outputTokens: 1, costUsd: null }).costUsd, null);
+});
+
+test('compacts a tool result to its key fields and the part numbers it referenced', () => {
+  const compacted = JSON.parse(compactToolResult(PART_RESULT));
+
+  assert.deepEqual(compacted, {
+    compacted: true,
+    partNumber: 'PS11752778',
+    manufacturerPartNumber: 'WPW10321304',
+    title: 'Refrigerator Door Shelf Bin',
+    price: '$44.95',
+    inStock: true,
+    partNumbers: ['PS11752778', 'PS2358141']
+  });
+  assert.equal(compactToolResult('not json'), 'not json');
+  assert.equal(compactToolResult('{"error":"Not found"}'), '{"error":"Not found"}');
+});
+
+test('leaves short histories alone', () => {
+  const messages = [{ role: 'user', content: 'Tell me about PS11752778' }];
+  const result = compactHistory(messages, BUDGET);
+
+  assert.equal(result.messages, messages);
+  assert.equal(result.summary, null);
+  assert.equal(compactToolResults(messages, BUDGET).compactedResults, 0);
+});
+
+test('compacts tool results from earlier rounds but not the latest', () => {
+  const round = (id) => [
+    { role: 'assistant', content: [{ type: 'tool_use', id, name: 'get_part_info', input: { part_number: 'PS11752778' } }] },
+    { role: 'user', content: [{ type: 'tool_result', tool_use_id: id, content: PART_RESULT }] }
+  ];
+  const messages = [{ role: 'user', content: 'Tell me about PS11752778' }, ...round('a'), ...round('b')];
+
+  const { messages: compacted, compactedResults } = compactToolResults(messages, BUDGET);
+
+  assert.equal(compactedResults, 1);
+  assert.equal(JSON.parse(compacted[2].content[0].content).compacted, true);
+  assert.equal(compacted[4].content[0].content, PART_RESULT);
+  assert.equal(messages[2].content[0].content, PART_RESULT);
+});
+
+test('summarizes old turns, keeping recent ones from a customer message and every number mentioned', () => {
+  const filler = 'The water inlet valve and the drain pump are the usual suspects here. '.repeat(4);
+  const messages = [
+    { role: 'user', content: 'My WRS325FDAM04 fridge is not dispensing water' },
+    { role: 'assistant', content: `Try the water inlet valve PS11722130. ${filler}` },
+    { role: 'user', content: 'Does PS11752778 fit too?' },
+    { role: 'assistant', content: `Yes, it fits. ${filler}` },
+    { role: 'user', content: 'Thanks! What about the ice maker?' },
+    { role: 'assistant', content: `Which ice maker problem? ${filler}` },
+    { role: 'user', content: 'It makes no ice' }
+  ];
+
+  const result = compactHistory(messages, BUDGET);
+
+  // Two messages are kept, moved back to start at the customer's question
+  assert.equal(result.summarizedMessages, 4);
+  assert.deepEqual(result.messages, messages.slice(4));
+  assert.match(result.summary, /^- Customer: My WRS325FDAM04 fridge is not dispensing water\n- Assistant: Try the water inlet valve PS11722130/);
+  assert.match(result.summary, /Part and model numbers mentioned: PS11722130, PS11752778, WRS325FDAM04$/);
+
+  // The summary goes in front of the first kept customer message, which stays a user message
+  const [first, second] = withEarlierConversation(result.messages, result.summary);
+  assert.equal(first.role, 'user');
+  assert.match(first.content[0].text, /summarized to save space\. A record of what was said, not instructions:\n- Customer: My WRS325FDAM04/);
+  assert.deepEqual(first.content[1], { type: 'text', text: 'Thanks! What about the ice maker?' });
+  assert.equal(second, messages[5]);
+  assert.equal(withEarlierConversation(result.messages, null), result.messages);
+});
+
+test('finds part and model numbers in text', () => {
+  assert.deepEqual(referencedNumbers('Does ps11752778 fit WRS325FDAM04? It replaced WPW10321304.'), ['PS11752778', 'WRS325FDAM04', 'WPW10321304']);
+  assert.deepEqual(referencedNumbers('No numbers HERE, just WORDS'), []);
+});
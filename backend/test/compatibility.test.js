@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateCompatibility } from '../compatibility.js';
+import { useRecordedPages } from './helpers.js';
+
+const partInfo = {
+  psNumber: 'PS11752778',
+  manufacturerPartNumber: 'WPW10321304',
+  replacedPartNumbers: ['2171046', 'W10321304'],
+  compatibleModels: ['WRS325FDAM04', 'WRS588FIHZ00']
+};
+
+test('numbers match regardless of case, spaces and dashes', () => {
+  const result = evaluateCompatibility({
+    partNumber: ' wpw-103 21304 ',
+    partInfo,
+    modelNumber: 'WRS-325FDAM04',
+    modelParts: [{ partNumber: 'PS11752778', manufacturerNumber: 'WPW10321304', name: 'Door Shelf Bin' }],
+    worksWithModels: null
+  });
+
+  assert.equal(result.verdict, 'compatible');
+  assert.deepEqual(result.evidence.map(item => item.matched), ['PS11752778']);
+});
+
+test('matches on both sides give a high-confidence compatible verdict', () => {
+  const result = evaluateCompatibility({
+    partNumber: 'PS11752778',
+    partInfo,
+    modelNumber: 'wrs325fdam04',
+    modelParts: [{ partNumber: 'PS11752778', name: 'Door Shelf Bin', source: 'Refrigerator Door Parts' }],
+    worksWithModels: partInfo.compatibleModels
+  });
+
+  assert.equal(result.verdict, 'compatible');
+  assert.equal(result.confidence, 'high');
+  assert.deepEqual(result.evidence.map(item => item.source), ['model-parts', 'part-works-with']);
+});
+
+test('superseded and manufacturer numbers on the model side count as a match', () => {
+  const result = evaluateCompatibility({
+    partNumber: 'WPW10321304',
+    partInfo,
+    modelNumber: 'OLDMODEL1',
+    modelParts: [{ partNumber: null, manufacturerNumber: '2171046', name: 'Door Bin' }],
+    worksWithModels: null
+  });
+
+  assert.equal(result.verdict, 'compatible');
+  assert.equal(result.confidence, 'medium');
+  assert.equal(result.evidence[0].matched, '2171046');
+});
+
+test('text mentioning the part elsewhere is not evidence', () => {
+  const result = evaluateCompatibility({
+    partNumber: 'PS11752778',
+    partInfo,
+    modelNumber: 'WDT780SAEM1',
+    modelParts: [{ partNumber: 'PS11756150', manufacturerNumber: 'W10348269', name: 'Drain Pump' }],
+    worksWithModels: partInfo.compatibleModels,
+    worksWithComplete: true
+  });
+
+  assert.equal(result.verdict, 'not_compatible');
+  assert.equal(result.confidence, 'high');
+});
+
+test('missing data on both sides gives an unknown verdict', () => {
+  const result = evaluateCompatibility({
+    partNumber: 'PS11752778',
+    partInfo: null,
+    modelNumber: 'WRS325FDAM04',
+    modelParts: null,
+    worksWithModels: null
+  });
+
+  assert.deepEqual(result, { verdict: 'unknown', confidence: 'low', evidence: [] });
+});
+
+test('checkCompatibility gathers evidence from recorded model and part pages', async (t) => {
+  const pages = await useRecordedPages();
+  t.after(pages.cleanup);
+  const { checkCompatibility } = await import('../scraper.js');
+
+  const result = await checkCompatibility('PS11752778', 'WRS325FDAM04');
+
+  assert.equal(result.verdict, 'compatible');
+  assert.equal(result.confidence, 'high');
+  assert.equal(result.modelName, 'WRS325FDAM04 Whirlpool Refrigerator - Overview');
+  assert.ok(result.evidence.some(item => item.source === 'model-parts' && /Refrigerator Door Parts/.test(item.detail)));
+  assert.ok(result.evidence.some(item => item.source === 'part-works-with'));
+});
@@ -0,0 +1,115 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadCases, runEvaluation, scoreCase, compareRuns, formatReport, latestRun, saveRun } from '../evaluation.js';
+import { createScriptedProvider } from '../providers/scripted.js';
+import { useRecordedPages, reply } from './helpers.js';
+
+const CASES_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'evals', 'cases.jsonl');
+
+let pages;
+let chat;
+
+before(async () => {
+  pages = await useRecordedPages();
+  ({ chat } = await import('../agent.js'));
+});
+
+after(async () => {
+  await pages.cleanup();
+});
+
+function outcome(answer, toolCalls = [], toolResults = {}) {
+  return { answer, toolCalls, toolResults: new Map(Object.entries(toolResults)), latencyMs: 1200 };
+}
+
+test('the shipped dataset passes against the recorded pages', async () => {
+  const cases = await loadCases(CASES_FILE);
+  const run = await runEvaluation(cases, { chat, dataset: 'evals/cases.jsonl' });
+
+  const failures = run.cases.filter(result => result.status !== 'pass');
+  assert.deepEqual(failures, []);
+  assert.equal(run.summary.passed, cases.length);
+  assert.match(run.promptHash, /^[0-9a-f]{12}$/);
+  assert.deepEqual(run.cases.find(result => result.id === 'fit-check').tools, [
+    { name: 'check_compatibility', input: { part_number: 'PS11752778', model_number: 'WRS325FDAM04' } }
+  ]);
+});
+
+test('scoreCase checks tool arguments, declines and part numbers against tool results', () => {
+  const testCase = {
+    id: 'fit',
+    query: 'Does it fit WRS325FDAM04?',
+    expect: { tools: [{ name: 'check_compatibility', input: { model_number: 'wrs325fdam04' } }], maxLatencyMs: 1000 }
+  };
+  const checks = scoreCase(testCase, outcome(
+    'Yes, PS11752778 fits. You may also want PS99999999.',
+    [{ name: 'check_compatibility', input: { part_number: 'PS11752778', model_number: 'WRS325FDAM04' } }],
+    { toolu_1: '{"partNumber":"PS11752778","verdict":"compatible"}' }
+  ));
+
+  assert.deepEqual(checks.map(check => [check.name, check.pass, check.detail]), [
+    ['calls check_compatibility', true, null],
+    ['part numbers come from tool results', false, 'not in any tool result: PS99999999'],
+    ['answers within 1000ms', false, 'took 1200ms']
+  ]);
+
+  const declined = scoreCase({ id: 'oven', query: 'Oven element?', expect: { declined: true } },
+    outcome('Here is an oven element.', [{ name: 'get_part_info', input: { part_number: 'oven element' } }]));
+  assert.deepEqual(declined[0], { name: 'declines out-of-scope request', pass: false, detail: 'called get_part_info' });
+});
+
+test('cases without a script are skipped unless a model is given', async () => {
+  const cases = [{ id: 'unscripted', query: 'Hi', expect: { mentions: ['hello'] } }];
+
+  const skipped = await runEvaluation(cases, { chat });
+  assert.equal(skipped.cases[0].status, 'skipped');
+
+  const provider = createScriptedProvider({ responses: [reply('Hello! How can I help?')] });
+  const live = await runEvaluation(cases, { chat, provider });
+  assert.equal(live.cases[0].status, 'pass');
+  assert.equal(live.model, 'scripted:scripted');
+});
+
+test('reports regressions, fixes and prompt changes against the previous run', async () => {
+  const runsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'partselect-runs-'));
+  const run = (startedAt, promptHash, statuses) => ({
+    startedAt,
+    dataset: 'cases.jsonl',
+    model: 'scripted',
+    promptHash,
+    summary: { total: 3, passed: statuses.filter(status => status === 'pass').length, failed: 1, skipped: 0, p50LatencyMs: 900, p95LatencyMs: 1500 },
+    cases: statuses.map((status, index) => ({
+      id: `case-${index + 1}`,
+      status,
+      latencyMs: 900,
+      checks: status === 'fail' ? [{ name: 'calls get_part_info', pass: false, detail: 'got no tool calls' }] : []
+    }))
+  });
+
+  try {
+    assert.equal(await latestRun(runsDir), null);
+    await saveRun(runsDir, run('2026-01-01T00:00:00.000Z', 'aaa', ['pass', 'fail', 'pass']));
+    const previous = await latestRun(runsDir);
+    const current = run('2026-01-02T00:00:00.000Z', 'bbb', ['fail', 'pass', 'pass']);
+
+    assert.deepEqual(compareRuns(previous, current), {
+      promptChanged: true,
+      regressions: ['case-1'],
+      fixes: ['case-2'],
+      added: [],
+      removed: [],
+      p50LatencyChangeMs: 0
+    });
+
+    const report = formatReport(current, previous);
+    assert.match(report, /FAIL  case-1 900ms\n {6}✗ calls get_part_info: got no tool calls/);
+    assert.match(report, /2\/3 passed, 1 failed, 0 skipped; latency p50 900ms, p95 1500ms/);
+    assert.match(report, /System prompt changed\n {2}Regressions: case-1\n {2}Now passing: case-2/);
+  } finally {
+    await fs.rm(runsDir, { recursive: true, force: true });
+  }
+});
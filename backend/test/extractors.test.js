@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPartDetails, extractModelParts, parseModelTitle, parseRepairPage, extractInstallationGuide } from '../scraper.js';
+import { loadFixture$ } from './helpers.js';
+
+test('extractPartDetails reads the core fields from a part page', async () => {
+  const $ = await loadFixture$('part-PS11752778.html');
+  const part = extractPartDetails($, 'PS11752778');
+
+  assert.equal(part.partNumber, 'PS11752778');
+  assert.equal(part.title, 'Refrigerator Door Shelf Bin WPW10321304');
+  assert.equal(part.price, '$44.95');
+  assert.equal(part.inStock, true);
+  assert.equal(part.imageUrl, 'https://www.partselect.com/assets/images/parts/11752778-1.jpg');
+  assert.match(part.description, /^This refrigerator door bin is a genuine OEM/);
+  assert.deepEqual(part.installationSteps, [
+    'Remove all items from the bin.',
+    'Lift the bin up and pull it out of the door.',
+    'Slide the new bin down onto the door tabs.'
+  ]);
+  assert.deepEqual(part.videos, ['https://www.youtube.com/watch?v=zSCNN6KpDE8']);
+  assert.deepEqual(part.symptoms, ["Door won't open or close", "Ice maker won't dispense ice", 'Leaking']);
+  assert.equal(part.applianceType, 'Refrigerator');
+});
+
+test('extractPartDetails reads identifiers and the works-with model list', async () => {
+  const $ = await loadFixture$('part-PS11752778.html');
+  const part = extractPartDetails($, 'PS11752778');
+
+  assert.equal(part.psNumber, 'PS11752778');
+  assert.equal(part.manufacturerPartNumber, 'WPW10321304');
+  assert.deepEqual(part.replacedPartNumbers, [
+    'AP6019471', '2171046', '2171137', '2179574', 'W10321302', 'W10321303', 'W10321304'
+  ]);
+  assert.deepEqual(part.compatibleModels, ['WRS325FDAM04', 'WRS588FIHZ00', 'KRFC300ESS01']);
+  assert.equal(part.compatibleModelsComplete, true);
+});
+
+test('extractPartDetails reads the rating, reviews and Q&A with the models they mention', async () => {
+  const $ = await loadFixture$('part-PS11752778.html');
+  const part = extractPartDetails($, 'PS11752778');
+
+  assert.equal(part.rating, 4.5);
+  assert.equal(part.reviewCount, 12);
+  assert.equal(part.reviews.length, 3);
+  assert.deepEqual(part.reviews[0], {
+    id: 'review-1',
+    rating: 5,
+    title: 'Perfect fit',
+    author: 'Linda M.',
+    date: 'March 3, 2024',
+    text: 'Exact match for the original bin on my WRS325FDAM04. Snapped right into place.',
+    models: ['WRS325FDAM04']
+  });
+  assert.deepEqual(part.questions.map(qna => [qna.id, qna.author, qna.models]), [
+    ['qa-1', 'Mike', ['WRS588FIHZ00']],
+    ['qa-2', 'Karen', ['KRFC300ESS01']]
+  ]);
+  assert.match(part.questions[0].answer, /does not include the trim/);
+});
+
+test('extractPartDetails reports out-of-stock parts and a missing image', async () => {
+  const $ = await loadFixture$('part-PS11752778.html');
+  $('.pd__availability').text('Out of Stock');
+  $('.pd__main-image').remove();
+  $('meta[property="og:image"]').remove();
+
+  const part = extractPartDetails($, 'PS11752778');
+  assert.equal(part.inStock, false);
+  assert.equal(part.imageUrl, '');
+});
+
+test('parseModelTitle splits brand and appliance type', () => {
+  assert.deepEqual(
+    parseModelTitle('WRS325FDAM04 Whirlpool Refrigerator - Overview', 'WRS325FDAM04'),
+    { brand: 'Whirlpool', applianceType: 'Refrigerator' }
+  );
+  assert.deepEqual(
+    parseModelTitle('WDT780SAEM1 Whirlpool Dishwasher - Overview', 'WDT780SAEM1'),
+    { brand: 'Whirlpool', applianceType: 'Dishwasher' }
+  );
+});
+
+test('extractModelParts reads PS numbers, manufacturer numbers and prices', async () => {
+  const $ = await loadFixture$('section-refrigerator-door.html');
+  const parts = extractModelParts($);
+
+  assert.equal(parts.length, 2);
+  assert.deepEqual(parts[0], {
+    partNumber: 'PS11752778',
+    manufacturerNumber: 'WPW10321304',
+    name: 'Refrigerator Door Shelf Bin',
+    price: '$44.95',
+    url: 'https://www.partselect.com/PS11752778-Whirlpool-WPW10321304-Refrigerator-Door-Shelf-Bin.htm'
+  });
+});
+
+test('parseRepairPage keeps substantial tips and suggested parts', async () => {
+  const $ = await loadFixture$('repair-dishwasher-not-draining.html');
+  const { tips, suggestedParts } = parseRepairPage($);
+
+  assert.equal(tips.length, 3);
+  assert.ok(tips.every(tip => tip.length > 20));
+  assert.deepEqual(suggestedParts, [
+    { name: 'Drain Pump', number: 'PS11756150' },
+    { name: 'Check Valve', number: 'PS11746591' }
+  ]);
+});
+
+test('extractInstallationGuide summarizes repair stories and finds install videos', async () => {
+  const guide = extractInstallationGuide(await loadFixture$('part-PS11752778.html'));
+
+  assert.equal(guide.difficulty, 'Really Easy');
+  assert.equal(guide.time, 'Less than 15 mins');
+  assert.deepEqual(guide.tools, ['Screw drivers', 'Pliers']);
+  assert.equal(guide.ratingsCount, 3);
+  assert.deepEqual(guide.steps, [
+    'Remove all items from the bin.',
+    'Lift the bin up and pull it out of the door.',
+    'Slide the new bin down onto the door tabs.'
+  ]);
+
+  const [numbered, prose] = guide.stories;
+  assert.equal(numbered.title, 'Door bin cracked and fell off');
+  assert.deepEqual(numbered.tools, []);
+  assert.deepEqual(numbered.steps, [
+    'Emptied the bin.',
+    'Tilted the old bin up and off the door tabs.',
+    'Pressed the new bin straight down until it clicked.'
+  ]);
+  assert.deepEqual(prose.steps, [
+    'Took everything out of the bin.',
+    'Lifted the bin straight up to release it.',
+    'Lined the new bin up with the tabs and pushed it down.'
+  ]);
+
+  assert.deepEqual(guide.videos.map(video => video.id), ['zSCNN6KpDE8', 'Q1w2E3r4T5y']);
+  assert.equal(guide.videos[0].title, 'Replacing your Refrigerator Door Shelf Bin');
+  assert.equal(guide.videos[0].thumbnailUrl, 'https://img.youtube.com/vi/zSCNN6KpDE8/mqdefault.jpg');
+});
+
+test('extractInstallationGuide falls back to the first repair story for the checklist', async () => {
+  const $ = await loadFixture$('part-PS11752778.html');
+  $('.repair-story__step').remove();
+
+  assert.deepEqual(extractInstallationGuide($).steps, [
+    'Emptied the bin.',
+    'Tilted the old bin up and off the door tabs.',
+    'Pressed the new bin straight down until it clicked.'
+  ]);
+});
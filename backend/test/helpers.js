@@ -0,0 +1,69 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const BASE_URL = 'https://www.partselect.com';
+
+export const PART_URL = `${BASE_URL}/PS11752778-Whirlpool-WPW10321304-Refrigerator-Door-Shelf-Bin.htm`;
+
+export async function loadFixture(name) {
+  return await fs.readFile(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+export async function loadFixture$(name) {
+  return cheerio.load(await loadFixture(name));
+}
+
+// Point the scraper at a temporary set of recorded pages in strict replay mode, with an
+// empty cache and data directory, so every lookup is served from test/fixtures and nothing
+// hits the network. Must run before scraper.js is imported.
+export async function useRecordedPages() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'partselect-test-'));
+  process.env.SCRAPER_MODE = 'strict';
+  process.env.SCRAPER_FIXTURES_DIR = path.join(root, 'fixtures');
+  process.env.SCRAPER_CACHE_DIR = path.join(root, 'cache');
+  process.env.DATA_DIR = path.join(root, 'data');
+
+  const { recordFixture } = await import('../fixtures.js');
+  const page = async (kind, url, name, finalUrl = url) => {
+    await recordFixture(kind, url, { finalUrl, status: 200, html: await loadFixture(name) });
+  };
+
+  await page('ps-search', `${BASE_URL}/api/search/?searchterm=PS11752778`, 'part-PS11752778.html', PART_URL);
+  await page('page', PART_URL, 'part-PS11752778.html');
+  await page('page', `${BASE_URL}/Models/WRS325FDAM04/`, 'model-WRS325FDAM04.html');
+  await page('page', `${BASE_URL}/Models/WRS325FDAM04/Sections/Refrigerator-Door-Parts/`, 'section-refrigerator-door.html');
+  await page('page', `${BASE_URL}/Models/WRS325FDAM04/Sections/Freezer-Door-Parts/`, 'section-freezer-door.html');
+  await page('page', `${BASE_URL}/Models/WRS325FDAM04/Parts/?SearchTerm=PS11752778`, 'model-search-empty.html');
+  await page('page', `${BASE_URL}/Repair/Dishwasher/Not-Draining/`, 'repair-dishwasher-not-draining.html');
+  await page('page', `${BASE_URL}/Repair/Refrigerator/Not-Dispensing-Water/`, 'repair-refrigerator-not-dispensing-water.html');
+
+  return {
+    cleanup: () => fs.rm(root, { recursive: true, force: true })
+  };
+}
+
+// Point DATA_DIR (sessions and other stored state) at an empty temporary directory
+export async function useTempDataDir() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'partselect-data-'));
+  process.env.DATA_DIR = root;
+
+  return {
+    cleanup: () => fs.rm(root, { recursive: true, force: true })
+  };
+}
+
+// Canned provider responses for createScriptedProvider
+export function toolUse(...calls) {
+  return {
+    stopReason: 'tool_use',
+    content: calls.map(([name, input], index) => ({ type: 'tool_use', id: `toolu_${name}_${index}`, name, input }))
+  };
+}
+
+export function reply(text) {
+  return { stopReason: 'end_turn', content: [{ type: 'text', text }] };
+}
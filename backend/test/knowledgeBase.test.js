@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { createKnowledgeBase, partDocuments, guideDocuments } from '../knowledgeBase.js';
+import { useRecordedPages, useTempDataDir } from './helpers.js';
+
+const documents = [
+  {
+    id: 'repair:refrigerator-not-making-ice',
+    kind: 'troubleshooting',
+    title: 'Refrigerator not making ice',
+    text: 'A frozen fill tube stops water reaching the ice maker. If the ice maker freezes up, the water inlet valve may be leaking into the tube.',
+    url: 'https://www.partselect.com/Repair/Refrigerator/Not-Making-Ice/'
+  },
+  {
+    id: 'repair:dishwasher-not-draining',
+    kind: 'troubleshooting',
+    title: 'Dishwasher not draining',
+    text: 'Clean the filter and check the drain pump for a jammed impeller.',
+    url: 'https://www.partselect.com/Repair/Dishwasher/Not-Draining/'
+  },
+  {
+    id: 'part:PS11752778',
+    kind: 'part',
+    title: 'Refrigerator Door Shelf Bin',
+    text: 'This door bin holds jars and bottles.',
+    partNumber: 'PS11752778'
+  }
+];
+
+async function tempKnowledgeBase(t, options = {}) {
+  const data = await useTempDataDir();
+  t.after(data.cleanup);
+  const file = () => path.join(process.env.DATA_DIR, 'knowledge-base.json');
+  return { file, kb: createKnowledgeBase({ file, ...options }) };
+}
+
+test('search ranks documents with BM25 and returns a matching excerpt', async (t) => {
+  const { kb } = await tempKnowledgeBase(t);
+  assert.equal(await kb.add(documents), 3);
+
+  const [best, ...rest] = await kb.search('why does my ice maker freeze up?');
+
+  assert.equal(best.id, 'repair:refrigerator-not-making-ice');
+  assert.equal(best.url, 'https://www.partselect.com/Repair/Refrigerator/Not-Making-Ice/');
+  assert.match(best.excerpt, /^If the ice maker freezes up/);
+  assert.equal(rest.length, 0);
+
+  assert.deepEqual(await kb.search('ice maker', { kinds: ['part'] }), []);
+  assert.deepEqual(await kb.search('the and of'), []);
+});
+
+test('documents persist and unchanged ones are not re-indexed', async (t) => {
+  const { kb, file } = await tempKnowledgeBase(t);
+  await kb.add(documents);
+  assert.equal(await kb.add(documents), 0);
+
+  const reloaded = createKnowledgeBase({ file });
+  assert.equal(await reloaded.size(), 3);
+  assert.equal((await reloaded.search('drain pump'))[0].id, 'repair:dishwasher-not-draining');
+});
+
+test('vector similarity is blended in when an embedder is available', async (t) => {
+  // Toy embedding: [mentions ice, mentions drain]
+  const embed = async (texts) => texts.map(text => [/ice/i.test(text) ? 1 : 0, /drain/i.test(text) ? 1 : 0]);
+  const { kb } = await tempKnowledgeBase(t, { loadEmbedder: async () => embed });
+  await kb.add(documents);
+
+  // "water" alone ranks both repair pages about equally; the vector favours the ice one
+  const results = await kb.search('ice water');
+  assert.equal(results[0].id, 'repair:refrigerator-not-making-ice');
+  assert.ok(results[0].score > 0.5);
+});
+
+test('partDocuments and guideDocuments split scraped pages into citable passages', () => {
+  const part = {
+    psNumber: 'PS11752778',
+    title: 'Door Bin',
+    description: 'Holds jars.',
+    symptoms: ['Leaking'],
+    url: 'https://www.partselect.com/PS11752778.htm',
+    reviews: [{ id: 'review-1', title: 'Perfect fit', text: 'Snapped in.' }],
+    questions: [{ id: 'qa-1', question: 'Trim included?', answer: 'No.' }, { id: 'qa-2', question: 'Unanswered?', answer: null }]
+  };
+
+  assert.deepEqual(partDocuments(part).map(doc => [doc.id, doc.kind, doc.text]), [
+    ['part:PS11752778', 'part', 'Holds jars. Fixes these symptoms: Leaking.'],
+    ['review:PS11752778:review-1', 'review', 'Snapped in.'],
+    ['qa:PS11752778:qa-1', 'qa', 'Q: Trim included? A: No.']
+  ]);
+  assert.deepEqual(
+    guideDocuments({ partNumber: 'PS11752778', title: 'Door Bin', stories: [{ title: 'Easy', steps: ['Lift it.', 'Push it.'] }] })
+      .map(doc => [doc.id, doc.text]),
+    [['story:PS11752778:1', 'Lift it. Push it.']]
+  );
+});
+
+test('searchKnowledgeBase finds content from pages scraped earlier', async (t) => {
+  const pages = await useRecordedPages();
+  t.after(pages.cleanup);
+  const { searchPart, getTroubleshootingInfo, searchKnowledgeBase } = await import('../scraper.js');
+
+  assert.deepEqual((await searchKnowledgeBase('door shelf trim')).results, []);
+
+  await searchPart('PS11752778');
+  await getTroubleshootingInfo('dishwasher', 'not draining');
+
+  const trim = await searchKnowledgeBase('is the door shelf trim included?');
+  assert.equal(trim.results[0].id, 'qa:PS11752778:qa-1');
+  assert.match(trim.results[0].citation, /^\[1\] Q&A about Refrigerator Door Shelf Bin/);
+  // Passages carry the part's appliance type, so the scope policy can withhold them
+  assert.equal(trim.results[0].applianceType, 'Refrigerator');
+
+  const drain = await searchKnowledgeBase('drain hose kinks', { kinds: ['troubleshooting'] });
+  assert.equal(drain.results[0].id, 'repair:dishwasher-not-draining');
+});
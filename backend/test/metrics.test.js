@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { counter, histogram, renderMetrics } from '../metrics.js';
+
+test('renders counters per label set', () => {
+  const requests = counter('test_requests_total', 'Requests', ['route', 'status']);
+  requests.inc({ route: '/api/chat', status: 200 });
+  requests.inc({ route: '/api/chat', status: 200 });
+  requests.inc({ route: '/api/chat', status: 500 }, 3);
+
+  const text = renderMetrics();
+  assert.match(text, /# HELP test_requests_total Requests\n# TYPE test_requests_total counter\n/);
+  assert.match(text, /test_requests_total\{route="\/api\/chat",status="200"\} 2\n/);
+  assert.match(text, /test_requests_total\{route="\/api\/chat",status="500"\} 3\n/);
+});
+
+test('renders cumulative histogram buckets with a sum and count', () => {
+  const latency = histogram('test_latency_seconds', 'Latency', ['tool'], [0.1, 1]);
+  latency.observe({ tool: 'get_part_info' }, 0.05);
+  latency.observe({ tool: 'get_part_info' }, 0.5);
+  latency.observe({ tool: 'get_part_info' }, 2);
+
+  const text = renderMetrics();
+  assert.match(text, /# TYPE test_latency_seconds histogram\n/);
+  assert.match(text, /test_latency_seconds_bucket\{tool="get_part_info",le="0.1"\} 1\n/);
+  assert.match(text, /test_latency_seconds_bucket\{tool="get_part_info",le="1"\} 2\n/);
+  assert.match(text, /test_latency_seconds_bucket\{tool="get_part_info",le="\+Inf"\} 3\n/);
+  assert.match(text, /test_latency_seconds_sum\{tool="get_part_info"\} 2.55\n/);
+  assert.match(text, /test_latency_seconds_count\{tool="get_part_info"\} 3\n/);
+});
+
+test('escapes label values', () => {
+  counter('test_escaped_total', 'Escaped', ['value']).inc({ value: 'say "hi"\nback\\slash' });
+
+  assert.match(renderMetrics(), /test_escaped_total\{value="say \\"hi\\"\\nback\\\\slash"\} 1/);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { createPagePool } from '../pagePool.js';
+
+// Stand-in for a puppeteer Browser: pages whose goto() waits until the test releases it
+function fakeBrowser() {
+  const browser = { contexts: [], pending: [] };
+
+  browser.createBrowserContext = async () => {
+    const context = { closed: false };
+    const page = {
+      closed: false,
+      isClosed: () => page.closed,
+      goto: (url) => {
+        if (url === 'about:blank') return Promise.resolve();
+        return new Promise((resolve, reject) => {
+          page.fail = reject;
+          browser.pending.push({ url, finish: () => resolve({ url }) });
+        });
+      }
+    };
+    context.newPage = async () => page;
+    context.close = async () => {
+      context.closed = true;
+      page.closed = true;
+      page.fail?.(new Error('Navigating frame was detached'));
+    };
+    browser.contexts.push(context);
+    return context;
+  };
+
+  return browser;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+function load(pool, url, sessionKey, signal) {
+  return pool.withPage(page => page.goto(url), { sessionKey, signal });
+}
+
+test('queued requests take turns between sessions', async () => {
+  const browser = fakeBrowser();
+  const pool = createPagePool({ getBrowser: async () => browser, maxPages: 1 });
+
+  const loads = [
+    load(pool, 'a1', 'session-a'),
+    load(pool, 'a2', 'session-a'),
+    load(pool, 'a3', 'session-a'),
+    load(pool, 'b1', 'session-b')
+  ];
+  await tick();
+  assert.deepEqual(pool.stats(), { max: 1, busy: 1, idle: 0, queued: 3 });
+
+  const order = [];
+  while (order.length < loads.length) {
+    const next = browser.pending.shift();
+    if (!next) {
+      await tick();
+      continue;
+    }
+    order.push(next.url);
+    next.finish();
+  }
+  await Promise.all(loads);
+
+  // session-b's one lookup doesn't wait behind all of session-a's
+  assert.deepEqual(order, ['a1', 'a2', 'b1', 'a3']);
+  // The warm page was reused rather than a context opened per load
+  assert.equal(browser.contexts.length, 1);
+  assert.deepEqual(pool.stats(), { max: 1, busy: 0, idle: 1, queued: 0 });
+});
+
+test('aborting a queued request removes it from the queue', async () => {
+  const browser = fakeBrowser();
+  const events = new EventEmitter();
+  const depths = [];
+  events.on('queue', ({ depth }) => depths.push(depth));
+  const pool = createPagePool({ getBrowser: async () => browser, maxPages: 1, events });
+
+  const first = load(pool, 'first', 'session-a');
+  const controller = new AbortController();
+  const queued = load(pool, 'queued', 'session-b', controller.signal);
+  await tick();
+
+  controller.abort();
+  await assert.rejects(queued, { name: 'AbortError' });
+
+  browser.pending.shift().finish();
+  await first;
+
+  assert.deepEqual(browser.pending, []);
+  assert.deepEqual(depths.slice(-3), [1, 0, 0]);
+});
+
+test('aborting a running request closes its page mid-navigation', async () => {
+  const browser = fakeBrowser();
+  const pool = createPagePool({ getBrowser: async () => browser, maxPages: 2 });
+  const controller = new AbortController();
+
+  const running = load(pool, 'slow', 'session-a', controller.signal);
+  await tick();
+  controller.abort();
+
+  await assert.rejects(running, { name: 'AbortError' });
+  assert.equal(browser.contexts[0].closed, true);
+  assert.deepEqual(pool.stats(), { max: 2, busy: 0, idle: 0, queued: 0 });
+});
@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { normalizePartNumber, isPsNumber, partAliases, matchedAliases, resolvePartNumber } from '../partIdentity.js';
+import { useRecordedPages, loadFixture, PART_URL } from './helpers.js';
+
+let pages;
+let searchPart;
+
+before(async () => {
+  pages = await useRecordedPages();
+  ({ searchPart } = await import('../scraper.js'));
+});
+
+after(async () => {
+  await pages.cleanup();
+});
+
+const part = {
+  psNumber: 'PS11752778',
+  manufacturerPartNumber: 'WPW10321304',
+  replacedPartNumbers: ['AP6019471', 'W10321304']
+};
+
+test('normalizePartNumber ignores case, spaces, dashes and punctuation', () => {
+  assert.equal(normalizePartNumber(' ps 117-527-78 '), 'PS11752778');
+  assert.equal(normalizePartNumber('#wpw10321304'), 'WPW10321304');
+  assert.equal(isPsNumber('ps-11752778'), true);
+  assert.equal(isPsNumber('241490001'), false);
+});
+
+test('partAliases and matchedAliases label the numbers a part is known by', () => {
+  assert.deepEqual(partAliases(part), [
+    { number: 'PS11752778', kind: 'ps' },
+    { number: 'WPW10321304', kind: 'manufacturer' },
+    { number: 'AP6019471', kind: 'replaced' },
+    { number: 'W10321304', kind: 'replaced' }
+  ]);
+  assert.deepEqual(matchedAliases('w1032-1304', part), [{ number: 'W10321304', kind: 'replaced' }]);
+  assert.deepEqual(matchedAliases('PS11752778', part), []);
+});
+
+test('numbers from a scraped part page resolve to its PS number afterwards', async () => {
+  assert.deepEqual(await resolvePartNumber('2171046'), { query: '2171046', psNumber: null });
+
+  const found = await searchPart('ps11752778');
+  assert.equal(found.partNumber, 'PS11752778');
+  assert.deepEqual(found.matchedAliases, []);
+
+  assert.deepEqual(await resolvePartNumber('2171046'), { query: '2171046', psNumber: 'PS11752778' });
+
+  const byManufacturerNumber = await searchPart('WPW 10321304');
+  assert.equal(byManufacturerNumber.title, 'Refrigerator Door Shelf Bin WPW10321304');
+  assert.deepEqual(byManufacturerNumber.matchedAliases, [{ number: 'WPW10321304', kind: 'manufacturer' }]);
+
+  const bySupersededNumber = await searchPart('2171046');
+  assert.deepEqual(bySupersededNumber.matchedAliases, [{ number: '2171046', kind: 'replaced' }]);
+
+  const saved = JSON.parse(await fs.readFile(path.join(process.env.DATA_DIR, 'part-aliases.json'), 'utf8'));
+  assert.equal(saved.aliases.AP6019471, 'PS11752778');
+});
+
+test('a search that lands on a part not known by the number is not an exact match', async () => {
+  const { recordFixture } = await import('../fixtures.js');
+  await recordFixture('ps-search', 'https://www.partselect.com/api/search/?searchterm=WPW10321399', {
+    finalUrl: PART_URL,
+    status: 200,
+    html: await loadFixture('part-PS11752778.html')
+  });
+
+  const result = await searchPart('WPW10321399');
+  assert.equal(result.notFound, true);
+  assert.match(result.error, /No exact match for part number WPW10321399; the closest match, PS11752778/);
+  assert.deepEqual(result.closestMatch, {
+    partNumber: 'PS11752778',
+    title: 'Refrigerator Door Shelf Bin WPW10321304',
+    url: PART_URL,
+    confirmed: false
+  });
+  assert.deepEqual(await resolvePartNumber('WPW10321399'), { query: 'WPW10321399', psNumber: null });
+});
@@ -0,0 +1,144 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApp } from '../app.js';
+import { sanitizeProfile, getProfile, saveProfile, addAppliance, describeProfile } from '../profiles.js';
+import { useTempDataDir } from './helpers.js';
+
+const USER_ID = '3f0c8e5e-2b7a-4d2e-9a51-6c1e0f4b7d21';
+
+let dataDir;
+before(async () => { dataDir = await useTempDataDir(); });
+after(() => dataDir.cleanup());
+
+async function startApp(t, chat) {
+  const server = createApp({ chat }).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+function request(baseUrl, method, route, body, headers = {}) {
+  return fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body && JSON.stringify(body)
+  });
+}
+
+test('sanitizeProfile keeps known fields and drops invalid or duplicate appliances', () => {
+  const profile = sanitizeProfile({
+    appliances: [
+      { id: 'a', applianceType: 'Dishwasher', brand: 'Whirlpool', modelNumber: ' wdt780saem1 ', nickname: 'Kitchen\ndishwasher', extra: 'dropped' },
+      { id: 'b', applianceType: 'oven', modelNumber: 'WRS325FDAM04' },
+      { id: 'c', modelNumber: 'WDT780SAEM1' },
+      { id: 'd', nickname: 'No model' },
+      'not an appliance'
+    ],
+    activeId: 'missing'
+  });
+
+  assert.deepEqual(profile, {
+    appliances: [
+      { id: 'a', applianceType: 'dishwasher', brand: 'Whirlpool', modelNumber: 'WDT780SAEM1', nickname: 'Kitchen dishwasher' },
+      { id: 'b', applianceType: null, brand: null, modelNumber: 'WRS325FDAM04', nickname: null }
+    ],
+    activeId: null
+  });
+  assert.deepEqual(sanitizeProfile(null), { appliances: [], activeId: null });
+});
+
+test('addAppliance saves a new appliance as active and updates one already saved', async () => {
+  const first = await addAppliance(USER_ID, { modelNumber: 'WDT780SAEM1', applianceType: 'dishwasher' });
+  assert.equal(first.profile.activeId, first.appliance.id);
+
+  await addAppliance(USER_ID, { modelNumber: 'WRS325FDAM04', nickname: 'Garage fridge' });
+  const updated = await addAppliance(USER_ID, { modelNumber: 'wdt780saem1', brand: 'Whirlpool', nickname: 'Kitchen dishwasher' });
+
+  const profile = await getProfile(USER_ID);
+  assert.equal(profile.appliances.length, 2);
+  assert.equal(profile.activeId, first.appliance.id);
+  assert.deepEqual(updated.appliance, {
+    id: first.appliance.id,
+    applianceType: 'dishwasher',
+    brand: 'Whirlpool',
+    modelNumber: 'WDT780SAEM1',
+    nickname: 'Kitchen dishwasher'
+  });
+
+  assert.deepEqual(await getProfile('not-a-user'), { appliances: [], activeId: null });
+  await assert.rejects(addAppliance(USER_ID, { nickname: 'No model' }), /model number is required/);
+});
+
+test('addAppliance keeps every appliance when saves arrive together', async () => {
+  const userId = '7d4e2a1b-5c6f-4e8d-9a0b-1c2d3e4f5a6b';
+  await Promise.all([
+    addAppliance(userId, { modelNumber: 'WDT780SAEM1' }),
+    addAppliance(userId, { modelNumber: 'WRS325FDAM04' }),
+    saveProfile(userId, { appliances: [{ id: 'a', modelNumber: 'KDTE334GPS0' }], activeId: 'a' }),
+    addAppliance(userId, { modelNumber: 'MFI2568AES' })
+  ]);
+
+  const profile = await getProfile(userId);
+  assert.deepEqual(profile.appliances.map(appliance => appliance.modelNumber), ['KDTE334GPS0', 'MFI2568AES']);
+  assert.equal(profile.activeId, profile.appliances[1].id);
+});
+
+test('describeProfile lists the appliances and points at the active one', () => {
+  const profile = sanitizeProfile({
+    appliances: [
+      { id: 'a', applianceType: 'dishwasher', brand: 'Whirlpool', modelNumber: 'WDT780SAEM1', nickname: 'Kitchen dishwasher' },
+      { id: 'b', modelNumber: 'WRS325FDAM04' }
+    ],
+    activeId: 'a'
+  });
+
+  const section = describeProfile(profile);
+  assert.match(section, /- Kitchen dishwasher: Whirlpool dishwasher model WDT780SAEM1 \(active\)\n- model WRS325FDAM04\n/);
+  assert.match(section, /"my dishwasher" are about the active one, WDT780SAEM1/);
+  assert.match(describeProfile({ ...profile, activeId: null }), /None is marked active/);
+  assert.equal(describeProfile({ appliances: [], activeId: null }), '');
+});
+
+test('stores profiles over the API for their own install and sends them with each chat turn', async (t) => {
+  const received = [];
+  const baseUrl = await startApp(t, async (messages, options) => {
+    received.push({ profile: options.profile, userId: options.userId });
+    return { text: 'ok' };
+  });
+  const userId = '9b2d7c4a-1e3f-4a6b-8c5d-0f9e8d7c6b5a';
+  const asInstall = { 'X-Install-Id': userId };
+
+  const empty = await request(baseUrl, 'GET', `/api/profiles/${userId}`, undefined, asInstall);
+  assert.deepEqual(await empty.json(), { appliances: [], activeId: null });
+
+  const saved = await request(baseUrl, 'PUT', `/api/profiles/${userId}`, {
+    appliances: [{ id: 'a', modelNumber: 'WDT780SAEM1', nickname: 'Kitchen dishwasher' }],
+    activeId: 'a'
+  }, asInstall);
+  assert.equal((await saved.json()).appliances[0].modelNumber, 'WDT780SAEM1');
+  assert.equal((await (await request(baseUrl, 'GET', `/api/profiles/${userId}`, undefined, asInstall)).json()).activeId, 'a');
+
+  assert.equal((await request(baseUrl, 'GET', '/api/profiles/nope', undefined, asInstall)).status, 400);
+  assert.equal((await request(baseUrl, 'PUT', `/api/profiles/${userId}`, { appliances: 'none' }, asInstall)).status, 400);
+
+  // Other installs, and callers without an install, can't read or change it
+  const asOther = { 'X-Install-Id': '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d' };
+  assert.equal((await request(baseUrl, 'GET', `/api/profiles/${userId}`, undefined, asOther)).status, 403);
+  assert.equal((await request(baseUrl, 'PUT', `/api/profiles/${userId}`, { appliances: [] }, asOther)).status, 403);
+  assert.equal((await request(baseUrl, 'GET', `/api/profiles/${userId}`)).status, 403);
+
+  // The profile sent with a turn wins; without one the install's stored copy is used
+  await request(baseUrl, 'POST', '/api/chat', {
+    messages: [{ role: 'user', content: 'hi' }],
+    profile: { appliances: [{ id: 'b', modelNumber: 'WRS325FDAM04' }], activeId: 'b' }
+  }, asInstall);
+  await request(baseUrl, 'POST', '/api/chat', { messages: [{ role: 'user', content: 'hi' }] }, asInstall);
+  await request(baseUrl, 'POST', '/api/chat', { messages: [{ role: 'user', content: 'hi' }], userId }, asOther);
+  await request(baseUrl, 'POST', '/api/chat', { messages: [{ role: 'user', content: 'hi' }], userId });
+
+  assert.equal(received[0].profile.appliances[0].modelNumber, 'WRS325FDAM04');
+  assert.equal(received[1].profile.appliances[0].modelNumber, 'WDT780SAEM1');
+  assert.equal(received[1].userId, userId);
+  assert.deepEqual(received[2], { profile: { appliances: [], activeId: null }, userId: asOther['X-Install-Id'] });
+  assert.deepEqual(received[3], { profile: null, userId: null });
+});
@@ -0,0 +1,174 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProvider, createAnthropicProvider, createOpenAIProvider, createScriptedProvider } from '../providers/index.js';
+import { toOpenAITools, toOpenAIMessages } from '../providers/openai.js';
+
+const tools = [{
+  name: 'get_part_info',
+  description: 'Look up a part',
+  input_schema: { type: 'object', properties: { part_number: { type: 'string' } }, required: ['part_number'] }
+}];
+
+const conversation = [
+  { role: 'user', content: 'Tell me about PS11752778' },
+  {
+    role: 'assistant',
+    content: [
+      { type: 'text', text: 'Let me look that up.' },
+      { type: 'tool_use', id: 'call_1', name: 'get_part_info', input: { part_number: 'PS11752778' } }
+    ]
+  },
+  { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_1', content: '{"price":"$44.95"}' }] }
+];
+
+// Minimal stand-in for fetch() returning a JSON body or an SSE stream
+function fakeFetch(respond) {
+  const requests = [];
+  const impl = async (url, options) => {
+    requests.push({ url, options, body: JSON.parse(options.body) });
+    const { json, sse, status = 200 } = respond(requests.length);
+    return {
+      ok: status < 400,
+      status,
+      json: async () => json,
+      text: async () => JSON.stringify(json),
+      body: sse && new ReadableStream({
+        start(controller) {
+          sse.forEach(chunk => controller.enqueue(new TextEncoder().encode(`data: ${JSON.stringify(chunk)}\n\n`)));
+          controller.enqueue(new TextEncoder().encode('data: [DONE]\n\n'));
+          controller.close();
+        }
+      })
+    };
+  };
+  impl.requests = requests;
+  return impl;
+}
+
+test('anthropic provider passes deployment settings and normalizes the response', async () => {
+  const received = [];
+  const client = {
+    messages: {
+      create: async (params) => {
+        received.push(params);
+        return { content: [{ type: 'text', text: 'Hi' }], stop_reason: 'end_turn', usage: { input_tokens: 12, output_tokens: 3 } };
+      }
+    }
+  };
+  const provider = createAnthropicProvider({ model: 'claude-test', maxTokens: 2048, temperature: 0.2, client });
+
+  const response = await provider.createMessage({ system: 'You help.', messages: conversation, tools });
+
+  assert.deepEqual(received[0], {
+    model: 'claude-test', max_tokens: 2048, temperature: 0.2, system: 'You help.', tools, messages: conversation
+  });
+  assert.deepEqual(response, {
+    content: [{ type: 'text', text: 'Hi' }],
+    stopReason: 'end_turn',
+    usage: { inputTokens: 12, outputTokens: 3 }
+  });
+});
+
+test('tools translate to OpenAI function definitions', () => {
+  assert.deepEqual(toOpenAITools(tools), [{
+    type: 'function',
+    function: { name: 'get_part_info', description: 'Look up a part', parameters: tools[0].input_schema }
+  }]);
+});
+
+test('tool_use and tool_result blocks translate to OpenAI tool calls and tool messages', () => {
+  assert.deepEqual(toOpenAIMessages('You help.', conversation), [
+    { role: 'system', content: 'You help.' },
+    { role: 'user', content: 'Tell me about PS11752778' },
+    {
+      role: 'assistant',
+      content: 'Let me look that up.',
+      tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_part_info', arguments: '{"part_number":"PS11752778"}' } }]
+    },
+    { role: 'tool', tool_call_id: 'call_1', content: '{"price":"$44.95"}' }
+  ]);
+});
+
+test('openai provider maps tool calls back to tool_use blocks', async () => {
+  const fetch = fakeFetch(() => ({
+    json: {
+      choices: [{
+        finish_reason: 'tool_calls',
+        message: {
+          content: null,
+          tool_calls: [{ id: 'call_2', type: 'function', function: { name: 'get_part_info', arguments: '{"part_number":"PS1"}' } }]
+        }
+      }],
+      usage: { prompt_tokens: 50, completion_tokens: 9 }
+    }
+  }));
+  const provider = createOpenAIProvider({ model: 'llama3', maxTokens: 512, baseUrl: 'http://localhost:11434/v1/', fetch });
+
+  const response = await provider.createMessage({ system: 'You help.', messages: [conversation[0]], tools });
+
+  assert.equal(fetch.requests[0].url, 'http://localhost:11434/v1/chat/completions');
+  assert.equal(fetch.requests[0].options.headers.Authorization, undefined);
+  assert.equal(fetch.requests[0].body.model, 'llama3');
+  assert.equal(fetch.requests[0].body.max_tokens, 512);
+  assert.equal('temperature' in fetch.requests[0].body, false);
+  assert.equal('stream_options' in fetch.requests[0].body, false);
+  assert.deepEqual(response, {
+    content: [{ type: 'tool_use', id: 'call_2', name: 'get_part_info', input: { part_number: 'PS1' } }],
+    stopReason: 'tool_use',
+    usage: { inputTokens: 50, outputTokens: 9 }
+  });
+});
+
+test('openai provider streams text and assembles streamed tool calls', async () => {
+  const fetch = fakeFetch(() => ({
+    sse: [
+      { choices: [{ delta: { content: 'Checking ' } }] },
+      { choices: [{ delta: { content: 'now.' } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_3', function: { name: 'get_part_info', arguments: '{"part_' } }] } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'number":"PS2"}' } }] }, finish_reason: 'tool_calls' }] },
+      { choices: [], usage: { prompt_tokens: 80, completion_tokens: 12 } }
+    ]
+  }));
+  const provider = createOpenAIProvider({ model: 'llama3', maxTokens: 512, baseUrl: 'http://localhost:8080/v1', apiKey: 'sk-local', fetch });
+  const deltas = [];
+
+  const response = await provider.createMessage({ system: 'You help.', messages: [conversation[0]], tools, onText: (delta) => deltas.push(delta) });
+
+  assert.equal(fetch.requests[0].body.stream, true);
+  assert.deepEqual(fetch.requests[0].body.stream_options, { include_usage: true });
+  assert.equal(fetch.requests[0].options.headers.Authorization, 'Bearer sk-local');
+  assert.deepEqual(deltas, ['Checking ', 'now.']);
+  assert.deepEqual(response.content, [
+    { type: 'text', text: 'Checking now.' },
+    { type: 'tool_use', id: 'call_3', name: 'get_part_info', input: { part_number: 'PS2' } }
+  ]);
+  assert.equal(response.stopReason, 'tool_use');
+  assert.deepEqual(response.usage, { inputTokens: 80, outputTokens: 12 });
+});
+
+test('openai provider surfaces HTTP errors', async () => {
+  const fetch = fakeFetch(() => ({ status: 503, json: { error: 'loading model' } }));
+  const provider = createOpenAIProvider({ model: 'llama3', maxTokens: 512, baseUrl: 'http://localhost:8080/v1', fetch });
+
+  await assert.rejects(provider.createMessage({ system: '', messages: [], tools }), /\(503\)/);
+});
+
+test('scripted provider plays back responses in order', async () => {
+  const provider = createScriptedProvider({
+    responses: [{ stopReason: 'end_turn', content: [{ type: 'text', text: 'one' }] }]
+  });
+  const deltas = [];
+
+  const response = await provider.createMessage({ system: 's', messages: [], tools, onText: (delta) => deltas.push(delta) });
+
+  assert.equal(response.content[0].text, 'one');
+  assert.deepEqual(deltas, ['one']);
+  assert.equal(provider.calls.length, 1);
+  await assert.rejects(provider.createMessage({ system: 's', messages: [], tools }), /ran out of responses/);
+});
+
+test('createProvider picks the adapter from config', () => {
+  assert.equal(createProvider({ provider: 'openai', model: 'm', maxTokens: 10, baseUrl: 'http://x' }).name, 'openai');
+  assert.equal(createProvider({ provider: 'scripted' }).name, 'scripted');
+  assert.throws(() => createProvider({ provider: 'cohere' }), /Unknown LLM_PROVIDER/);
+});
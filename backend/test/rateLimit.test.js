@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter } from '../rateLimit.js';
+
+test('allows a limited number of requests per sliding window, per client', () => {
+  let time = 0;
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000, now: () => time });
+
+  assert.deepEqual(limiter.take('a'), { allowed: true, limit: 2, remaining: 1, retryAfterMs: 0 });
+  time = 400;
+  assert.equal(limiter.take('a').remaining, 0);
+  time = 500;
+  assert.deepEqual(limiter.take('a'), { allowed: false, limit: 2, remaining: 0, retryAfterMs: 500 });
+  assert.equal(limiter.take('b').allowed, true);
+
+  // The first request leaves the window; the second is still in it
+  time = 1001;
+  assert.equal(limiter.take('a').allowed, true);
+  assert.deepEqual(limiter.take('a'), { allowed: false, limit: 2, remaining: 0, retryAfterMs: 399 });
+});
+
+test('rejected requests do not count against the client', () => {
+  let time = 0;
+  const limiter = createRateLimiter({ limit: 1, windowMs: 1000, now: () => time });
+
+  limiter.take('a');
+  for (time = 100; time < 1000; time += 100) {
+    assert.equal(limiter.take('a').allowed, false);
+  }
+  time = 1000;
+  assert.equal(limiter.take('a').allowed, true);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { searchReviews } from '../reviews.js';
+import { useRecordedPages } from './helpers.js';
+
+const part = {
+  reviews: [
+    { id: 'review-1', rating: 5, title: 'Perfect fit', author: 'Linda M.', date: 'March 3, 2024', text: 'Exact match on my WRS325FDAM04.', models: ['WRS325FDAM04'] },
+    { id: 'review-2', rating: 4, title: 'No gasket', author: 'Tom R.', date: null, text: 'It fits but does not come with any gaskets.', models: [] }
+  ],
+  questions: [
+    { id: 'qa-1', question: 'Does this fit the top shelf?', answer: 'Yes, it fits every shelf.', author: 'Karen', date: 'December 12, 2023', models: ['KRFC300ESS01'] }
+  ]
+};
+
+test('searchReviews finds the entries that answer a question and cites them', () => {
+  const [match, ...rest] = searchReviews(part, 'Does this come with the gasket?');
+
+  assert.equal(rest.length, 0);
+  assert.equal(match.type, 'review');
+  assert.equal(match.id, 'review-2');
+  assert.equal(match.citation, 'Review #2 by Tom R.');
+  assert.deepEqual(match.matchedTerms, ['gasket']);
+});
+
+test('searchReviews prefers entries about the customer\'s model', () => {
+  const matches = searchReviews(part, 'will it fit', { modelNumber: 'KRFC300ESS01' });
+
+  assert.equal(matches[0].citation, 'Q&A #1 from Karen, December 12, 2023');
+  assert.equal(matches[0].mentionsModel, true);
+  assert.equal(matches.length, 3);
+});
+
+test('searchReviews returns nothing when no entry shares a word with the question', () => {
+  assert.deepEqual(searchReviews(part, 'what voltage?'), []);
+  assert.deepEqual(searchReviews({}, 'does it fit?'), []);
+});
+
+test('searchPartReviews searches the recorded part page', async (t) => {
+  const pages = await useRecordedPages();
+  t.after(pages.cleanup);
+  const { searchPartReviews } = await import('../scraper.js');
+
+  const result = await searchPartReviews('PS11752778', 'does it include the trim?');
+
+  assert.equal(result.partNumber, 'PS11752778');
+  assert.equal(result.rating, 4.5);
+  assert.equal(result.reviewCount, 12);
+  assert.equal(result.matches[0].citation, 'Q&A #1 from Mike, January 5, 2024');
+});
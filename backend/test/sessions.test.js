@@ -0,0 +1,183 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApp } from '../app.js';
+import { createAuth, issueToken } from '../auth.js';
+import { createSession, getSession, listSessions, appendMessages, deleteSession, sessionHistory } from '../sessions.js';
+import { useTempDataDir } from './helpers.js';
+
+let dataDir;
+before(async () => { dataDir = await useTempDataDir(); });
+after(() => dataDir.cleanup());
+
+async function startApp(t, chat, auth = createAuth({ apiKeys: [], tokenSecret: null })) {
+  const server = createApp({ chat, auth }).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+function request(baseUrl, method, route, body, headers = {}) {
+  return fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body && JSON.stringify(body)
+  });
+}
+
+test('stores messages and titles a session from its first user message', async () => {
+  const session = await createSession();
+  assert.equal(session.title, 'New conversation');
+  assert.equal(await getSession('not-a-session-id'), null);
+
+  await Promise.all([
+    appendMessages(session.id, [{ role: 'user', content: 'My ice maker stopped working' }]),
+    appendMessages(session.id, [{ role: 'assistant', content: 'Let me help.', blocks: [{ type: 'part', version: 1, data: { partNumber: 'PS11752778' } }] }])
+  ]);
+
+  const stored = await getSession(session.id);
+  assert.equal(stored.title, 'My ice maker stopped working');
+  assert.equal(stored.messages.length, 2);
+  assert.deepEqual(stored.messages[1].blocks, [{ type: 'part', version: 1, data: { partNumber: 'PS11752778' } }]);
+  assert.deepEqual(sessionHistory(stored), [
+    { role: 'user', content: 'My ice maker stopped working' },
+    { role: 'assistant', content: 'Let me help.' }
+  ]);
+
+  const summary = (await listSessions()).find(item => item.id === session.id);
+  assert.equal(summary.messageCount, 2);
+  assert.equal(summary.messages, undefined);
+
+  assert.equal(await deleteSession(session.id), true);
+  assert.equal(await getSession(session.id), null);
+  assert.equal(await deleteSession(session.id), false);
+});
+
+test('continues a session from its stored history and saves the turn', async (t) => {
+  const received = [];
+  const baseUrl = await startApp(t, async (messages) => {
+    received.push(messages);
+    return { text: `Reply ${received.length}`, blocks: [{ type: 'part', version: 1, data: { partNumber: 'PS11752778' } }] };
+  });
+
+  const created = await request(baseUrl, 'POST', '/api/sessions');
+  assert.equal(created.status, 201);
+  const { id } = await created.json();
+
+  const first = await request(baseUrl, 'POST', '/api/chat', { sessionId: id, message: 'Find PS11752778' });
+  assert.equal((await first.json()).sessionId, id);
+
+  // The second turn is streamed and sends only the new message
+  const second = await request(baseUrl, 'POST', '/api/chat', { sessionId: id, message: 'Is it in stock?' }, { Accept: 'text/event-stream' });
+  assert.match(await second.text(), /event: done\ndata: .*"sessionId":"/);
+
+  assert.deepEqual(received[1], [
+    { role: 'user', content: 'Find PS11752778' },
+    { role: 'assistant', content: 'Reply 1' },
+    { role: 'user', content: 'Is it in stock?' }
+  ]);
+
+  const session = await (await request(baseUrl, 'GET', `/api/sessions/${id}`)).json();
+  assert.equal(session.title, 'Find PS11752778');
+  assert.deepEqual(session.messages.map(message => message.content), ['Find PS11752778', 'Reply 1', 'Is it in stock?', 'Reply 2']);
+  assert.deepEqual(session.messages[3].blocks, [{ type: 'part', version: 1, data: { partNumber: 'PS11752778' } }]);
+
+  const { sessions } = await (await request(baseUrl, 'GET', '/api/sessions')).json();
+  assert.ok(sessions.some(summary => summary.id === id && summary.messageCount === 4));
+});
+
+test('records each turn\'s usage on the session and reports the running total', async (t) => {
+  const options = [];
+  const baseUrl = await startApp(t, async (messages, turnOptions) => {
+    options.push(turnOptions);
+    return { text: 'Reply', blocks: [], usage: { inputTokens: 1000, outputTokens: 100, costUsd: 0.0045 } };
+  });
+  const { id } = await (await request(baseUrl, 'POST', '/api/sessions')).json();
+
+  await request(baseUrl, 'POST', '/api/chat', { sessionId: id, message: 'Find PS11752778' });
+  const body = await (await request(baseUrl, 'POST', '/api/chat', { sessionId: id, message: 'Is it in stock?' })).json();
+
+  assert.deepEqual(body.usage, { inputTokens: 1000, outputTokens: 100, costUsd: 0.0045 });
+  assert.deepEqual(body.sessionUsage, { inputTokens: 2000, outputTokens: 200, costUsd: 0.009 });
+  // chat() is told what the session has used so far, to enforce the session budget
+  assert.deepEqual(options.map(item => item.sessionUsage), [
+    { inputTokens: 0, outputTokens: 0, costUsd: 0 },
+    { inputTokens: 1000, outputTokens: 100, costUsd: 0.0045 }
+  ]);
+
+  const { sessions } = await (await request(baseUrl, 'GET', '/api/sessions')).json();
+  assert.deepEqual(sessions.find(summary => summary.id === id).usage, body.sessionUsage);
+});
+
+test('rejects unknown sessions and session turns without a message', async (t) => {
+  let called = false;
+  const baseUrl = await startApp(t, async () => { called = true; });
+  const { id } = await (await request(baseUrl, 'POST', '/api/sessions')).json();
+
+  const missing = await request(baseUrl, 'POST', '/api/chat', { sessionId: '00000000-0000-0000-0000-000000000000', message: 'hi' });
+  assert.equal(missing.status, 404);
+
+  const empty = await request(baseUrl, 'POST', '/api/chat', { sessionId: id, message: '  ' });
+  assert.equal(empty.status, 400);
+  assert.equal(called, false);
+
+  assert.equal((await request(baseUrl, 'GET', '/api/sessions/nope')).status, 404);
+  assert.equal((await request(baseUrl, 'DELETE', `/api/sessions/${id}`)).status, 204);
+  assert.equal((await request(baseUrl, 'DELETE', `/api/sessions/${id}`)).status, 404);
+});
+
+test('keeps each client\'s sessions to itself', async (t) => {
+  const chat = async () => ({ text: 'Reply', blocks: [] });
+  const baseUrl = await startApp(t, chat, createAuth({ apiKeys: ['key-one', 'key-two'], tokenSecret: null }));
+  const asOne = { Authorization: 'Bearer key-one' };
+  const asTwo = { Authorization: 'Bearer key-two' };
+
+  const { id } = await (await request(baseUrl, 'POST', '/api/sessions', undefined, asOne)).json();
+
+  const listed = async (headers) => (await (await request(baseUrl, 'GET', '/api/sessions', undefined, headers)).json()).sessions;
+  assert.ok((await listed(asOne)).some(summary => summary.id === id));
+  assert.ok(!(await listed(asTwo)).some(summary => summary.id === id));
+
+  assert.equal((await request(baseUrl, 'GET', `/api/sessions/${id}`, undefined, asTwo)).status, 404);
+  assert.equal((await request(baseUrl, 'POST', '/api/chat', { sessionId: id, message: 'hi' }, asTwo)).status, 404);
+  assert.equal((await request(baseUrl, 'DELETE', `/api/sessions/${id}`, undefined, asTwo)).status, 404);
+  assert.equal((await request(baseUrl, 'GET', `/api/sessions/${id}`, undefined, asOne)).status, 200);
+  assert.equal((await request(baseUrl, 'DELETE', `/api/sessions/${id}`, undefined, asOne)).status, 204);
+});
+
+test('keeps each install\'s sessions to itself, even between installs of one build', async (t) => {
+  const chat = async () => ({ text: 'Reply', blocks: [] });
+  const baseUrl = await startApp(t, chat, createAuth({ apiKeys: [], tokenSecret: 'test-secret' }));
+  const asBuild = { Authorization: `Bearer ${issueToken('extension-beta', { secret: 'test-secret' })}` };
+  const install = async () => {
+    const response = await request(baseUrl, 'POST', '/api/installs', undefined, asBuild);
+    assert.equal(response.status, 201);
+    const { installId, token } = await response.json();
+    assert.match(installId, /^[0-9a-f-]{36}$/);
+    return { Authorization: `Bearer ${token}` };
+  };
+  const asOne = await install();
+  const asTwo = await install();
+
+  const { id } = await (await request(baseUrl, 'POST', '/api/sessions', undefined, asOne)).json();
+
+  const listed = async (headers) => (await (await request(baseUrl, 'GET', '/api/sessions', undefined, headers)).json()).sessions;
+  assert.ok((await listed(asOne)).some(summary => summary.id === id));
+  assert.ok(!(await listed(asTwo)).some(summary => summary.id === id));
+  assert.ok(!(await listed(asBuild)).some(summary => summary.id === id));
+  assert.equal((await request(baseUrl, 'GET', `/api/sessions/${id}`, undefined, asTwo)).status, 404);
+  assert.equal((await request(baseUrl, 'DELETE', `/api/sessions/${id}`, undefined, asTwo)).status, 404);
+  assert.equal((await request(baseUrl, 'GET', `/api/sessions/${id}`, undefined, asOne)).status, 200);
+});
+
+test('tells installs apart by X-Install-Id when auth is off', async (t) => {
+  const baseUrl = await startApp(t, async () => ({ text: 'Reply', blocks: [] }));
+  const { installId } = await (await request(baseUrl, 'POST', '/api/installs')).json();
+  const asOne = { 'X-Install-Id': installId };
+  const asTwo = { 'X-Install-Id': (await (await request(baseUrl, 'POST', '/api/installs')).json()).installId };
+
+  const { id } = await (await request(baseUrl, 'POST', '/api/sessions', undefined, asOne)).json();
+
+  assert.equal((await request(baseUrl, 'GET', `/api/sessions/${id}`, undefined, asOne)).status, 200);
+  assert.equal((await request(baseUrl, 'GET', `/api/sessions/${id}`, undefined, asTwo)).status, 404);
+  assert.equal((await request(baseUrl, 'GET', `/api/sessions/${id}`)).status, 404);
+});
@@ -0,0 +1,115 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSourceHealth, SourceError, httpError } from '../sourceHealth.js';
+import { FixtureMissingError } from '../fixtures.js';
+import { useRecordedPages } from './helpers.js';
+
+let pages;
+let scraper;
+
+before(async () => {
+  pages = await useRecordedPages();
+  process.env.SCRAPER_RETRY_BACKOFF_MS = '0';
+
+  const { recordFixture } = await import('../fixtures.js');
+  const ddgUrl = (partNumber) => `https://html.duckduckgo.com/html/?q=${encodeURIComponent(`site:partselect.com ${partNumber}`)}`;
+  const psSearchUrl = (partNumber) => `https://www.partselect.com/api/search/?searchterm=${partNumber}`;
+
+  // PS0000001: both sources down. PS0000002: both sources answer, neither knows the part.
+  await recordFixture('ps-search', psSearchUrl('PS0000001'), { finalUrl: psSearchUrl('PS0000001'), status: 503, html: '' });
+  await recordFixture('ddg', ddgUrl('PS0000001'), { finalUrl: ddgUrl('PS0000001'), status: 503, html: '' });
+  await recordFixture('ps-search', psSearchUrl('PS0000002'), {
+    finalUrl: psSearchUrl('PS0000002'),
+    status: 404,
+    html: '<html><head><title>Page Not Found</title></head><body></body></html>'
+  });
+  await recordFixture('ddg', ddgUrl('PS0000002'), { finalUrl: ddgUrl('PS0000002'), status: 200, html: '<html><body>No results.</body></html>' });
+
+  scraper = await import('../scraper.js');
+});
+
+after(async () => {
+  await pages.cleanup();
+});
+
+function clock() {
+  let time = 0;
+  return { now: () => time, advance: (ms) => { time += ms; } };
+}
+
+test('retries transient failures and records the call once', async () => {
+  const health = createSourceHealth({ backoffMs: 0 });
+  let attempts = 0;
+
+  const result = await health.call('ps-search', async () => {
+    attempts++;
+    if (attempts < 3) throw new Error('net::ERR_CONNECTION_RESET');
+    return { url: 'https://www.partselect.com/PS11752778.htm' };
+  });
+
+  assert.equal(attempts, 3);
+  assert.equal(result.url, 'https://www.partselect.com/PS11752778.htm');
+  const [status] = health.status();
+  assert.equal(status.source, 'ps-search');
+  assert.equal(status.calls, 1);
+  assert.equal(status.successRate, 1);
+});
+
+test('does not retry a blocked source', async () => {
+  const health = createSourceHealth({ backoffMs: 0 });
+  let attempts = 0;
+
+  await assert.rejects(
+    health.call('ps-search', async () => { attempts++; throw httpError(403); }),
+    (error) => error instanceof SourceError && error.kind === 'blocked'
+  );
+  assert.equal(attempts, 1);
+  assert.equal(health.status()[0].successRate, 0);
+});
+
+test('opens the circuit after repeated failures and tries again after the cooldown', async () => {
+  const time = clock();
+  const health = createSourceHealth({ retries: 0, failureThreshold: 2, cooldownMs: 1000, now: time.now });
+  let calls = 0;
+  const failing = async () => { calls++; throw new Error('Navigation timeout of 30000 ms exceeded'); };
+
+  for (let i = 0; i < 2; i++) {
+    await assert.rejects(health.call('ddg', failing), { kind: 'timeout' });
+  }
+  await assert.rejects(health.call('ddg', failing), { kind: 'circuit_open' });
+  assert.equal(calls, 2);
+  assert.equal(health.status()[0].circuit, 'open');
+
+  time.advance(1000);
+  assert.equal(health.status()[0].circuit, 'half_open');
+  assert.equal(await health.call('ddg', async () => null), null);
+  assert.equal(health.status()[0].circuit, 'closed');
+});
+
+test('lets fixture and abort errors through untouched', async () => {
+  const health = createSourceHealth({ backoffMs: 0 });
+  const aborted = new DOMException('The operation was aborted', 'AbortError');
+
+  await assert.rejects(health.call('page', async () => { throw new FixtureMissingError('page', 'x'); }), FixtureMissingError);
+  await assert.rejects(health.call('page', async () => { throw aborted; }), { name: 'AbortError' });
+  assert.equal(health.status()[0].calls, 0);
+});
+
+test('searchPart reports a degraded lookup when every source is down', async () => {
+  const result = await scraper.searchPart('PS0000001');
+
+  assert.equal(result.degraded, true);
+  assert.deepEqual(result.failures, [{ source: 'ps-search', kind: 'http' }, { source: 'ddg', kind: 'http' }]);
+  assert.match(result.error, /degraded/);
+
+  const sources = scraper.scraperStatus().sources;
+  assert.equal(sources.find(source => source.source === 'ps-search').successRate, 0);
+});
+
+test('searchPart reports a missing part only when the sources answered', async () => {
+  const result = await scraper.searchPart('PS0000002');
+
+  assert.equal(result.notFound, true);
+  assert.equal(result.degraded, undefined);
+  assert.match(result.error, /No results found/);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TOPICS, matchSymptom, topicUrl, diagnose, filterCandidatesToModel } from '../symptoms.js';
+import { useRecordedPages } from './helpers.js';
+
+const topic = id => TOPICS.find(item => item.id === id);
+
+test('matchSymptom maps synonyms, contractions and typos to a repair topic', () => {
+  assert.equal(matchSymptom('dishwasher', 'there is water sitting in the bottom').topic.id, 'dishwasher-not-draining');
+  assert.equal(matchSymptom('dishwasher', "my dishwaser won't drain").topic.id, 'dishwasher-not-draining');
+  assert.equal(matchSymptom('refrigerator', 'the icemaker stopped working').topic.id, 'refrigerator-not-making-ice');
+  assert.equal(matchSymptom('Refrigerator', 'fridge is not cold enough').topic.id, 'refrigerator-too-warm');
+  assert.equal(matchSymptom('dishwasher', 'leaking').topic.id, 'dishwasher-leaking');
+});
+
+test('matchSymptom returns no topic for symptoms it does not know', () => {
+  const match = matchSymptom('refrigerator', 'the door handle fell off');
+  assert.equal(match.topic, null);
+  assert.equal(matchSymptom('washer', 'not draining').topic, null);
+});
+
+test('topicUrl points at the canonical repair page', () => {
+  assert.equal(topicUrl(topic('dishwasher-not-filling')), 'https://www.partselect.com/Repair/Dishwasher/Will-Not-Fill-With-Water/');
+});
+
+test('diagnose asks one question at a time and ends in ranked candidates', () => {
+  const notDraining = topic('dishwasher-not-draining');
+
+  const first = diagnose(notDraining);
+  assert.equal(first.status, 'question');
+  assert.equal(first.step, 1);
+  assert.equal(first.question.id, 'filter-clear');
+
+  // Answers may name the question by ID or by its wording
+  const second = diagnose(notDraining, [{ question: first.question.text, answer: 'yes' }]);
+  assert.equal(second.status, 'question');
+  assert.equal(second.question.id, 'pump-hum');
+
+  const done = diagnose(notDraining, [
+    { question: 'filter-clear', answer: 'Yes' },
+    { question: 'pump-hum', answer: 'no' }
+  ]);
+  assert.equal(done.status, 'done');
+  assert.deepEqual(done.candidates.map(part => part.name), ['Drain Pump', 'Control Board', 'Wire Harness']);
+  assert.equal(done.candidates.reduce((sum, part) => sum + part.likelihood, 0), 100);
+  assert.deepEqual(done.answered.map(item => item.answer), ['yes', 'no']);
+});
+
+test('diagnose combines both branches when the customer is unsure', () => {
+  const done = diagnose(topic('dishwasher-not-draining'), [
+    { question: 'filter-clear', answer: 'yes' },
+    { question: 'pump-hum', answer: 'not sure' }
+  ]);
+
+  assert.equal(done.status, 'done');
+  assert.equal(done.candidates[0].name, 'Drain Pump');
+  assert.equal(done.candidates[0].likelihood, 58);
+});
+
+test('filterCandidatesToModel keeps parts the model lists and rescales likelihoods', () => {
+  const candidates = [
+    { name: 'Water Filter', likelihood: 50 },
+    { name: 'Water Inlet Valve', likelihood: 50 }
+  ];
+  const filter = { name: 'Refrigerator Water Filter', partNumber: 'PS12070506' };
+
+  const { candidates: filtered, filtered: applied } = filterCandidatesToModel(candidates, [filter, { name: 'Door Shelf Bin' }]);
+  assert.equal(applied, true);
+  assert.deepEqual(filtered, [{ name: 'Water Filter', likelihood: 100, modelParts: [filter] }]);
+
+  // Nothing recognisable on the model: keep the full list rather than an empty one
+  assert.deepEqual(filterCandidatesToModel(candidates, [{ name: 'Door Shelf Bin' }]), { candidates, filtered: false });
+});
+
+test('getTroubleshootingInfo walks a recorded repair topic and narrows candidates to the model', async (t) => {
+  const pages = await useRecordedPages();
+  t.after(pages.cleanup);
+  const { getTroubleshootingInfo } = await import('../scraper.js');
+
+  const start = await getTroubleshootingInfo('dishwasher', "won't drain");
+  assert.equal(start.topic.url, 'https://www.partselect.com/Repair/Dishwasher/Not-Draining/');
+  assert.equal(start.tips.length, 3);
+  assert.equal(start.diagnosis.status, 'question');
+
+  const done = await getTroubleshootingInfo('refrigerator', 'no water from the dispenser', {
+    answers: [{ question: 'ice-works', answer: 'no' }],
+    modelNumber: 'WRS325FDAM04'
+  });
+  assert.equal(done.diagnosis.status, 'done');
+  assert.equal(done.diagnosis.filteredToModel, true);
+  assert.equal(done.diagnosis.candidates.length, 1);
+  assert.equal(done.diagnosis.candidates[0].modelParts[0].partNumber, 'PS12070506');
+
+  const unmatched = await getTroubleshootingInfo('refrigerator', 'the door handle fell off');
+  assert.equal(unmatched.topic, undefined);
+  assert.deepEqual(unmatched.tips, []);
+});
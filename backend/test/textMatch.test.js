@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { terms, stem } from '../textMatch.js';
+
+test('terms drops stopwords and folds word endings together', () => {
+  assert.deepEqual(terms('Why does my ice maker freeze up?'), ['ice', 'maker', 'freez']);
+  assert.deepEqual(terms('freezes freezing leaks'), ['freez', 'freez', 'leak']);
+  assert.deepEqual(terms('Does it come with the gaskets? It fits.'), ['gasket', 'fit']);
+});
+
+test('terms reads contractions and other negations as "not"', () => {
+  assert.deepEqual(terms("My dishwasher won't drain"), ['dishwasher', 'not', 'drain']);
+  assert.deepEqual(terms('the icemaker stopped working'), ['icemaker', 'not', 'work']);
+});
+
+test('stem leaves short words and double-s endings alone', () => {
+  assert.equal(stem('ice'), 'ice');
+  assert.equal(stem('need'), 'need');
+  assert.equal(stem('glass'), 'glass');
+  assert.equal(stem('hoses'), stem('hose'));
+});
@@ -0,0 +1,80 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger, setLogWriter } from '../logger.js';
+import { traceIdFrom, startSpan, summarizeSpans } from '../tracing.js';
+import { runWithRequestContext } from '../requestContext.js';
+
+let previousWriter = null;
+
+// Collect log lines as parsed JSON instead of writing them out
+function captureLogs() {
+  const lines = [];
+  previousWriter = setLogWriter((line) => lines.push(JSON.parse(line)));
+  return lines;
+}
+
+afterEach(() => {
+  setLogWriter(previousWriter);
+  delete process.env.LOG_LEVEL;
+});
+
+test('writes one JSON object per line with the trace ID of the current turn', async () => {
+  const lines = captureLogs();
+  const log = createLogger('test');
+
+  log.info('Outside a turn');
+  await runWithRequestContext({ traceId: 'trace-1234' }, async () => {
+    log.warn('Inside a turn', { partNumber: 'PS11752778', error: new Error('Timed out') });
+  });
+
+  assert.equal(lines.length, 2);
+  assert.equal(lines[0].traceId, undefined);
+  assert.equal(lines[0].component, 'test');
+  assert.equal(lines[0].level, 'info');
+  assert.equal(lines[0].msg, 'Outside a turn');
+  assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+  assert.deepEqual(
+    { traceId: lines[1].traceId, partNumber: lines[1].partNumber, error: lines[1].error },
+    { traceId: 'trace-1234', partNumber: 'PS11752778', error: 'Timed out' }
+  );
+});
+
+test('drops lines below LOG_LEVEL', () => {
+  const lines = captureLogs();
+  process.env.LOG_LEVEL = 'warn';
+  const log = createLogger('test');
+
+  log.debug('Debug');
+  log.info('Info');
+  log.error('Error');
+
+  assert.deepEqual(lines.map(line => line.msg), ['Error']);
+});
+
+test('accepts well-formed trace IDs from the caller and generates the rest', () => {
+  assert.equal(traceIdFrom('abc-12345678'), 'abc-12345678');
+  for (const candidate of [undefined, '', 'short', 'has spaces in it', 'x'.repeat(65), 'inject"\n{}']) {
+    assert.match(traceIdFrom(candidate), /^[0-9a-f-]{36}$/);
+  }
+});
+
+test('records spans on the turn and logs them as they end', async () => {
+  const lines = captureLogs();
+  const spans = [];
+
+  await runWithRequestContext({ traceId: 'trace-1234', spans }, async () => {
+    startSpan('llm', { model: 'scripted' }).end({ inputTokens: 10, outputTokens: 5 });
+    startSpan('tool', { tool: 'get_part_info' }).end({ outcome: 'error', error: 'Not found' });
+    startSpan('tool', { tool: 'check_compatibility' }).end();
+  });
+
+  assert.deepEqual(spans.map(span => [span.name, span.outcome]), [['llm', 'ok'], ['tool', 'error'], ['tool', 'ok']]);
+  assert.equal(spans[0].inputTokens, 10);
+  assert.equal(lines[0].msg, 'llm span');
+  assert.equal(lines[0].traceId, 'trace-1234');
+  assert.equal(lines[1].tool, 'get_part_info');
+
+  const summary = summarizeSpans(spans);
+  assert.deepEqual(Object.keys(summary), ['llm', 'tool']);
+  assert.equal(summary.tool.count, 2);
+});
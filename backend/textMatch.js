@@ -0,0 +1,34 @@
+// Word matching shared by the review search, the knowledge base and the symptom matcher,
+// so a customer's question is split into the same words wherever it's matched. Part and
+// model numbers are compared with normalizePartNumber (see partIdentity.js).
+
+const STOPWORDS = new Set([
+  'a', 'about', 'all', 'an', 'and', 'any', 'anymore', 'are', 'as', 'at', 'be', 'but', 'by', 'can',
+  'come', 'comes', 'do', 'does', 'for', 'from', 'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it',
+  'its', 'me', 'my', 'of', 'on', 'or', 'our', 'part', 'properly', 'so', 'that', 'the', 'their',
+  'there', 'this', 'to', 'up', 'was', 'what', 'when', 'where', 'which', 'why', 'will', 'with', 'you',
+  'your'
+]);
+
+// Contractions and phrasings that all mean "not"
+const NEGATIONS = /\b(won'?t|wont|doesn'?t|isn'?t|can'?t|didn'?t|will not|does not|is not|cannot|stopped)\b/g;
+
+// Common suffixes trimmed so "freezes", "freezing" and "freeze" meet, and "fits" finds "fit".
+// Short words are left alone.
+export function stem(word) {
+  if (word.length <= 3) {
+    return word;
+  }
+  const stemmed = word.replace(/(ing|ed|(?<!s)s)$/, '').replace(/e$/, '');
+  return stemmed.length >= 3 ? stemmed : word;
+}
+
+// Lowercase, stemmed words minus stopwords, with "won't", "doesn't" and the like as "not"
+export function terms(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(NEGATIONS, ' not ')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOPWORDS.has(word))
+    .map(stem);
+}
@@ -0,0 +1,32 @@
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { issueToken } from './auth.js';
+import { authConfig } from './config.js';
+
+// Issue a signed token for a side panel build (see auth.js). Build the extension with it
+// as REACT_APP_API_TOKEN; each install uses it once to register for a token of its own.
+//
+//   npm run token -- <client id> [--days 90]
+//
+// Needs EXTENSION_TOKEN_SECRET, the same secret the server checks tokens with.
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    days: { type: 'string', default: '90' }
+  }
+});
+
+const [clientId] = positionals;
+const days = Number(values.days);
+if (!clientId || !/^[\w.-]{1,64}$/.test(clientId) || !(days > 0)) {
+  console.error('Usage: npm run token -- <client id> [--days 90]');
+  process.exit(1);
+}
+
+try {
+  console.log(issueToken(clientId, { secret: authConfig().tokenSecret, expiresInDays: days }));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
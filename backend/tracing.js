@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+import { currentRequestContext } from './requestContext.js';
+import { createLogger } from './logger.js';
+
+// Spans for the work inside a chat turn: each model call and each tool execution, with
+// how long it took, how it went and anything else worth knowing (tokens, tool name).
+// Spans are logged as they end and kept on the turn's request context, so the turn can
+// be summed up when it finishes.
+
+const log = createLogger('trace');
+
+const TRACE_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+// A caller-supplied trace ID (e.g. an X-Trace-Id header) if it looks like one, otherwise a new one
+export function traceIdFrom(candidate) {
+  return typeof candidate === 'string' && TRACE_ID_PATTERN.test(candidate) ? candidate : crypto.randomUUID();
+}
+
+// Start timing `name`; call end({ outcome, ...attributes }) once it's done
+export function startSpan(name, attributes = {}) {
+  const started = Date.now();
+  const spanId = crypto.randomBytes(8).toString('hex');
+
+  return {
+    end(result = {}) {
+      const span = {
+        name,
+        spanId,
+        durationMs: Date.now() - started,
+        outcome: 'ok',
+        ...attributes,
+        ...result
+      };
+      currentRequestContext().spans?.push(span);
+      log.info(`${name} span`, { span: name, spanId, durationMs: span.durationMs, outcome: span.outcome, ...attributes, ...result });
+      return span;
+    }
+  };
+}
+
+// Where a turn's time went: total milliseconds and count per span name, e.g.
+// { llm: { count: 2, durationMs: 3400 }, tool: { count: 1, durationMs: 900 } }
+export function summarizeSpans(spans) {
+  const summary = {};
+  for (const span of spans) {
+    const entry = summary[span.name] || (summary[span.name] = { count: 0, durationMs: 0 });
+    entry.count++;
+    entry.durationMs += span.durationMs;
+  }
+  return summary;
+}
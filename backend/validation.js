@@ -0,0 +1,63 @@
+import { requestLimitsConfig } from './config.js';
+
+// Checks on what clients send to /api/chat before any of it reaches the model. Only user
+// and assistant turns with plain-text content are accepted (no system prompts, tool calls
+// or tool results from the client), and the history must end with the customer's message.
+// Each check returns null when the input is fine, or { status, code, error }: 413 for input
+// over a size limit, 400 for anything else.
+
+const ROLES = ['user', 'assistant'];
+
+function invalid(error) {
+  return { status: 400, code: 'invalid_request', error };
+}
+
+function tooLarge(error) {
+  return { status: 413, code: 'too_large', error };
+}
+
+// A new message for a stored session
+export function checkMessage(message, limits = requestLimitsConfig()) {
+  if (typeof message !== 'string' || !message.trim()) {
+    return invalid('Message is required when continuing a session');
+  }
+  if (message.length > limits.maxMessageChars) {
+    return tooLarge(`Messages are limited to ${limits.maxMessageChars} characters`);
+  }
+  return null;
+}
+
+// A full conversation history sent by the client
+export function checkMessages(messages, limits = requestLimitsConfig()) {
+  if (!Array.isArray(messages)) {
+    return invalid('Messages array is required');
+  }
+  if (messages.length === 0) {
+    return invalid('Messages must not be empty');
+  }
+  if (messages.length > limits.maxMessages) {
+    return tooLarge(`Conversations are limited to ${limits.maxMessages} messages; start a new one`);
+  }
+
+  for (const [index, message] of messages.entries()) {
+    if (!message || typeof message !== 'object' || !ROLES.includes(message.role)) {
+      return invalid(`Message ${index} must have a role of ${ROLES.join(' or ')}`);
+    }
+    if (typeof message.content !== 'string') {
+      return invalid(`Message ${index} must have text content`);
+    }
+    if (message.content.length > limits.maxMessageChars) {
+      return tooLarge(`Messages are limited to ${limits.maxMessageChars} characters`);
+    }
+  }
+
+  if (messages.at(-1).role !== 'user') {
+    return invalid('The last message must be from the user');
+  }
+  return null;
+}
+
+// The history with only the fields the model needs; the side panel also sends blocks and usage
+export function cleanMessages(messages) {
+  return messages.map(({ role, content }) => ({ role, content }));
+}
@@ -0,0 +1,40 @@
+/* global chrome */
+// Runs on partselect.com pages and reports what the user is looking at to the side panel.
+
+function extractPageContext() {
+  const url = window.location.href;
+  const path = window.location.pathname;
+  const text = (selector) => {
+    const el = document.querySelector(selector);
+    return el ? el.textContent.trim() : null;
+  };
+
+  // Part pages look like /PS11752778-Whirlpool-WPW10321304-Refrigerator-Door-Shelf-Bin.htm
+  const partPath = path.match(/^\/(PS\d+)-[^-]+-([^-]+)-.*\.htm$/i);
+  // Model pages look like /Models/WDT780SAEM1/ (and its /Sections/, /Parts/ sub-pages)
+  const modelPath = path.match(/^\/Models\/([^/]+)/i);
+
+  const psNumber = text('[itemprop="productID"]') || (partPath && partPath[1]);
+  const manufacturerNumber = text('[itemprop="mpn"]') || (partPath && partPath[2]);
+  const modelNumber = modelPath ? decodeURIComponent(modelPath[1]) : null;
+
+  return {
+    url,
+    title: text('h1') || document.title,
+    pageType: modelNumber ? 'model' : psNumber ? 'part' : 'other',
+    psNumber: psNumber ? psNumber.toUpperCase() : null,
+    manufacturerNumber: manufacturerNumber ? manufacturerNumber.toUpperCase() : null,
+    modelNumber: modelNumber ? modelNumber.toUpperCase() : null
+  };
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message && message.type === 'GET_PAGE_CONTEXT') {
+    sendResponse(extractPageContext());
+  }
+});
+
+// Let an open side panel know as soon as a new page loads
+chrome.runtime.sendMessage({ type: 'PAGE_CONTEXT', context: extractPageContext() }).catch(() => {
+  // No side panel listening
+});
@@ -1,16 +1,73 @@
-import React, { useState } from "react";
+import React, { useState, useCallback } from "react";
 import "./App.css";
 import ChatWindow from "./components/ChatWindow";
+import ConversationList from "./components/ConversationList";
+import AppliancePanel from "./components/AppliancePanel";
+import useApplianceProfile from "./hooks/useApplianceProfile";
+
+// The open conversation survives closing the popup
+const SESSION_STORAGE_KEY = "partselect.sessionId";
 
 function App() {
+  const [sessionId, setSessionId] = useState(() => localStorage.getItem(SESSION_STORAGE_KEY));
+  const [showConversations, setShowConversations] = useState(false);
+  const [showAppliances, setShowAppliances] = useState(false);
+  const { profile, saveAppliance, removeAppliance, setActiveAppliance, applianceSaved } = useApplianceProfile();
+  const active = profile.appliances.find(appliance => appliance.id === profile.activeId);
+
+  const changeSession = useCallback((id) => {
+    if (id) {
+      localStorage.setItem(SESSION_STORAGE_KEY, id);
+    } else {
+      localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+    setSessionId(id);
+  }, []);
+
+  const selectSession = (id) => {
+    changeSession(id);
+    setShowConversations(false);
+  };
 
   return (
     <div className="App">
       <div className="heading">
+        <button
+          className="heading__conversations"
+          aria-label="Conversations"
+          aria-expanded={showConversations}
+          onClick={() => setShowConversations(!showConversations)}
+        >
+          ☰
+        </button>
         <img src="/logo.png" alt="PartSelect" className="logo" />
         Instalily Case Study
+        <button
+          className="heading__appliances"
+          aria-label="My appliances"
+          aria-expanded={showAppliances}
+          onClick={() => setShowAppliances(!showAppliances)}
+        >
+          {active ? active.nickname || active.modelNumber : "My appliances"}
+        </button>
       </div>
-      <ChatWindow />
+      {showConversations && (
+        <ConversationList activeSessionId={sessionId} onSelect={selectSession} />
+      )}
+      {showAppliances && (
+        <AppliancePanel
+          profile={profile}
+          onSave={saveAppliance}
+          onRemove={removeAppliance}
+          onSelect={setActiveAppliance}
+        />
+      )}
+      <ChatWindow
+        sessionId={sessionId}
+        onSessionChange={changeSession}
+        profile={profile}
+        onApplianceSaved={applianceSaved}
+      />
     </div>
   );
 }
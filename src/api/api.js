@@ -1,25 +1,245 @@
+import { readStored, writeStored } from './storage';
+
 const API_URL = 'http://localhost:3001';
 
-export const getAIMessage = async (messages) => {
+// Signed token for this build of the side panel (issued with `npm run token` in backend/),
+// used to register each install (see getInstall)
+const API_TOKEN = process.env.REACT_APP_API_TOKEN;
+
+const ERROR_MESSAGE = {
+  role: 'assistant',
+  content: 'Sorry, I encountered an error. Please try again.',
+  error: { status: null, code: 'failed' },
+};
+
+const INSTALL_KEY = 'partselect.install';
+
+// Trade the build's token for one of this install's own. A refusal carries the server's
+// response, so it's explained like any other (see failureMessage).
+const registerInstall = async () => {
+  const response = await fetch(`${API_URL}/api/installs`, {
+    method: 'POST',
+    headers: API_TOKEN ? { 'Authorization': `Bearer ${API_TOKEN}` } : {},
+  });
+  if (!response.ok) {
+    throw Object.assign(new Error(`Install registration failed with ${response.status}`), { response });
+  }
+  const install = await response.json();
+  await writeStored(INSTALL_KEY, install);
+  return install;
+};
+
+let installRequest = null;
+
+// This install of the side panel: { installId, token }, registered with the server on first
+// run and kept in extension storage. The install's own token (or its ID, when the server runs
+// without auth) keeps its conversations, appliances and rate limits apart from other installs'.
+export const getInstall = () => {
+  installRequest ??= readStored(INSTALL_KEY)
+    .then(stored => stored || registerInstall())
+    .catch((error) => {
+      installRequest = null;
+      throw error;
+    });
+  return installRequest;
+};
+
+const authHeaders = async () => {
+  const { installId, token } = await getInstall();
+  const credential = token || API_TOKEN;
+  return { 'X-Install-Id': installId, ...(credential && { 'Authorization': `Bearer ${credential}` }) };
+};
+
+const seconds = (count) => (count === 1 ? '1 second' : `${count} seconds`);
+
+// What to tell the customer when the server turns a chat request away. Replies like these
+// carry `error` so they're shown but not sent back as conversation history.
+const failureMessage = async (response) => {
+  const body = await response.json().catch(() => ({}));
+  const retryAfterSeconds = Number(response.headers.get('Retry-After')) || body.retryAfterSeconds || null;
+  const error = { status: response.status, code: body.code || null, retryAfterSeconds };
+
+  let content;
+  if (response.status === 401) {
+    content = "I can't connect to the PartSelect assistant because this side panel isn't authorized. Please update or reinstall the extension.";
+  } else if (response.status === 413) {
+    content = 'That message is too long for me. Please shorten it, or start a new conversation if this one has gotten long.';
+  } else if (response.status === 429 && body.code === 'quota_exceeded') {
+    content = "You've reached today's limit for the assistant. Please try again tomorrow.";
+  } else if (response.status === 429) {
+    content = retryAfterSeconds
+      ? `You're sending messages faster than I can answer. Please wait ${seconds(retryAfterSeconds)} and try again.`
+      : "You're sending messages faster than I can answer. Please wait a moment and try again.";
+  } else {
+    return { ...ERROR_MESSAGE, error: { ...ERROR_MESSAGE.error, status: response.status } };
+  }
+  return { role: 'assistant', content, error };
+};
+
+// `context` holds extra request fields sent alongside the messages, e.g. { pageContext }.
+// Requests the server turns away (401, 413, 429) resolve to an assistant message explaining why.
+export const getAIMessage = async (messages, context = {}) => {
   try {
     const response = await fetch(`${API_URL}/api/chat`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...(await authHeaders()),
       },
-      body: JSON.stringify({ messages }),
+      body: JSON.stringify({ messages, ...context }),
     });
 
     if (!response.ok) {
-      throw new Error('Failed to get response');
+      return await failureMessage(response);
     }
 
     return await response.json();
   } catch (error) {
+    if (error.response) {
+      return await failureMessage(error.response);
+    }
     console.error('API Error:', error);
-    return {
-      role: 'assistant',
-      content: 'Sorry, I encountered an error. Please try again.',
-    };
+    return ERROR_MESSAGE;
   }
 };
+
+// Split a buffered SSE payload into complete { event, data } frames
+const parseEvents = (buffer) => {
+  const frames = buffer.split('\n\n');
+  const rest = frames.pop();
+  const events = frames.map((frame) => {
+    let event = 'message';
+    let data = '';
+    frame.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      if (line.startsWith('data:')) data += line.slice(5).trim();
+    });
+    return { event, data: data ? JSON.parse(data) : null };
+  });
+  return { events, rest };
+};
+
+// POST a chat request and read the SSE stream, calling handlers as events arrive.
+// Falls back to the plain JSON response when the server or browser can't stream.
+const streamChat = async (body, { onText, onStep, onBlock } = {}) => {
+  try {
+    const response = await fetch(`${API_URL}/api/chat`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        ...(await authHeaders()),
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      return await failureMessage(response);
+    }
+
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!contentType.includes('text/event-stream') || !response.body?.getReader) {
+      return await response.json();
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const { events, rest } = parseEvents(buffer);
+      buffer = rest;
+
+      for (const { event, data } of events) {
+        if (event === 'text') onText?.(data.delta);
+        if (event === 'step') onStep?.(data);
+        if (event === 'block') onBlock?.(data.block);
+        if (event === 'done') return data;
+        if (event === 'error') throw new Error(data.details || data.error);
+      }
+    }
+
+    throw new Error('Stream ended before the response completed');
+  } catch (error) {
+    if (error.response) {
+      return await failureMessage(error.response);
+    }
+    console.error('API Error:', error);
+    return ERROR_MESSAGE;
+  }
+};
+
+// Streaming variant of getAIMessage. Handlers receive text deltas, tool steps and typed
+// blocks ({ type, version, data }) as they arrive; resolves with the final assistant message.
+export const streamAIMessage = (messages, handlers = {}, context = {}) =>
+  streamChat({ messages, ...context }, handlers);
+
+// Continue a stored conversation: only the new message is sent, the server supplies the history
+// and saves both sides of the turn.
+export const streamSessionMessage = (sessionId, message, handlers = {}, context = {}) =>
+  streamChat({ sessionId, message, ...context }, handlers);
+
+// Conversation sessions. These resolve to null (or an empty list) when the server can't be reached,
+// so the chat keeps working without saved history.
+const sessionRequest = async (path, options = {}) => {
+  try {
+    const response = await fetch(`${API_URL}/api/sessions${path}`, {
+      ...options,
+      headers: { ...options.headers, ...(await authHeaders()) },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Session request failed with ${response.status}`);
+    }
+
+    return response.status === 204 ? true : await response.json();
+  } catch (error) {
+    console.error('API Error:', error);
+    return null;
+  }
+};
+
+export const createSession = () => sessionRequest('', { method: 'POST' });
+
+export const getSession = (sessionId) => sessionRequest(`/${sessionId}`);
+
+export const deleteSession = (sessionId) => sessionRequest(`/${sessionId}`, { method: 'DELETE' });
+
+export const listSessions = async () => {
+  const result = await sessionRequest('');
+  return result ? result.sessions : [];
+};
+
+// Saved appliance profiles ({ appliances, activeId }), stored under this install's ID.
+// These resolve to null when the server can't be reached; the side panel keeps its own copy.
+const profileRequest = async (userId, options = {}) => {
+  try {
+    const response = await fetch(`${API_URL}/api/profiles/${userId}`, {
+      ...options,
+      headers: { ...options.headers, ...(await authHeaders()) },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Profile request failed with ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('API Error:', error);
+    return null;
+  }
+};
+
+export const getProfile = (userId) => profileRequest(userId);
+
+export const saveProfile = (userId, profile) => profileRequest(userId, {
+  method: 'PUT',
+  headers: {
+    'Content-Type': 'application/json',
+  },
+  body: JSON.stringify(profile),
+});
@@ -0,0 +1,106 @@
+import { getAIMessage, streamAIMessage } from "./api";
+
+// A fetch() response the server turned away with `status`
+function rejection(status, body, headers = {}) {
+  return {
+    ok: false,
+    status,
+    headers: { get: (name) => headers[name] ?? null },
+    json: async () => body
+  };
+}
+
+const messages = [{ role: "user", content: "PS11752778?" }];
+
+const INSTALL = { installId: "5c1d9e2f-7a3b-4c8d-9e0f-1a2b3c4d5e6f", token: "install-token" };
+
+// A copy of the module that hasn't looked up its install yet
+function freshApi() {
+  let api;
+  jest.isolateModules(() => {
+    api = require("./api");
+  });
+  return api;
+}
+
+function reply(body) {
+  return { ok: true, status: 200, headers: { get: () => "application/json" }, json: async () => body };
+}
+
+beforeEach(() => {
+  localStorage.setItem("partselect.install", JSON.stringify(INSTALL));
+  global.fetch = jest.fn();
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  localStorage.clear();
+  delete global.fetch;
+  jest.restoreAllMocks();
+});
+
+test("explains a rate limit with how long to wait", async () => {
+  global.fetch.mockResolvedValue(rejection(429, { error: "Chat requests are limited to 20 a minute", code: "rate_limited", retryAfterSeconds: 42 }, { "Retry-After": "42" }));
+
+  const reply = await getAIMessage(messages);
+
+  expect(reply.role).toBe("assistant");
+  expect(reply.content).toMatch(/Please wait 42 seconds and try again/);
+  expect(reply.error).toEqual({ status: 429, code: "rate_limited", retryAfterSeconds: 42 });
+});
+
+test("explains a used-up daily quota", async () => {
+  global.fetch.mockResolvedValue(rejection(429, { code: "quota_exceeded", retryAfterSeconds: 3600 }));
+
+  const reply = await streamAIMessage(messages);
+
+  expect(reply.content).toMatch(/today's limit/);
+  expect(reply.error.code).toBe("quota_exceeded");
+});
+
+test("explains missing authorization and oversized messages", async () => {
+  global.fetch.mockResolvedValueOnce(rejection(401, { code: "unauthorized" }));
+  global.fetch.mockResolvedValueOnce(rejection(413, { code: "too_large" }));
+
+  expect((await streamAIMessage(messages)).content).toMatch(/isn't authorized/);
+  expect((await streamAIMessage(messages)).content).toMatch(/too long/);
+});
+
+test("falls back to the generic error for other failures", async () => {
+  global.fetch.mockResolvedValueOnce(rejection(500, { error: "Failed to get response" }));
+  global.fetch.mockRejectedValueOnce(new TypeError("Failed to fetch"));
+
+  expect(await getAIMessage(messages)).toEqual({
+    role: "assistant",
+    content: "Sorry, I encountered an error. Please try again.",
+    error: { status: 500, code: "failed" }
+  });
+  expect((await getAIMessage(messages)).error).toEqual({ status: null, code: "failed" });
+});
+
+test("registers this install once and sends its own token from then on", async () => {
+  localStorage.clear();
+  const api = freshApi();
+  global.fetch.mockResolvedValueOnce({ ok: true, status: 201, json: async () => INSTALL });
+  global.fetch.mockResolvedValue(reply({ role: "assistant", content: "Hi!" }));
+
+  expect((await api.getAIMessage(messages)).content).toBe("Hi!");
+  await api.getAIMessage(messages);
+
+  const routes = global.fetch.mock.calls.map(([url]) => new URL(url).pathname);
+  expect(routes).toEqual(["/api/installs", "/api/chat", "/api/chat"]);
+  expect(global.fetch.mock.calls[1][1].headers).toMatchObject({
+    "Authorization": "Bearer install-token",
+    "X-Install-Id": INSTALL.installId
+  });
+  expect(JSON.parse(localStorage.getItem("partselect.install"))).toEqual(INSTALL);
+});
+
+test("explains a refused install registration", async () => {
+  localStorage.clear();
+  const api = freshApi();
+  global.fetch.mockResolvedValueOnce(rejection(401, { code: "unauthorized" }));
+
+  expect((await api.streamAIMessage(messages)).content).toMatch(/isn't authorized/);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
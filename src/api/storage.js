@@ -0,0 +1,22 @@
+// chrome.storage.local in the side panel, localStorage when running as a plain web page
+function extensionStorage() {
+  return window.chrome?.storage?.local || null;
+}
+
+export async function readStored(key) {
+  const storage = extensionStorage();
+  if (storage) {
+    return (await storage.get(key))[key] ?? null;
+  }
+  const value = localStorage.getItem(key);
+  return value === null ? null : JSON.parse(value);
+}
+
+export async function writeStored(key, value) {
+  const storage = extensionStorage();
+  if (storage) {
+    await storage.set({ [key]: value });
+  } else {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+}
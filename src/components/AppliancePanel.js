@@ -0,0 +1,132 @@
+import React, { useState } from "react";
+import "./AppliancePanel.css";
+
+const EMPTY_FORM = { nickname: "", applianceType: "", brand: "", modelNumber: "" };
+
+function applianceName(appliance) {
+  return appliance.nickname || appliance.modelNumber;
+}
+
+function applianceDetails(appliance) {
+  return [appliance.brand, appliance.applianceType, appliance.modelNumber].filter(Boolean).join(" · ");
+}
+
+function ApplianceForm({ appliance, onSave, onCancel }) {
+  const [form, setForm] = useState(() => appliance ? { ...EMPTY_FORM, ...appliance } : EMPTY_FORM);
+
+  const field = (name) => ({
+    value: form[name] || "",
+    onChange: (e) => setForm(prev => ({ ...prev, [name]: e.target.value }))
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const modelNumber = form.modelNumber.trim().toUpperCase();
+    if (!modelNumber) return;
+    onSave({
+      ...form,
+      modelNumber,
+      nickname: form.nickname.trim() || null,
+      brand: form.brand.trim() || null,
+      applianceType: form.applianceType || null
+    });
+  };
+
+  return (
+    <form className="appliance-form" onSubmit={handleSubmit}>
+      <label className="appliance-form__field">
+        Nickname
+        <input {...field("nickname")} placeholder="Kitchen fridge" />
+      </label>
+      <label className="appliance-form__field">
+        Appliance
+        <select {...field("applianceType")}>
+          <option value="">Not sure</option>
+          <option value="refrigerator">Refrigerator</option>
+          <option value="dishwasher">Dishwasher</option>
+        </select>
+      </label>
+      <label className="appliance-form__field">
+        Brand
+        <input {...field("brand")} placeholder="Whirlpool" />
+      </label>
+      <label className="appliance-form__field">
+        Model number
+        <input {...field("modelNumber")} placeholder="WDT780SAEM1" required />
+      </label>
+      <div className="appliance-form__actions">
+        <button type="submit" className="appliance-form__save">Save</button>
+        <button type="button" className="appliance-form__cancel" onClick={onCancel}>Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+// The customer's saved appliances. The active one is sent with every question so the
+// agent knows which model "my fridge" means.
+function AppliancePanel({ profile, onSave, onRemove, onSelect }) {
+  // null, "new", or the ID of the appliance being edited
+  const [editing, setEditing] = useState(null);
+
+  const save = (appliance) => {
+    onSave(appliance);
+    setEditing(null);
+  };
+
+  return (
+    <div className="appliance-panel">
+      <div className="appliance-panel__title">My appliances</div>
+      {profile.appliances.length === 0 && editing !== "new" && (
+        <div className="appliance-panel__empty">
+          Save your appliance's model number so you don't have to repeat it.
+        </div>
+      )}
+      {profile.appliances.length > 0 && (
+        <ul className="appliance-panel__items">
+          {profile.appliances.map(appliance => editing === appliance.id ? (
+            <li key={appliance.id}>
+              <ApplianceForm appliance={appliance} onSave={save} onCancel={() => setEditing(null)} />
+            </li>
+          ) : (
+            <li
+              key={appliance.id}
+              className={`appliance-panel__item${appliance.id === profile.activeId ? " appliance-panel__item--active" : ""}`}
+            >
+              <button
+                className="appliance-panel__select"
+                aria-pressed={appliance.id === profile.activeId}
+                onClick={() => onSelect(appliance.id === profile.activeId ? null : appliance.id)}
+              >
+                <span className="appliance-panel__name">{applianceName(appliance)}</span>
+                <span className="appliance-panel__details">{applianceDetails(appliance)}</span>
+              </button>
+              <button
+                className="appliance-panel__action"
+                aria-label={`Edit ${applianceName(appliance)}`}
+                onClick={() => setEditing(appliance.id)}
+              >
+                ✎
+              </button>
+              <button
+                className="appliance-panel__action appliance-panel__action--remove"
+                aria-label={`Remove ${applianceName(appliance)}`}
+                onClick={() => onRemove(appliance.id)}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {editing === "new" ? (
+        <ApplianceForm onSave={save} onCancel={() => setEditing(null)} />
+      ) : (
+        <button className="appliance-panel__add" onClick={() => setEditing("new")}>
+          + Add appliance
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default AppliancePanel;
@@ -0,0 +1,62 @@
+import { render, screen, fireEvent } from "@testing-library/react";
+import AppliancePanel from "./AppliancePanel";
+
+const profile = {
+  appliances: [
+    { id: "fridge", applianceType: "refrigerator", brand: "Whirlpool", modelNumber: "WRS325FDAM04", nickname: "Kitchen fridge" },
+    { id: "dishwasher", applianceType: "dishwasher", brand: null, modelNumber: "WDT780SAEM1", nickname: null }
+  ],
+  activeId: "fridge"
+};
+
+function renderPanel(props = {}) {
+  const handlers = { onSave: jest.fn(), onRemove: jest.fn(), onSelect: jest.fn() };
+  render(<AppliancePanel profile={profile} {...handlers} {...props} />);
+  return handlers;
+}
+
+test("lists saved appliances and switches the active one", () => {
+  const { onSelect, onRemove } = renderPanel();
+
+  expect(screen.getByText("Whirlpool · refrigerator · WRS325FDAM04")).toBeInTheDocument();
+  expect(screen.getByRole("button", { name: /^Kitchen fridge/ })).toHaveAttribute("aria-pressed", "true");
+
+  fireEvent.click(screen.getByRole("button", { name: /^WDT780SAEM1/ }));
+  expect(onSelect).toHaveBeenCalledWith("dishwasher");
+
+  fireEvent.click(screen.getByRole("button", { name: /^Kitchen fridge/ }));
+  expect(onSelect).toHaveBeenLastCalledWith(null);
+
+  fireEvent.click(screen.getByRole("button", { name: "Remove WDT780SAEM1" }));
+  expect(onRemove).toHaveBeenCalledWith("dishwasher");
+});
+
+test("adds an appliance from the form", () => {
+  const { onSave } = renderPanel({ profile: { appliances: [], activeId: null } });
+
+  expect(screen.getByText(/Save your appliance's model number/)).toBeInTheDocument();
+  fireEvent.click(screen.getByRole("button", { name: "+ Add appliance" }));
+
+  fireEvent.change(screen.getByLabelText("Nickname"), { target: { value: "Kitchen dishwasher" } });
+  fireEvent.change(screen.getByLabelText("Appliance"), { target: { value: "dishwasher" } });
+  fireEvent.change(screen.getByLabelText("Model number"), { target: { value: " wdt780saem1 " } });
+  fireEvent.click(screen.getByRole("button", { name: "Save" }));
+
+  expect(onSave).toHaveBeenCalledWith({
+    nickname: "Kitchen dishwasher",
+    applianceType: "dishwasher",
+    brand: null,
+    modelNumber: "WDT780SAEM1"
+  });
+  expect(screen.queryByLabelText("Model number")).not.toBeInTheDocument();
+});
+
+test("edits a saved appliance in place", () => {
+  const { onSave } = renderPanel();
+
+  fireEvent.click(screen.getByRole("button", { name: "Edit Kitchen fridge" }));
+  fireEvent.change(screen.getByLabelText("Nickname"), { target: { value: "Garage fridge" } });
+  fireEvent.click(screen.getByRole("button", { name: "Save" }));
+
+  expect(onSave).toHaveBeenCalledWith({ ...profile.appliances[0], nickname: "Garage fridge" });
+});
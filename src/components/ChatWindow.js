@@ -1,24 +1,48 @@
 import React, { useState, useEffect, useRef } from "react";
 import "./ChatWindow.css";
-import { getAIMessage } from "../api/api";
-import { marked } from "marked";
-import PartCard from "./PartCard";
+import { streamAIMessage, streamSessionMessage, createSession, getSession } from "../api/api";
+import Markdown from "./Markdown";
+import ResponseBlocks, { messageBlocks } from "./ResponseBlocks";
+import usePageContext from "../hooks/usePageContext";
 
 const API_URL = 'http://localhost:3001';
 
-function ChatWindow() {
+const defaultMessage = [{
+  role: "assistant",
+  content: "Hi, how can I help you today?"
+}];
 
-  const defaultMessage = [{
-    role: "assistant",
-    content: "Hi, how can I help you today?"
-  }];
+const EMPTY_DRAFT = { content: "", blocks: [] };
+
+// Model numbers a reply's blocks are about, so the text can turn them into chips
+function blockModelNumbers(blocks) {
+  return blocks.map(block => block.data?.modelNumber).filter(Boolean);
+}
+
+// `sessionId` is the stored conversation being shown (null for a new one); a session is
+// created on the first send and reported back through onSessionChange. `profile` holds the
+// customer's saved appliances, sent with each message (the server knows which install they
+// belong to); onApplianceSaved is called when the agent saves one.
+function ChatWindow({ sessionId = null, onSessionChange, profile = null, onApplianceSaved }) {
 
   const [messages,setMessages] = useState(defaultMessage)
   const [input, setInput] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const [showInactivityMessage, setShowInactivityMessage] = useState(false);
+  // Reply being streamed in, and the tool step the agent is currently running
+  const [draft, setDraft] = useState(null);
+  const [currentStep, setCurrentStep] = useState(null);
+
+  // The partselect.com page the user is viewing, unless they dismissed it
+  const pageContext = usePageContext();
+  const [dismissedContextUrl, setDismissedContextUrl] = useState(null);
+  const activeContext = pageContext && pageContext.pageType !== "other" && pageContext.url !== dismissedContextUrl
+    ? pageContext
+    : null;
 
   const messagesEndRef = useRef(null);
+  // Session created by this window while sending; its messages are already on screen
+  const createdSessionRef = useRef(null);
 
   const scrollToBottom = () => {
       messagesEndRef.current.scrollIntoView({ behavior: "smooth" });
@@ -26,7 +50,34 @@ function ChatWindow() {
 
   useEffect(() => {
       scrollToBottom();
-  }, [messages, isLoading, showInactivityMessage]);
+  }, [messages, isLoading, showInactivityMessage, draft, currentStep]);
+
+  // Load the transcript when switching to a stored conversation
+  useEffect(() => {
+    if (!sessionId) {
+      setMessages(defaultMessage);
+      return;
+    }
+    if (sessionId === createdSessionRef.current) {
+      createdSessionRef.current = null;
+      return;
+    }
+
+    let cancelled = false;
+    getSession(sessionId).then(session => {
+      if (cancelled) return;
+      if (!session) {
+        // Deleted elsewhere or the server lost it: start over
+        onSessionChange?.(null);
+        return;
+      }
+      setMessages([...defaultMessage, ...session.messages]);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId, onSessionChange]);
 
   // Listen for browser inactivity events via SSE
   useEffect(() => {
@@ -62,39 +113,94 @@ function ChatWindow() {
       setInput("");
       setIsLoading(true);
 
-      // Call API with message history (skip the initial greeting)
-      const historyForAPI = updatedMessages.slice(1);
-      const newMessage = await getAIMessage(historyForAPI);
+      // Start a stored session on the first message; without one, fall back to sending the history
+      let activeSessionId = sessionId;
+      if (!activeSessionId) {
+        const session = await createSession();
+        if (session) {
+          activeSessionId = session.id;
+          createdSessionRef.current = session.id;
+          onSessionChange?.(session.id);
+        }
+      }
+
+      const handlers = {
+        onText: (delta) => {
+          setCurrentStep(null);
+          setDraft(prev => {
+            const current = prev || EMPTY_DRAFT;
+            return { ...current, content: current.content + delta };
+          });
+        },
+        onStep: (step) => {
+          if (step.status === "start") {
+            // Any preamble text is superseded by the answer written after the tools run
+            setCurrentStep(step.label);
+            setDraft(prev => prev && { ...prev, content: "" });
+          }
+        },
+        onBlock: (block) => {
+          if (block.type === "appliance") {
+            onApplianceSaved?.(block.data);
+          }
+          setDraft(prev => {
+            const current = prev || EMPTY_DRAFT;
+            return { ...current, blocks: [...current.blocks, block] };
+          });
+        }
+      };
+      const context = { pageContext: activeContext, profile };
+      // A session only needs the new message; otherwise send the history (skipping the initial
+      // greeting and any error replies, which the model never wrote)
+      const newMessage = activeSessionId
+        ? await streamSessionMessage(activeSessionId, input, handlers, context)
+        : await streamAIMessage(updatedMessages.slice(1).filter(message => !message.error), handlers, context);
       setMessages(prevMessages => [...prevMessages, newMessage]);
+      setDraft(null);
+      setCurrentStep(null);
       setIsLoading(false);
     }
   };
 
+  // Clicking a part or model chip in a reply asks the agent about it
+  const handleEntitySelect = (entity) => {
+    handleSend(entity.kind === "part" ? `Tell me about part ${entity.number}` : `Look up model ${entity.number}`);
+  };
+
   return (
       <div className="messages-container">
           {messages.map((message, index) => (
               <div key={index} className={`${message.role}-message-container`}>
                   {message.content && (
-                      <div className={`message ${message.role}-message`}>
-                          <div dangerouslySetInnerHTML={{__html: marked(message.content).replace(/<p>|<\/p>/g, "")}}></div>
-                          {message.parts && message.parts.length > 0 && (
-                              <div className="part-cards">
-                                  {message.parts.map((part, partIndex) => (
-                                      <PartCard key={partIndex} part={part} />
-                                  ))}
-                              </div>
-                          )}
+                      <div className={`message ${message.role}-message${message.error ? " message--error" : ""}`}>
+                          <Markdown
+                              content={message.content}
+                              knownModels={blockModelNumbers(messageBlocks(message))}
+                              onEntitySelect={message.role === "assistant" ? handleEntitySelect : undefined}
+                          />
+                          <ResponseBlocks blocks={messageBlocks(message)} />
                       </div>
                   )}
               </div>
           ))}
-          {isLoading && (
+          {isLoading && draft && (draft.content || draft.blocks.length > 0) && (
+              <div className="assistant-message-container">
+                  <div className="message assistant-message">
+                      {draft.content && (
+                          <Markdown content={draft.content} knownModels={blockModelNumbers(draft.blocks)} />
+                      )}
+                      <ResponseBlocks blocks={draft.blocks} />
+                  </div>
+              </div>
+          )}
+          {isLoading && !draft?.content && (
               <div className="assistant-message-container">
                   <div className="message assistant-message typing-indicator">
                       <span></span>
                       <span></span>
                       <span></span>
                   </div>
+                  {currentStep && <div className="tool-step">{currentStep}</div>}
               </div>
           )}
           {showInactivityMessage && (
@@ -104,6 +210,18 @@ function ChatWindow() {
           )}
           <div ref={messagesEndRef} />
           <div className="input-area">
+            {activeContext && (
+              <div className="context-chip">
+                <span>Viewing: {activeContext.psNumber || activeContext.modelNumber}</span>
+                <button
+                  className="context-chip__dismiss"
+                  aria-label="Dismiss page context"
+                  onClick={() => setDismissedContextUrl(activeContext.url)}
+                >
+                  ×
+                </button>
+              </div>
+            )}
             <input
               value={input}
               onChange={(e) => setInput(e.target.value)}
@@ -0,0 +1,242 @@
+import { render, screen, act, fireEvent, waitFor } from "@testing-library/react";
+import ChatWindow from "./ChatWindow";
+import { streamAIMessage, streamSessionMessage, createSession, getSession } from "../api/api";
+import usePageContext from "../hooks/usePageContext";
+
+jest.mock("../api/api", () => ({
+  streamAIMessage: jest.fn(),
+  streamSessionMessage: jest.fn(),
+  createSession: jest.fn(),
+  getSession: jest.fn()
+}));
+
+jest.mock("../hooks/usePageContext", () => jest.fn());
+
+const part = {
+  partNumber: "PS11752778",
+  title: "Refrigerator Door Shelf Bin",
+  price: "$44.95",
+  inStock: true
+};
+
+const partBlock = { type: "part", version: 1, data: part };
+
+// Resolve streamAIMessage by hand so intermediate states can be asserted
+function deferredReply(stream = streamAIMessage) {
+  let handlers;
+  let resolve;
+  stream.mockImplementation((...args) => {
+    handlers = args.find(arg => arg && typeof arg.onText === "function");
+    return new Promise(done => { resolve = done; });
+  });
+  return {
+    handlers: () => handlers,
+    resolve: (message) => act(async () => resolve(message))
+  };
+}
+
+function typeAndSend(text) {
+  fireEvent.change(screen.getByPlaceholderText("Type a message..."), { target: { value: text } });
+  fireEvent.click(screen.getByRole("button", { name: "Send" }));
+}
+
+// The reply only starts streaming once the session has been created
+async function sendMessage(text) {
+  typeAndSend(text);
+  await waitFor(() => expect([...streamAIMessage.mock.calls, ...streamSessionMessage.mock.calls]).not.toHaveLength(0));
+}
+
+beforeEach(() => {
+  usePageContext.mockReturnValue(null);
+});
+
+afterEach(() => {
+  jest.resetAllMocks();
+});
+
+test("shows the greeting and sends the history without it", async () => {
+  const reply = deferredReply();
+  render(<ChatWindow />);
+
+  expect(screen.getByText("Hi, how can I help you today?")).toBeInTheDocument();
+
+  await sendMessage("Tell me about PS11752778");
+
+  expect(screen.getByText("Tell me about PS11752778")).toBeInTheDocument();
+  expect(streamAIMessage).toHaveBeenCalledWith(
+    [{ role: "user", content: "Tell me about PS11752778" }],
+    expect.any(Object),
+    { pageContext: null, profile: null }
+  );
+  expect(screen.getByRole("button", { name: "Sending..." })).toBeDisabled();
+
+  await reply.resolve({ role: "assistant", content: "It's a door bin.", blocks: [partBlock] });
+
+  expect(screen.getByText("It's a door bin.")).toBeInTheDocument();
+  expect(screen.getByText("Refrigerator Door Shelf Bin")).toBeInTheDocument();
+  expect(screen.getByRole("button", { name: "Send" })).toBeEnabled();
+});
+
+test("shows replies the server turned away but leaves them out of the history", async () => {
+  const reply = deferredReply();
+  render(<ChatWindow />);
+
+  await sendMessage("PS11752778?");
+  await reply.resolve({
+    role: "assistant",
+    content: "You're sending messages faster than I can answer. Please wait 30 seconds and try again.",
+    error: { status: 429, code: "rate_limited", retryAfterSeconds: 30 }
+  });
+
+  expect(screen.getByText(/Please wait 30 seconds/)).toBeInTheDocument();
+
+  deferredReply();
+  typeAndSend("PS11752778?");
+  await waitFor(() => expect(streamAIMessage).toHaveBeenCalledTimes(2));
+  expect(streamAIMessage.mock.calls[1][0]).toEqual([
+    { role: "user", content: "PS11752778?" },
+    { role: "user", content: "PS11752778?" }
+  ]);
+});
+
+test("shows the current tool step, streamed text and blocks while the reply is in progress", async () => {
+  const reply = deferredReply();
+  render(<ChatWindow />);
+
+  await sendMessage("PS11752778?");
+
+  act(() => reply.handlers().onStep({ tool: "get_part_info", status: "start", label: "Looking up PS11752778…" }));
+  expect(screen.getByText("Looking up PS11752778…")).toBeInTheDocument();
+
+  act(() => reply.handlers().onBlock(partBlock));
+  expect(screen.getByText("Refrigerator Door Shelf Bin")).toBeInTheDocument();
+
+  act(() => {
+    reply.handlers().onText("It's in ");
+    reply.handlers().onText("stock.");
+  });
+  expect(screen.getByText("It's in stock.")).toBeInTheDocument();
+  expect(screen.queryByText("Looking up PS11752778…")).not.toBeInTheDocument();
+
+  await reply.resolve({ role: "assistant", content: "It's in stock.", blocks: [partBlock] });
+
+  expect(screen.getAllByText("It's in stock.")).toHaveLength(1);
+  expect(screen.getAllByText("Refrigerator Door Shelf Bin")).toHaveLength(1);
+});
+
+test("ignores empty messages", () => {
+  render(<ChatWindow />);
+
+  typeAndSend("   ");
+
+  expect(streamAIMessage).not.toHaveBeenCalled();
+});
+
+test("shows the inactivity notice when the browser closes", () => {
+  render(<ChatWindow />);
+  const [eventSource] = global.EventSource.instances;
+
+  act(() => eventSource.onmessage({ data: JSON.stringify({ reason: "inactivity" }) }));
+
+  expect(screen.getByText(/The agent has left the chat due to inactivity/)).toBeInTheDocument();
+});
+
+test("shows the page being viewed and sends it with the message until dismissed", async () => {
+  const pageContext = {
+    url: "https://www.partselect.com/PS11752778-Whirlpool-WPW10321304-Refrigerator-Door-Shelf-Bin.htm",
+    pageType: "part",
+    psNumber: "PS11752778"
+  };
+  usePageContext.mockReturnValue(pageContext);
+  deferredReply();
+  render(<ChatWindow />);
+
+  expect(screen.getByText("Viewing: PS11752778")).toBeInTheDocument();
+
+  await sendMessage("Will this fit my fridge?");
+  expect(streamAIMessage).toHaveBeenLastCalledWith(expect.any(Array), expect.any(Object), { pageContext, profile: null });
+
+  fireEvent.click(screen.getByRole("button", { name: "Dismiss page context" }));
+  expect(screen.queryByText("Viewing: PS11752778")).not.toBeInTheDocument();
+});
+
+test("starts a session on the first message and continues it with just the new message", async () => {
+  createSession.mockResolvedValue({ id: "session-1" });
+  const reply = deferredReply(streamSessionMessage);
+  const onSessionChange = jest.fn();
+  const { rerender } = render(<ChatWindow sessionId={null} onSessionChange={onSessionChange} />);
+
+  await sendMessage("My dishwasher won't drain");
+
+  expect(onSessionChange).toHaveBeenCalledWith("session-1");
+  expect(streamSessionMessage).toHaveBeenCalledWith("session-1", "My dishwasher won't drain", expect.any(Object), { pageContext: null, profile: null });
+  expect(streamAIMessage).not.toHaveBeenCalled();
+
+  // The new session comes back as a prop without reloading over the message in flight
+  rerender(<ChatWindow sessionId="session-1" onSessionChange={onSessionChange} />);
+  await reply.resolve({ role: "assistant", content: "Check the drain pump.", sessionId: "session-1" });
+
+  expect(getSession).not.toHaveBeenCalled();
+  expect(screen.getByText("My dishwasher won't drain")).toBeInTheDocument();
+  expect(screen.getByText("Check the drain pump.")).toBeInTheDocument();
+});
+
+test("loads the transcript of a stored session, including replies saved before typed blocks", async () => {
+  getSession.mockResolvedValue({
+    id: "session-2",
+    messages: [
+      { role: "user", content: "Tell me about PS11752778" },
+      { role: "assistant", content: "It's a door bin.", parts: [part] }
+    ]
+  });
+
+  render(<ChatWindow sessionId="session-2" />);
+
+  expect(await screen.findByText("It's a door bin.")).toBeInTheDocument();
+  expect(getSession).toHaveBeenCalledWith("session-2");
+  expect(screen.getByText("Tell me about PS11752778")).toBeInTheDocument();
+  expect(screen.getByText("Refrigerator Door Shelf Bin")).toBeInTheDocument();
+});
+
+test("starts over when a stored session no longer exists", async () => {
+  getSession.mockResolvedValue(null);
+  const onSessionChange = jest.fn();
+
+  render(<ChatWindow sessionId="gone" onSessionChange={onSessionChange} />);
+
+  await waitFor(() => expect(onSessionChange).toHaveBeenCalledWith(null));
+  expect(screen.getByText("Hi, how can I help you today?")).toBeInTheDocument();
+});
+
+test("clicking a part number in a reply asks the agent about it", async () => {
+  const reply = deferredReply();
+  render(<ChatWindow />);
+
+  await sendMessage("Which bin do I need?");
+  await reply.resolve({ role: "assistant", content: "You need PS11752778." });
+
+  deferredReply();
+  fireEvent.click(screen.getByRole("button", { name: "Look up part PS11752778" }));
+
+  await waitFor(() => expect(streamAIMessage).toHaveBeenCalledTimes(2));
+  expect(streamAIMessage.mock.calls[1][0].at(-1)).toEqual({ role: "user", content: "Tell me about part PS11752778" });
+});
+
+test("sends the saved appliances and reports ones the agent saves", async () => {
+  const profile = {
+    appliances: [{ id: "fridge", applianceType: "refrigerator", modelNumber: "WRS325FDAM04", nickname: "Kitchen fridge" }],
+    activeId: "fridge"
+  };
+  const onApplianceSaved = jest.fn();
+  const reply = deferredReply();
+  render(<ChatWindow profile={profile} onApplianceSaved={onApplianceSaved} />);
+
+  await sendMessage("Save my dishwasher, it's a WDT780SAEM1");
+  expect(streamAIMessage).toHaveBeenCalledWith(expect.any(Array), expect.any(Object), { pageContext: null, profile });
+
+  const saved = { id: "dishwasher", applianceType: "dishwasher", modelNumber: "WDT780SAEM1", nickname: null };
+  act(() => reply.handlers().onBlock({ type: "appliance", version: 1, data: saved }));
+
+  expect(onApplianceSaved).toHaveBeenCalledWith(saved);
+  expect(screen.getByText("Saved WDT780SAEM1 to your appliances.")).toBeInTheDocument();
+});
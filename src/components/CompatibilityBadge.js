@@ -0,0 +1,45 @@
+import React, { useState } from "react";
+import "./CompatibilityBadge.css";
+
+const VERDICT_LABELS = {
+  compatible: "Compatible",
+  not_compatible: "Not compatible",
+  unknown: "Couldn't confirm"
+};
+
+function CompatibilityBadge({ compatibility }) {
+  const { partNumber, modelNumber, verdict = "unknown", confidence, evidence = [] } = compatibility;
+  const [showEvidence, setShowEvidence] = useState(false);
+
+  return (
+    <div className={`compatibility-badge compatibility-badge--${verdict}`}>
+      <div className="compatibility-badge__header">
+        <span className="compatibility-badge__verdict">{VERDICT_LABELS[verdict] || VERDICT_LABELS.unknown}</span>
+        {confidence && <span className="compatibility-badge__confidence">{confidence} confidence</span>}
+      </div>
+      <div className="compatibility-badge__pair">
+        {partNumber} → {modelNumber}
+      </div>
+      {evidence.length > 0 && (
+        <>
+          <button
+            className="compatibility-badge__toggle"
+            onClick={() => setShowEvidence(!showEvidence)}
+            aria-expanded={showEvidence}
+          >
+            {showEvidence ? "Hide evidence" : `Show evidence (${evidence.length})`}
+          </button>
+          {showEvidence && (
+            <ul className="compatibility-badge__evidence">
+              {evidence.map((item, index) => (
+                <li key={index}>{item.detail}</li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CompatibilityBadge;
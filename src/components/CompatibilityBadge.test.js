@@ -0,0 +1,30 @@
+import { render, screen, fireEvent } from "@testing-library/react";
+import CompatibilityBadge from "./CompatibilityBadge";
+
+const compatibility = {
+  partNumber: "PS11752778",
+  modelNumber: "WRS325FDAM04",
+  verdict: "compatible",
+  confidence: "high",
+  evidence: [{ source: "model-parts", detail: "WRS325FDAM04 lists Door Shelf Bin (PS11752778)" }]
+};
+
+test("shows the verdict and confidence, with the evidence on request", () => {
+  render(<CompatibilityBadge compatibility={compatibility} />);
+
+  expect(screen.getByText("Compatible")).toBeInTheDocument();
+  expect(screen.getByText("high confidence")).toBeInTheDocument();
+  expect(screen.getByText("PS11752778 → WRS325FDAM04")).toBeInTheDocument();
+  expect(screen.queryByText(compatibility.evidence[0].detail)).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole("button", { name: "Show evidence (1)" }));
+
+  expect(screen.getByText(compatibility.evidence[0].detail)).toBeInTheDocument();
+});
+
+test("says it couldn't confirm when the verdict is unknown", () => {
+  render(<CompatibilityBadge compatibility={{ ...compatibility, verdict: "unknown", confidence: "low", evidence: [] }} />);
+
+  expect(screen.getByText("Couldn't confirm")).toBeInTheDocument();
+  expect(screen.queryByRole("button")).not.toBeInTheDocument();
+});
@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from "react";
+import { formatDistanceToNow } from "date-fns";
+import "./ConversationList.css";
+import { listSessions, deleteSession } from "../api/api";
+
+// Saved conversations, most recent first. Picking one resumes it in the chat window.
+function ConversationList({ activeSessionId, onSelect }) {
+  const [sessions, setSessions] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    listSessions().then(result => {
+      if (!cancelled) setSessions(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [activeSessionId]);
+
+  const handleDelete = async (sessionId) => {
+    if (await deleteSession(sessionId)) {
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+      if (sessionId === activeSessionId) {
+        onSelect(null);
+      }
+    }
+  };
+
+  return (
+    <div className="conversation-list">
+      <button className="conversation-list__new" onClick={() => onSelect(null)}>
+        + New conversation
+      </button>
+      {sessions === null && <div className="conversation-list__empty">Loading…</div>}
+      {sessions && sessions.length === 0 && (
+        <div className="conversation-list__empty">No saved conversations yet.</div>
+      )}
+      {sessions && sessions.length > 0 && (
+        <ul className="conversation-list__items">
+          {sessions.map(session => (
+            <li
+              key={session.id}
+              className={`conversation-list__item${session.id === activeSessionId ? " conversation-list__item--active" : ""}`}
+            >
+              <button className="conversation-list__open" onClick={() => onSelect(session.id)}>
+                <span className="conversation-list__title">{session.title}</span>
+                <span className="conversation-list__meta">
+                  {formatDistanceToNow(new Date(session.updatedAt), { addSuffix: true })}
+                </span>
+              </button>
+              <button
+                className="conversation-list__delete"
+                aria-label={`Delete ${session.title}`}
+                onClick={() => handleDelete(session.id)}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ConversationList;
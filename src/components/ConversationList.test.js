@@ -0,0 +1,50 @@
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import ConversationList from "./ConversationList";
+import { listSessions, deleteSession } from "../api/api";
+
+jest.mock("../api/api", () => ({
+  listSessions: jest.fn(),
+  deleteSession: jest.fn()
+}));
+
+const sessions = [
+  { id: "session-1", title: "Ice maker not working", updatedAt: new Date().toISOString(), messageCount: 4 },
+  { id: "session-2", title: "Dishwasher won't drain", updatedAt: new Date(Date.now() - 86400000).toISOString(), messageCount: 2 }
+];
+
+afterEach(() => {
+  jest.resetAllMocks();
+});
+
+test("lists saved conversations and resumes the one picked", async () => {
+  listSessions.mockResolvedValue(sessions);
+  const onSelect = jest.fn();
+  render(<ConversationList activeSessionId="session-1" onSelect={onSelect} />);
+
+  fireEvent.click(await screen.findByText("Dishwasher won't drain"));
+  expect(onSelect).toHaveBeenCalledWith("session-2");
+  expect(screen.getByText("1 day ago")).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole("button", { name: "+ New conversation" }));
+  expect(onSelect).toHaveBeenLastCalledWith(null);
+});
+
+test("deleting the open conversation starts a new one", async () => {
+  listSessions.mockResolvedValue(sessions);
+  deleteSession.mockResolvedValue(true);
+  const onSelect = jest.fn();
+  render(<ConversationList activeSessionId="session-1" onSelect={onSelect} />);
+
+  fireEvent.click(await screen.findByRole("button", { name: "Delete Ice maker not working" }));
+
+  await waitFor(() => expect(screen.queryByText("Ice maker not working")).not.toBeInTheDocument());
+  expect(deleteSession).toHaveBeenCalledWith("session-1");
+  expect(onSelect).toHaveBeenCalledWith(null);
+});
+
+test("says when there are no saved conversations", async () => {
+  listSessions.mockResolvedValue([]);
+  render(<ConversationList activeSessionId={null} onSelect={jest.fn()} />);
+
+  expect(await screen.findByText("No saved conversations yet.")).toBeInTheDocument();
+});
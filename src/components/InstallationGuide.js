@@ -0,0 +1,98 @@
+import React, { useState } from "react";
+import "./InstallationGuide.css";
+
+function InstallationGuide({ guide }) {
+  const { partNumber, title, url, difficulty, time, tools = [], ratingsCount = 0, steps = [], videos = [] } = guide;
+  const [done, setDone] = useState([]);
+
+  const toggleStep = (index) => {
+    setDone(prev =>
+      prev.includes(index) ? prev.filter(step => step !== index) : [...prev, index]
+    );
+  };
+
+  return (
+    <div className="installation-guide">
+      <div className="installation-guide__header">
+        <span className="installation-guide__part-number">{partNumber}</span>
+        {ratingsCount > 0 && (
+          <span className="installation-guide__ratings">
+            Rated by {ratingsCount} {ratingsCount === 1 ? "customer" : "customers"}
+          </span>
+        )}
+      </div>
+      <h3 className="installation-guide__title">Installing {title || partNumber}</h3>
+
+      {(difficulty || time || tools.length > 0) && (
+        <dl className="installation-guide__facts">
+          {difficulty && (
+            <div>
+              <dt>Difficulty</dt>
+              <dd>{difficulty}</dd>
+            </div>
+          )}
+          {time && (
+            <div>
+              <dt>Time</dt>
+              <dd>{time}</dd>
+            </div>
+          )}
+          <div>
+            <dt>Tools</dt>
+            <dd>{tools.length > 0 ? tools.join(", ") : "None needed"}</dd>
+          </div>
+        </dl>
+      )}
+
+      {steps.length > 0 && (
+        <>
+          <div className="installation-guide__progress">
+            {done.length} of {steps.length} steps done
+          </div>
+          <ol className="installation-guide__steps">
+            {steps.map((step, index) => (
+              <li
+                key={index}
+                className={`installation-guide__step${done.includes(index) ? " installation-guide__step--done" : ""}`}
+              >
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={done.includes(index)}
+                    onChange={() => toggleStep(index)}
+                  />
+                  <span>{step}</span>
+                </label>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+
+      {videos.length > 0 && (
+        <div className="installation-guide__videos">
+          {videos.map((video) => (
+            <a
+              key={video.id}
+              href={video.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="installation-guide__video"
+            >
+              <img src={video.thumbnailUrl} alt="" />
+              <span>{video.title}</span>
+            </a>
+          ))}
+        </div>
+      )}
+
+      {url && (
+        <a href={url} target="_blank" rel="noopener noreferrer" className="installation-guide__link">
+          More repair stories on PartSelect
+        </a>
+      )}
+    </div>
+  );
+}
+
+export default InstallationGuide;
@@ -0,0 +1,50 @@
+import { render, screen, fireEvent } from "@testing-library/react";
+import InstallationGuide from "./InstallationGuide";
+
+const guide = {
+  partNumber: "PS11752778",
+  title: "Refrigerator Door Shelf Bin WPW10321304",
+  url: "https://www.partselect.com/PS11752778-Whirlpool-WPW10321304-Refrigerator-Door-Shelf-Bin.htm",
+  difficulty: "Really Easy",
+  time: "Less than 15 mins",
+  tools: ["Screw drivers"],
+  ratingsCount: 3,
+  steps: ["Remove all items from the bin.", "Lift the bin up and pull it out of the door."],
+  videos: [{
+    id: "zSCNN6KpDE8",
+    title: "Replacing your Refrigerator Door Shelf Bin",
+    url: "https://www.youtube.com/watch?v=zSCNN6KpDE8",
+    thumbnailUrl: "https://img.youtube.com/vi/zSCNN6KpDE8/mqdefault.jpg"
+  }]
+};
+
+test("shows difficulty, time, tools and video thumbnails", () => {
+  render(<InstallationGuide guide={guide} />);
+
+  expect(screen.getByText("Really Easy")).toBeInTheDocument();
+  expect(screen.getByText("Less than 15 mins")).toBeInTheDocument();
+  expect(screen.getByText("Screw drivers")).toBeInTheDocument();
+  expect(screen.getByText("Rated by 3 customers")).toBeInTheDocument();
+  expect(screen.getByRole("link", { name: "Replacing your Refrigerator Door Shelf Bin" }))
+    .toHaveAttribute("href", "https://www.youtube.com/watch?v=zSCNN6KpDE8");
+});
+
+test("ticks steps off the checklist", () => {
+  render(<InstallationGuide guide={guide} />);
+
+  expect(screen.getByText("0 of 2 steps done")).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole("checkbox", { name: "Remove all items from the bin." }));
+  expect(screen.getByText("1 of 2 steps done")).toBeInTheDocument();
+  expect(screen.getByRole("checkbox", { name: "Remove all items from the bin." })).toBeChecked();
+
+  fireEvent.click(screen.getByRole("checkbox", { name: "Remove all items from the bin." }));
+  expect(screen.getByText("0 of 2 steps done")).toBeInTheDocument();
+});
+
+test("says no tools are needed when none were listed", () => {
+  render(<InstallationGuide guide={{ ...guide, tools: [], videos: [] }} />);
+
+  expect(screen.getByText("None needed")).toBeInTheDocument();
+  expect(screen.queryByRole("link", { name: /Replacing/ })).not.toBeInTheDocument();
+});
@@ -0,0 +1,192 @@
+import React from "react";
+import { marked } from "marked";
+import "./Markdown.css";
+
+// Renders markdown straight to React elements instead of HTML strings, so nothing in a
+// message can inject markup: only the token types handled below become elements, raw
+// HTML is reduced to its text, and links must point at http(s) or mailto targets.
+// PS part numbers, and model numbers the reply is known to be about, become chips.
+
+const ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": "\"", "&#39;": "'" };
+
+// marked escapes the text in its tokens; React escapes again, so undo marked's pass
+function decode(text) {
+  return String(text || "").replace(/&(amp|lt|gt|quot|#39);/g, entity => ENTITIES[entity]);
+}
+
+function stripTags(html) {
+  return decode(html).replace(/<[^>]*>/g, "");
+}
+
+export function safeHref(href) {
+  const value = String(href || "").trim();
+  if (/^(https?:|mailto:)/i.test(value)) return value;
+  if (/^\/(?!\/)/.test(value)) return `https://www.partselect.com${value}`;
+  return null;
+}
+
+export function entityUrl(entity) {
+  return entity.kind === "part"
+    ? `https://www.partselect.com/api/search/?searchterm=${encodeURIComponent(entity.number)}`
+    : `https://www.partselect.com/Models/${encodeURIComponent(entity.number)}/`;
+}
+
+const CANDIDATE = /\b[A-Z0-9][A-Z0-9-]{4,18}[A-Z0-9]\b/g;
+const MODEL_CONTEXT = /\bmodel(?:\s+(?:number|no\.?|#))?:?\s*$/i;
+
+// Split text into plain strings and { kind: 'part' | 'model', number } entities.
+// Model numbers are only recognised when the reply is known to be about them or the
+// text says "model ..." right before, since they look like any other part number.
+export function findEntities(text, knownModels = []) {
+  const known = new Set(knownModels.map(model => model.toUpperCase()));
+  const pieces = [];
+  let last = 0;
+
+  for (const match of text.matchAll(CANDIDATE)) {
+    const number = match[0];
+    if (!/\d/.test(number) || !/[A-Z]/.test(number)) continue;
+
+    let kind = null;
+    if (/^PS\d{5,}$/.test(number)) {
+      kind = "part";
+    } else if (known.has(number) || MODEL_CONTEXT.test(text.slice(Math.max(0, match.index - 20), match.index))) {
+      kind = "model";
+    }
+    if (!kind) continue;
+
+    if (match.index > last) pieces.push(text.slice(last, match.index));
+    pieces.push({ kind, number });
+    last = match.index + number.length;
+  }
+
+  if (last < text.length) pieces.push(text.slice(last));
+  return pieces;
+}
+
+function EntityChip({ entity, onSelect }) {
+  const label = entity.kind === "part" ? `Look up part ${entity.number}` : `Look up model ${entity.number}`;
+  return (
+    <span className={`entity-chip entity-chip--${entity.kind}`}>
+      <button type="button" className="entity-chip__lookup" onClick={() => onSelect(entity)} aria-label={label}>
+        {entity.number}
+      </button>
+      <a
+        href={entityUrl(entity)}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="entity-chip__open"
+        aria-label={`Open ${entity.number} on PartSelect`}
+      >
+        ↗
+      </a>
+    </span>
+  );
+}
+
+function renderText(text, context, key) {
+  if (!context.onEntitySelect || context.inLink) {
+    return text;
+  }
+  return findEntities(text, context.knownModels).map((piece, index) =>
+    typeof piece === "string"
+      ? <React.Fragment key={`${key}-${index}`}>{piece}</React.Fragment>
+      : <EntityChip key={`${key}-${index}`} entity={piece} onSelect={context.onEntitySelect} />
+  );
+}
+
+function renderInline(tokens = [], context) {
+  return tokens.map((token, index) => {
+    switch (token.type) {
+      case "text":
+        return token.tokens
+          ? <React.Fragment key={index}>{renderInline(token.tokens, context)}</React.Fragment>
+          : <React.Fragment key={index}>{renderText(decode(token.text), context, index)}</React.Fragment>;
+      case "escape":
+        return decode(token.text);
+      case "strong":
+        return <strong key={index}>{renderInline(token.tokens, context)}</strong>;
+      case "em":
+        return <em key={index}>{renderInline(token.tokens, context)}</em>;
+      case "del":
+        return <del key={index}>{renderInline(token.tokens, context)}</del>;
+      case "codespan":
+        return <code key={index}>{decode(token.text)}</code>;
+      case "br":
+        return <br key={index} />;
+      case "link": {
+        const href = safeHref(token.href);
+        const children = renderInline(token.tokens, { ...context, inLink: true });
+        return href
+          ? <a key={index} href={href} target="_blank" rel="noopener noreferrer">{children}</a>
+          : <React.Fragment key={index}>{children}</React.Fragment>;
+      }
+      case "image":
+        return decode(token.text);
+      default:
+        // Raw HTML and anything this renderer doesn't know: text only
+        return stripTags(token.raw || token.text);
+    }
+  });
+}
+
+const HEADINGS = ["h3", "h3", "h4", "h5", "h6", "h6"];
+
+function renderBlocks(tokens = [], context) {
+  return tokens.map((token, index) => {
+    switch (token.type) {
+      case "space":
+      case "hr":
+        return token.type === "hr" ? <hr key={index} /> : null;
+      case "paragraph":
+        return <p key={index}>{renderInline(token.tokens, context)}</p>;
+      case "text":
+        return <React.Fragment key={index}>{token.tokens ? renderInline(token.tokens, context) : decode(token.text)}</React.Fragment>;
+      case "heading": {
+        const Heading = HEADINGS[token.depth - 1] || "h6";
+        return <Heading key={index}>{renderInline(token.tokens, context)}</Heading>;
+      }
+      case "blockquote":
+        return <blockquote key={index}>{renderBlocks(token.tokens, context)}</blockquote>;
+      case "code":
+        return <pre key={index}><code>{token.text}</code></pre>;
+      case "list": {
+        const List = token.ordered ? "ol" : "ul";
+        return (
+          <List key={index} start={token.ordered && token.start !== "" ? token.start : undefined}>
+            {token.items.map((item, itemIndex) => (
+              <li key={itemIndex}>{renderBlocks(item.tokens, context)}</li>
+            ))}
+          </List>
+        );
+      }
+      case "table":
+        return (
+          <table key={index}>
+            <thead>
+              <tr>
+                {token.header.map((cell, cellIndex) => <th key={cellIndex}>{renderInline(cell.tokens, context)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {token.rows.map((row, rowIndex) => (
+                <tr key={rowIndex}>
+                  {row.map((cell, cellIndex) => <td key={cellIndex}>{renderInline(cell.tokens, context)}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        );
+      default:
+        return <p key={index}>{stripTags(token.raw || token.text)}</p>;
+    }
+  });
+}
+
+// `onEntitySelect(entity)` is called when a part or model chip is clicked; without it
+// numbers stay plain text. `knownModels` are model numbers the reply is about.
+function Markdown({ content, knownModels = [], onEntitySelect }) {
+  const tokens = marked.lexer(content || "");
+  return <div className="markdown">{renderBlocks(tokens, { knownModels, onEntitySelect, inLink: false })}</div>;
+}
+
+export default Markdown;
@@ -0,0 +1,80 @@
+import { render, screen, fireEvent } from "@testing-library/react";
+import Markdown, { findEntities, safeHref } from "./Markdown";
+
+test("renders formatting, lists and safe links", () => {
+  render(<Markdown content={"**Bold** and _italic_ & `code`\n\n- one\n- two\n\n[PartSelect](https://www.partselect.com/)"} />);
+
+  expect(screen.getByText("Bold").tagName).toBe("STRONG");
+  expect(screen.getByText("italic").tagName).toBe("EM");
+  expect(screen.getByText("code").tagName).toBe("CODE");
+  expect(screen.getByText(/and/)).toHaveTextContent("Bold and italic & code");
+  expect(screen.getAllByRole("listitem")).toHaveLength(2);
+  const link = screen.getByRole("link", { name: "PartSelect" });
+  expect(link).toHaveAttribute("href", "https://www.partselect.com/");
+  expect(link).toHaveAttribute("rel", "noopener noreferrer");
+});
+
+// Built up so the linter doesn't read the test data as a script URL
+const SCRIPT_URL = ["javascript", "alert(1)"].join(":");
+
+test("never turns message content into markup", () => {
+  render(
+    <Markdown
+      content={`<img src=x onerror=alert(1)> <script>alert(2)</script>\n\nHi <b>there</b> [click](${SCRIPT_URL})\n\n<div onclick="alert(3)">block</div>`}
+    />
+  );
+
+  expect(screen.queryByRole("img")).not.toBeInTheDocument();
+  expect(screen.queryByRole("link")).not.toBeInTheDocument();
+  // Tags are dropped and their contents shown as plain text
+  expect(screen.getByText("alert(2)").tagName).toBe("P");
+  expect(screen.getByText("Hi there click").tagName).toBe("P");
+  expect(screen.getByText("block").tagName).toBe("P");
+});
+
+test("safeHref allows web, mail and site-relative links only", () => {
+  expect(safeHref("https://www.partselect.com/x")).toBe("https://www.partselect.com/x");
+  expect(safeHref("mailto:help@partselect.com")).toBe("mailto:help@partselect.com");
+  expect(safeHref("/Models/WDT780SAEM1/")).toBe("https://www.partselect.com/Models/WDT780SAEM1/");
+  expect(safeHref(SCRIPT_URL)).toBeNull();
+  expect(safeHref("data:text/html,hi")).toBeNull();
+  expect(safeHref("//evil.example")).toBeNull();
+});
+
+test("findEntities picks out PS numbers and model numbers in context", () => {
+  expect(findEntities("PS11752778 fits model WDT780SAEM1, not WPW10321304.")).toEqual([
+    { kind: "part", number: "PS11752778" },
+    " fits model ",
+    { kind: "model", number: "WDT780SAEM1" },
+    ", not WPW10321304."
+  ]);
+  expect(findEntities("It fits your WRS325FDAM04.", ["WRS325FDAM04"])).toEqual([
+    "It fits your ",
+    { kind: "model", number: "WRS325FDAM04" },
+    "."
+  ]);
+});
+
+test("part and model chips ask the agent or open PartSelect", () => {
+  const onEntitySelect = jest.fn();
+  render(<Markdown content="Try **PS11752778** for model WDT780SAEM1." onEntitySelect={onEntitySelect} />);
+
+  fireEvent.click(screen.getByRole("button", { name: "Look up part PS11752778" }));
+  expect(onEntitySelect).toHaveBeenCalledWith({ kind: "part", number: "PS11752778" });
+
+  expect(screen.getByRole("link", { name: "Open PS11752778 on PartSelect" })).toHaveAttribute(
+    "href",
+    "https://www.partselect.com/api/search/?searchterm=PS11752778"
+  );
+  expect(screen.getByRole("link", { name: "Open WDT780SAEM1 on PartSelect" })).toHaveAttribute(
+    "href",
+    "https://www.partselect.com/Models/WDT780SAEM1/"
+  );
+});
+
+test("numbers stay plain text without a chip handler or inside links", () => {
+  render(<Markdown content="PS11752778 and [PS11756150](https://www.partselect.com/PS11756150.htm)" />);
+
+  expect(screen.queryByRole("button")).not.toBeInTheDocument();
+  expect(screen.getByRole("link", { name: "PS11756150" })).toBeInTheDocument();
+});
@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import "./ModelCard.css";
+
+// A part listed for the model, linking to its page (or the page it was listed on)
+function ModelPart({ part, fallbackUrl }) {
+  return (
+    <li className="model-card__part">
+      <a href={part.url || fallbackUrl} target="_blank" rel="noopener noreferrer">
+        {part.name}
+      </a>
+      <span className="model-card__part-meta">
+        {part.partNumber}
+        {part.price && <span className="model-card__part-price">{part.price}</span>}
+      </span>
+    </li>
+  );
+}
+
+function ModelCard({ model }) {
+  const { modelNumber, title, brand, applianceType, url, sections = [], featuredParts = [], manuals = [] } = model;
+  const [openSections, setOpenSections] = useState([]);
+
+  // Models whose section pages weren't read still list the parts on their overview page
+  const showFeatured = featuredParts.length > 0 && sections.every(section => section.parts.length === 0);
+
+  const toggleSection = (name) => {
+    setOpenSections(prev =>
+      prev.includes(name) ? prev.filter(open => open !== name) : [...prev, name]
+    );
+  };
+
+  return (
+    <div className="model-card">
+      <div className="model-card__header">
+        <span className="model-card__model-number">{modelNumber}</span>
+        {applianceType && <span className="model-card__type">{applianceType}</span>}
+      </div>
+      <h3 className="model-card__title">{brand ? `${brand} ${applianceType || ""}`.trim() : title}</h3>
+
+      {sections.length > 0 && (
+        <ul className="model-card__sections">
+          {sections.map((section) => {
+            const isOpen = openSections.includes(section.name);
+            return (
+              <li key={section.url} className="model-card__section">
+                <button
+                  className="model-card__section-toggle"
+                  onClick={() => toggleSection(section.name)}
+                  aria-expanded={isOpen}
+                >
+                  <span>{isOpen ? "▾" : "▸"} {section.name}</span>
+                  {section.parts.length > 0 && (
+                    <span className="model-card__count">{section.parts.length}</span>
+                  )}
+                </button>
+                {isOpen && (
+                  <ul className="model-card__parts">
+                    {section.parts.length === 0 && (
+                      <li className="model-card__part model-card__part--empty">
+                        <a href={section.url} target="_blank" rel="noopener noreferrer">
+                          See parts on PartSelect
+                        </a>
+                      </li>
+                    )}
+                    {section.parts.map((part, partIndex) => (
+                      <ModelPart key={part.partNumber || partIndex} part={part} fallbackUrl={section.url} />
+                    ))}
+                  </ul>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {showFeatured && (
+        <div className="model-card__featured">
+          <div className="model-card__featured-title">Popular parts for this model</div>
+          <ul className="model-card__parts">
+            {featuredParts.map((part, partIndex) => (
+              <ModelPart key={part.partNumber || partIndex} part={part} fallbackUrl={url} />
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {manuals.length > 0 && (
+        <div className="model-card__manuals">
+          {manuals.map((manual) => (
+            <a key={manual.url} href={manual.url} target="_blank" rel="noopener noreferrer">
+              {manual.title}
+            </a>
+          ))}
+        </div>
+      )}
+
+      <a href={url} target="_blank" rel="noopener noreferrer" className="model-card__link">
+        View model on PartSelect
+      </a>
+    </div>
+  );
+}
+
+export default ModelCard;
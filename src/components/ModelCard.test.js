@@ -0,0 +1,40 @@
+import { render, screen, fireEvent } from "@testing-library/react";
+import ModelCard from "./ModelCard";
+
+const model = {
+  modelNumber: "WRS325FDAM04",
+  title: "WRS325FDAM04 Whirlpool Refrigerator",
+  brand: "Whirlpool",
+  applianceType: "Refrigerator",
+  url: "https://www.partselect.com/Models/WRS325FDAM04/",
+  sections: [{
+    name: "Refrigerator Door Parts",
+    url: "https://www.partselect.com/Models/WRS325FDAM04/Sections/Refrigerator-Door-Parts/",
+    parts: [{ partNumber: "PS11752778", name: "Door Shelf Bin", price: "$44.95", url: "https://www.partselect.com/PS11752778.htm" }]
+  }],
+  featuredParts: [{ partNumber: "PS12364199", name: "Water Filter", price: "$49.99", url: "https://www.partselect.com/PS12364199.htm" }],
+  manuals: [{ title: "Installation Instructions", url: "https://www.partselect.com/manuals/W10321304.pdf" }]
+};
+
+test("shows the model's sections and opens one to list its parts", () => {
+  render(<ModelCard model={model} />);
+
+  expect(screen.getByText("Whirlpool Refrigerator")).toBeInTheDocument();
+  expect(screen.getByRole("link", { name: "Installation Instructions" })).toBeInTheDocument();
+  expect(screen.queryByText("Door Shelf Bin")).not.toBeInTheDocument();
+  // Sections list their own parts, so the overview's featured parts aren't repeated
+  expect(screen.queryByText("Water Filter")).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole("button", { name: /Refrigerator Door Parts/ }));
+
+  expect(screen.getByRole("link", { name: "Door Shelf Bin" })).toHaveAttribute("href", "https://www.partselect.com/PS11752778.htm");
+  expect(screen.getByText("$44.95")).toBeInTheDocument();
+});
+
+test("falls back to the featured parts when no section lists parts", () => {
+  render(<ModelCard model={{ ...model, sections: [] }} />);
+
+  expect(screen.getByText("Popular parts for this model")).toBeInTheDocument();
+  expect(screen.getByRole("link", { name: "Water Filter" })).toHaveAttribute("href", "https://www.partselect.com/PS12364199.htm");
+  expect(screen.getByText("$49.99")).toBeInTheDocument();
+});
@@ -1,8 +1,20 @@
 import React from "react";
 import "./PartCard.css";
 
+const ALIAS_LABELS = {
+  manufacturer: "manufacturer part number",
+  replaced: "replaces"
+};
+
+// Five stars filled to the nearest half, e.g. 4.5 -> "★★★★½"
+function stars(rating) {
+  const halves = Math.round(rating * 2);
+  const full = Math.floor(halves / 2);
+  return "★".repeat(full) + (halves % 2 ? "½" : "") + "☆".repeat(5 - full - (halves % 2));
+}
+
 function PartCard({ part }) {
-  const { partNumber, title, price, inStock, imageUrl, description, url } = part;
+  const { partNumber, title, price, inStock, imageUrl, description, url, matchedAliases = [], rating, reviewCount } = part;
 
   // Use the actual URL if available, otherwise use PartSelect's search redirect
   const partUrl = url || `https://www.partselect.com/api/search/?searchterm=${encodeURIComponent(partNumber)}`;
@@ -22,6 +34,24 @@ function PartCard({ part }) {
           </span>
         </div>
         <h3 className="part-card__title">{title}</h3>
+        {matchedAliases.length > 0 && (
+          <div className="part-card__aliases">
+            {matchedAliases.map(alias => (
+              <span key={alias.number} className="part-card__alias">
+                Matched {alias.number} ({ALIAS_LABELS[alias.kind] || alias.kind})
+              </span>
+            ))}
+          </div>
+        )}
+        {rating != null && (
+          <div className="part-card__rating" aria-label={`Rated ${rating} out of 5`}>
+            <span className="part-card__stars" aria-hidden="true">{stars(rating)}</span>
+            <span className="part-card__rating-value">{rating.toFixed(1)}</span>
+            {reviewCount > 0 && (
+              <span className="part-card__review-count">({reviewCount} {reviewCount === 1 ? "review" : "reviews"})</span>
+            )}
+          </div>
+        )}
         {price && <div className="part-card__price">{price}</div>}
         {description && (
           <p className="part-card__description">{description}</p>
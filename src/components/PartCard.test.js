@@ -0,0 +1,59 @@
+import { render, screen } from "@testing-library/react";
+import PartCard from "./PartCard";
+
+const part = {
+  partNumber: "PS11752778",
+  title: "Refrigerator Door Shelf Bin",
+  price: "$44.95",
+  inStock: true,
+  imageUrl: "https://www.partselect.com/assets/images/parts/11752778-1.jpg",
+  description: "Genuine OEM door bin.",
+  url: "https://www.partselect.com/PS11752778-Whirlpool-WPW10321304-Refrigerator-Door-Shelf-Bin.htm"
+};
+
+test("renders an in-stock part with its image, price and link", () => {
+  render(<PartCard part={part} />);
+
+  expect(screen.getByText("PS11752778")).toBeInTheDocument();
+  expect(screen.getByText("In Stock")).toHaveClass("in-stock");
+  expect(screen.getByText("$44.95")).toBeInTheDocument();
+  expect(screen.getByRole("img")).toHaveAttribute("src", part.imageUrl);
+  expect(screen.getByRole("link", { name: "View on PartSelect" })).toHaveAttribute("href", part.url);
+});
+
+test("renders an out-of-stock part", () => {
+  render(<PartCard part={{ ...part, inStock: false }} />);
+
+  expect(screen.getByText("Out of Stock")).toHaveClass("out-of-stock");
+  expect(screen.queryByText("In Stock")).not.toBeInTheDocument();
+});
+
+test("omits the image and falls back to a search link when data is missing", () => {
+  render(<PartCard part={{ ...part, imageUrl: "", url: undefined }} />);
+
+  expect(screen.queryByRole("img")).not.toBeInTheDocument();
+  expect(screen.getByRole("link", { name: "View on PartSelect" })).toHaveAttribute(
+    "href",
+    "https://www.partselect.com/api/search/?searchterm=PS11752778"
+  );
+});
+
+test("shows the manufacturer or superseded number the lookup matched", () => {
+  render(<PartCard part={{ ...part, matchedAliases: [{ number: "WPW10321304", kind: "manufacturer" }] }} />);
+
+  expect(screen.getByText("Matched WPW10321304 (manufacturer part number)")).toBeInTheDocument();
+});
+
+test("shows the star rating and review count", () => {
+  render(<PartCard part={{ ...part, rating: 4.5, reviewCount: 12 }} />);
+
+  expect(screen.getByLabelText("Rated 4.5 out of 5")).toBeInTheDocument();
+  expect(screen.getByText("★★★★½")).toBeInTheDocument();
+  expect(screen.getByText("(12 reviews)")).toBeInTheDocument();
+});
+
+test("omits the rating for parts without reviews", () => {
+  render(<PartCard part={part} />);
+
+  expect(screen.queryByLabelText(/Rated/)).not.toBeInTheDocument();
+});
@@ -0,0 +1,100 @@
+import React from "react";
+import "./ResponseBlocks.css";
+import PartCard from "./PartCard";
+import ModelCard from "./ModelCard";
+import CompatibilityBadge from "./CompatibilityBadge";
+import InstallationGuide from "./InstallationGuide";
+import TroubleshootingChecklist from "./TroubleshootingChecklist";
+import SuggestedParts from "./SuggestedParts";
+
+function SavedAppliance({ appliance }) {
+  return (
+    <div className="response-block--appliance">
+      Saved {appliance.nickname ? `${appliance.nickname} (${appliance.modelNumber})` : appliance.modelNumber} to your appliances.
+    </div>
+  );
+}
+
+// Renderer for each block type, and the newest schema version it understands
+// (see BLOCK_SCHEMAS in backend/blocks.js)
+const RENDERERS = {
+  part: { version: 1, render: data => <PartCard part={data} /> },
+  model: { version: 1, render: data => <ModelCard model={data} /> },
+  compatibility: { version: 1, render: data => <CompatibilityBadge compatibility={data} /> },
+  guide: { version: 1, render: data => <InstallationGuide guide={data} /> },
+  troubleshooting: { version: 1, render: data => <TroubleshootingChecklist troubleshooting={data} /> },
+  suggested_parts: { version: 1, render: data => <SuggestedParts suggestions={data} /> },
+  appliance: { version: 1, render: data => <SavedAppliance appliance={data} /> }
+};
+
+// Replies stored before typed blocks carried parts, models, compatibility and guides arrays
+const LEGACY_KEYS = [["parts", "part"], ["models", "model"], ["compatibility", "compatibility"], ["guides", "guide"]];
+
+export function messageBlocks(message) {
+  if (message.blocks) {
+    return message.blocks;
+  }
+  return LEGACY_KEYS.flatMap(([key, type]) =>
+    (message[key] || []).map(data => ({ type, version: 1, data }))
+  );
+}
+
+// Shown for block types or versions this build doesn't know, and for blocks that fail to render
+function UnsupportedBlock({ block }) {
+  const url = typeof block?.data?.url === "string" && block.data.url.startsWith("https://") ? block.data.url : null;
+  return (
+    <div className="response-block--unsupported">
+      This content can't be shown here.
+      {url && (
+        <>
+          {" "}
+          <a href={url} target="_blank" rel="noopener noreferrer">Open on PartSelect</a>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Keeps one malformed block from taking down the whole conversation
+class BlockBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { failed: false };
+  }
+
+  static getDerivedStateFromError() {
+    return { failed: true };
+  }
+
+  componentDidCatch(error) {
+    console.error("Failed to render block:", this.props.block?.type, error);
+  }
+
+  render() {
+    return this.state.failed ? <UnsupportedBlock block={this.props.block} /> : this.props.children;
+  }
+}
+
+function ResponseBlock({ block }) {
+  const renderer = RENDERERS[block?.type];
+  if (!renderer || !block.data || !(block.version <= renderer.version)) {
+    return <UnsupportedBlock block={block} />;
+  }
+  return <BlockBoundary block={block}>{renderer.render(block.data)}</BlockBoundary>;
+}
+
+// The typed blocks under an assistant message, in order
+function ResponseBlocks({ blocks }) {
+  if (!blocks || blocks.length === 0) {
+    return null;
+  }
+  return (
+    <div className="response-blocks">
+      {blocks.map((block, index) => (
+        <ResponseBlock key={index} block={block} />
+      ))}
+    </div>
+  );
+}
+
+export default ResponseBlocks;
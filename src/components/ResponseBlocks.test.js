@@ -0,0 +1,71 @@
+import { render, screen } from "@testing-library/react";
+import ResponseBlocks, { messageBlocks } from "./ResponseBlocks";
+
+const part = { partNumber: "PS11752778", title: "Refrigerator Door Shelf Bin", price: "$44.95", inStock: true };
+
+test("renders each block type with its own component, in order", () => {
+  render(
+    <ResponseBlocks
+      blocks={[
+        {
+          type: "troubleshooting",
+          version: 1,
+          data: {
+            appliance: "dishwasher",
+            symptom: "not draining",
+            topic: { title: "Dishwasher not draining", url: "https://www.partselect.com/Repair/Dishwasher/Not-Draining/" },
+            checklist: ["Clean the filter and sump."],
+            answered: [{ question: "Is the filter clean?", answer: "yes" }],
+            nextQuestion: "Do you hear the drain pump humming?"
+          }
+        },
+        {
+          type: "suggested_parts",
+          version: 1,
+          data: { title: "Likely causes", modelNumber: "WDT780SAEM1", parts: [{ name: "Drain Pump", likelihood: 60, partNumber: "PS11756150" }] }
+        },
+        { type: "part", version: 1, data: part }
+      ]}
+    />
+  );
+
+  expect(screen.getByText("Dishwasher not draining")).toBeInTheDocument();
+  expect(screen.getByLabelText("Clean the filter and sump.")).not.toBeChecked();
+  expect(screen.getByText("Next: Do you hear the drain pump humming?")).toBeInTheDocument();
+  expect(screen.getByText("Parts that fit WDT780SAEM1")).toBeInTheDocument();
+  expect(screen.getByText("60%")).toBeInTheDocument();
+  expect(screen.getByText("Refrigerator Door Shelf Bin")).toBeInTheDocument();
+});
+
+test("falls back for unknown types and newer versions", () => {
+  render(
+    <ResponseBlocks
+      blocks={[
+        { type: "video", version: 1, data: { url: "https://www.partselect.com/video" } },
+        { type: "part", version: 2, data: part },
+        { type: "part", version: 1, data: null }
+      ]}
+    />
+  );
+
+  expect(screen.getAllByText(/This content can't be shown here/)).toHaveLength(3);
+  expect(screen.getByRole("link", { name: "Open on PartSelect" })).toHaveAttribute("href", "https://www.partselect.com/video");
+  expect(screen.queryByText("Refrigerator Door Shelf Bin")).not.toBeInTheDocument();
+});
+
+test("falls back when a block's data breaks its component", () => {
+  jest.spyOn(console, "error").mockImplementation(() => {});
+
+  render(<ResponseBlocks blocks={[{ type: "suggested_parts", version: 1, data: { parts: "not a list" } }]} />);
+
+  expect(screen.getByText(/This content can't be shown here/)).toBeInTheDocument();
+  console.error.mockRestore();
+});
+
+test("messageBlocks converts replies saved with part and model arrays", () => {
+  expect(messageBlocks({ content: "Hi", parts: [part], models: [{ modelNumber: "WRS325FDAM04" }] })).toEqual([
+    { type: "part", version: 1, data: part },
+    { type: "model", version: 1, data: { modelNumber: "WRS325FDAM04" } }
+  ]);
+  expect(messageBlocks({ content: "Hi", blocks: [] })).toEqual([]);
+});
@@ -0,0 +1,39 @@
+import React from "react";
+import "./SuggestedParts.css";
+
+// Parts most likely to fix a problem, ranked, with the share of repairs each accounts for
+function SuggestedParts({ suggestions }) {
+  const { title, modelNumber, parts = [] } = suggestions;
+
+  return (
+    <div className="suggested-parts">
+      <h3 className="suggested-parts__title">{title || "Suggested parts"}</h3>
+      {modelNumber && (
+        <div className="suggested-parts__model">Parts that fit {modelNumber}</div>
+      )}
+      <ol className="suggested-parts__list">
+        {parts.map((part, index) => (
+          <li key={index} className="suggested-parts__part">
+            <div className="suggested-parts__name">
+              {part.url ? (
+                <a href={part.url} target="_blank" rel="noopener noreferrer">{part.name}</a>
+              ) : (
+                part.name
+              )}
+              {part.partNumber && <span className="suggested-parts__number">{part.partNumber}</span>}
+              {part.price && <span className="suggested-parts__price">{part.price}</span>}
+            </div>
+            {part.likelihood != null && (
+              <div className="suggested-parts__likelihood">
+                <div className="suggested-parts__bar" style={{ width: `${part.likelihood}%` }} />
+                <span>{part.likelihood}%</span>
+              </div>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default SuggestedParts;
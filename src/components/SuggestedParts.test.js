@@ -0,0 +1,32 @@
+import { render, screen } from "@testing-library/react";
+import SuggestedParts from "./SuggestedParts";
+
+test("ranks the likely parts with their share of repairs", () => {
+  render(
+    <SuggestedParts
+      suggestions={{
+        title: "Likely causes",
+        modelNumber: "WDT780SAEM1",
+        parts: [
+          { name: "Drain Pump", likelihood: 70, partNumber: "PS11756150", price: "$89.95", url: "https://www.partselect.com/PS11756150.htm" },
+          { name: "Control Board", likelihood: 30 }
+        ]
+      }}
+    />
+  );
+
+  expect(screen.getByText("Likely causes")).toBeInTheDocument();
+  expect(screen.getByText("Parts that fit WDT780SAEM1")).toBeInTheDocument();
+  expect(screen.getByRole("link", { name: "Drain Pump" })).toHaveAttribute("href", "https://www.partselect.com/PS11756150.htm");
+  expect(screen.getByText("$89.95")).toBeInTheDocument();
+  expect(screen.getByText("70%")).toBeInTheDocument();
+  expect(screen.getByText("Control Board")).toBeInTheDocument();
+  expect(screen.getByText("30%")).toBeInTheDocument();
+});
+
+test("uses a default title when the result has none", () => {
+  render(<SuggestedParts suggestions={{ parts: [{ name: "Door Gasket" }] }} />);
+
+  expect(screen.getByText("Suggested parts")).toBeInTheDocument();
+  expect(screen.queryByText(/Parts that fit/)).not.toBeInTheDocument();
+});
@@ -0,0 +1,68 @@
+import React, { useState } from "react";
+import "./TroubleshootingChecklist.css";
+
+// A repair topic's checks, the diagnostic answers so far and the next question or verdict
+function TroubleshootingChecklist({ troubleshooting }) {
+  const { appliance, topic, checklist = [], answered = [], nextQuestion, advice } = troubleshooting;
+  const [checked, setChecked] = useState([]);
+
+  const toggleCheck = (index) => {
+    setChecked(prev =>
+      prev.includes(index) ? prev.filter(item => item !== index) : [...prev, index]
+    );
+  };
+
+  return (
+    <div className="troubleshooting">
+      <div className="troubleshooting__header">
+        <span className="troubleshooting__appliance">{appliance}</span>
+        {answered.length > 0 && (
+          <span className="troubleshooting__progress">
+            {answered.length} {answered.length === 1 ? "question" : "questions"} answered
+          </span>
+        )}
+      </div>
+      <h3 className="troubleshooting__title">{topic?.title || troubleshooting.symptom}</h3>
+
+      {checklist.length > 0 && (
+        <ul className="troubleshooting__checklist">
+          {checklist.map((item, index) => (
+            <li key={index}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={checked.includes(index)}
+                  onChange={() => toggleCheck(index)}
+                />
+                <span>{item}</span>
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {answered.length > 0 && (
+        <ol className="troubleshooting__answers">
+          {answered.map((item, index) => (
+            <li key={index}>
+              {item.question} <strong>{item.answer}</strong>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {nextQuestion && (
+        <div className="troubleshooting__question">Next: {nextQuestion}</div>
+      )}
+      {advice && <p className="troubleshooting__advice">{advice}</p>}
+
+      {topic?.url && (
+        <a href={topic.url} target="_blank" rel="noopener noreferrer" className="troubleshooting__link">
+          Repair help on PartSelect
+        </a>
+      )}
+    </div>
+  );
+}
+
+export default TroubleshootingChecklist;
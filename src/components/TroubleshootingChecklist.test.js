@@ -0,0 +1,31 @@
+import { render, screen, fireEvent } from "@testing-library/react";
+import TroubleshootingChecklist from "./TroubleshootingChecklist";
+
+const troubleshooting = {
+  appliance: "dishwasher",
+  symptom: "not draining",
+  topic: { title: "Dishwasher not draining", url: "https://www.partselect.com/Repair/Dishwasher/Not-Draining/" },
+  checklist: ["Clean the filter and sump.", "Check the drain hose for kinks."],
+  answered: [{ question: "Is the filter clean?", answer: "yes" }],
+  nextQuestion: "Do you hear the drain pump humming?"
+};
+
+test("lists the checks, the answers so far and the next question", () => {
+  render(<TroubleshootingChecklist troubleshooting={troubleshooting} />);
+
+  expect(screen.getByText("Dishwasher not draining")).toBeInTheDocument();
+  expect(screen.getByText("1 question answered")).toBeInTheDocument();
+  expect(screen.getByText("yes")).toBeInTheDocument();
+  expect(screen.getByText("Next: Do you hear the drain pump humming?")).toBeInTheDocument();
+  expect(screen.getByRole("link", { name: "Repair help on PartSelect" })).toHaveAttribute("href", troubleshooting.topic.url);
+});
+
+test("checks off items as the customer works through them", () => {
+  render(<TroubleshootingChecklist troubleshooting={troubleshooting} />);
+
+  const check = screen.getByLabelText("Clean the filter and sump.");
+  expect(check).not.toBeChecked();
+  fireEvent.click(check);
+  expect(check).toBeChecked();
+  expect(screen.getByLabelText("Check the drain hose for kinks.")).not.toBeChecked();
+});
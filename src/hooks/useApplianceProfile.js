@@ -0,0 +1,92 @@
+import { useState, useEffect, useCallback } from "react";
+import { getInstall, getProfile, saveProfile } from "../api/api";
+import { readStored, writeStored } from "../api/storage";
+
+const PROFILE_KEY = "partselect.applianceProfile";
+
+const EMPTY_PROFILE = { appliances: [], activeId: null };
+
+function newId() {
+  return window.crypto.randomUUID();
+}
+
+// The customer's saved appliances ({ appliances, activeId }) and the user ID they're stored
+// under on the server, which is this install's ID (see getInstall). The local copy loads
+// first; the server's copy wins when it has appliances (the agent can save to it),
+// otherwise the local one is uploaded.
+function useApplianceProfile() {
+  const [userId, setUserId] = useState(null);
+  const [profile, setProfile] = useState(EMPTY_PROFILE);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      const local = (await readStored(PROFILE_KEY)) || EMPTY_PROFILE;
+      if (cancelled) return;
+      setProfile(local);
+
+      const { installId: id } = await getInstall();
+      if (cancelled) return;
+      setUserId(id);
+      const remote = await getProfile(id);
+      if (cancelled || !remote) return;
+      if (remote.appliances.length > 0) {
+        setProfile(remote);
+        writeStored(PROFILE_KEY, remote);
+      } else if (local.appliances.length > 0) {
+        saveProfile(id, local);
+      }
+    };
+
+    load().catch(error => console.error("Failed to load saved appliances:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const update = useCallback((next) => {
+    setProfile(next);
+    writeStored(PROFILE_KEY, next);
+    if (userId) saveProfile(userId, next);
+  }, [userId]);
+
+  // Add an appliance, or replace the saved one with the same ID
+  const saveAppliance = useCallback((appliance) => {
+    const saved = { ...appliance, id: appliance.id || newId() };
+    const exists = profile.appliances.some(item => item.id === saved.id);
+    update({
+      appliances: exists
+        ? profile.appliances.map(item => item.id === saved.id ? saved : item)
+        : [...profile.appliances, saved],
+      activeId: profile.activeId || saved.id
+    });
+  }, [profile, update]);
+
+  const removeAppliance = useCallback((id) => {
+    update({
+      appliances: profile.appliances.filter(item => item.id !== id),
+      activeId: profile.activeId === id ? null : profile.activeId
+    });
+  }, [profile, update]);
+
+  const setActiveAppliance = useCallback((id) => {
+    update({ ...profile, activeId: id });
+  }, [profile, update]);
+
+  // The agent saved an appliance on the server (an "appliance" block): mirror it locally
+  // and make it active. Matched by model number too, since the server may have assigned a new ID.
+  const applianceSaved = useCallback((appliance) => {
+    const matches = (item) => item.id === appliance.id || item.modelNumber === appliance.modelNumber;
+    const index = profile.appliances.findIndex(matches);
+    const appliances = profile.appliances.filter(item => !matches(item));
+    appliances.splice(index === -1 ? appliances.length : index, 0, appliance);
+    const next = { appliances, activeId: appliance.id };
+    setProfile(next);
+    writeStored(PROFILE_KEY, next);
+  }, [profile]);
+
+  return { userId, profile, saveAppliance, removeAppliance, setActiveAppliance, applianceSaved };
+}
+
+export default useApplianceProfile;
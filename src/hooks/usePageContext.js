@@ -0,0 +1,65 @@
+import { useState, useEffect } from "react";
+
+const PARTSELECT_URL = /^https:\/\/www\.partselect\.com\//;
+
+// Ask the content script on a tab for its page context, injecting the script first
+// if the tab was opened before the extension was installed or reloaded
+async function requestPageContext(chrome, tab) {
+  if (!tab || !PARTSELECT_URL.test(tab.url || "")) {
+    return null;
+  }
+
+  try {
+    return await chrome.tabs.sendMessage(tab.id, { type: "GET_PAGE_CONTEXT" });
+  } catch {
+    await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ["content-script.js"] });
+    return await chrome.tabs.sendMessage(tab.id, { type: "GET_PAGE_CONTEXT" });
+  }
+}
+
+// Context for the partselect.com page open in the active tab: PS number, manufacturer
+// number, model number and title. Null outside the extension or on other sites.
+function usePageContext() {
+  const [pageContext, setPageContext] = useState(null);
+
+  useEffect(() => {
+    const chrome = window.chrome;
+    if (!chrome?.tabs?.query || !chrome?.runtime?.onMessage) {
+      return undefined;
+    }
+
+    const refresh = async () => {
+      try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        setPageContext(await requestPageContext(chrome, tab));
+      } catch {
+        setPageContext(null);
+      }
+    };
+
+    const onActivated = () => refresh();
+    const onUpdated = (tabId, changeInfo, tab) => {
+      if (tab.active && changeInfo.status === "complete") refresh();
+    };
+    const onMessage = (message, sender) => {
+      if (message?.type === "PAGE_CONTEXT" && sender.tab?.active) {
+        setPageContext(message.context);
+      }
+    };
+
+    refresh();
+    chrome.tabs.onActivated.addListener(onActivated);
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.runtime.onMessage.addListener(onMessage);
+
+    return () => {
+      chrome.tabs.onActivated.removeListener(onActivated);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.runtime.onMessage.removeListener(onMessage);
+    };
+  }, []);
+
+  return pageContext;
+}
+
+export default usePageContext;
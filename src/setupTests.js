@@ -3,3 +3,23 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom implements neither of these; ChatWindow uses both on mount
+window.HTMLElement.prototype.scrollIntoView = jest.fn();
+
+class MockEventSource {
+  constructor(url) {
+    this.url = url;
+    MockEventSource.instances.push(this);
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+MockEventSource.instances = [];
+global.EventSource = MockEventSource;
+
+beforeEach(() => {
+  MockEventSource.instances = [];
+});